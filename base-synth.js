@@ -32,6 +32,18 @@ export class BaseSynth {
     this.sustainedNotes = new Set();  // MIDI notes held by sustain pedal (for compatibility)
     this.sustainedVoices = new Set(); // Specific voice instances held by sustain pedal
     this.keysHeldDown = new Set();    // MIDI notes with keys currently physically held down
+    this.sustainPedalDepth = 0;       // How far the pedal is pressed (0-1), for half-pedaling
+    this.halfPedalShortest = 0.5;     // Release tail multiplier with the pedal fully up (dampers pressing hard)
+    this.halfPedalLongest = 5;        // Release tail multiplier just short of the sustain point
+    
+    // Sostenuto pedal (CC66) holds only the voices sounding when it went down
+    this.sostenutoPedalDown = false;
+    this.sostenutoVoices = new Set(); // Specific voice instances held by the sostenuto pedal
+    
+    // Soft pedal (CC67, una corda) darkens and softens notes struck while it is down
+    this.softPedalDown = false;
+    this.softPedalFilterRatio = 0.5;   // Filter cutoff of new notes (an octave darker)
+    this.softPedalVelocityRatio = 0.7; // Velocity of new notes
     
     // Retuning mode (for polysynth)
     this.retuneMode = 'static'; // 'static', 'smooth', 'instant'
@@ -42,14 +54,15 @@ export class BaseSynth {
    * Get current synth parameters for voice starting
    */
   getVoiceParams() {
+    const filterRatio = this.softPedalDown ? this.softPedalFilterRatio : 1;
     return {
       waveform: this.waveform,
       attackTime: this.attackTime,
       decayTime: this.decayTime,
       sustainLevel: this.sustainLevel,
-      filterFrequency: this.filterFrequency,
+      filterFrequency: this.filterFrequency * filterRatio,
       filterQ: this.filterQ,
-      filterEnvelopeAmount: this.filterEnvelopeAmount,
+      filterEnvelopeAmount: this.filterEnvelopeAmount * filterRatio,
       filterAttack: this.filterAttack,
       filterDecay: this.filterDecay,
       filterSustain: this.filterSustain
@@ -136,6 +149,61 @@ export class BaseSynth {
     this.retuneSpeed = speed;
   }
 
+  /**
+   * Let go of a key: release its note unless a pedal holds it
+   * The live app, split zones and offline renders all end notes through here
+   * @returns {Object|null} { retunedNotes } if the note was released, or null if a pedal
+   *   holds it or it is not sounding
+   */
+  releaseKey(midiNote) {
+    this.keysHeldDown.delete(midiNote);
+    
+    // The newest voice playing this note is the one the key started
+    const voices = this._getSoundingVoices().filter(v => v.midiNote === midiNote);
+    if (voices.length === 0 || !this.handleNoteOffWithSustain(midiNote, voices[voices.length - 1])) {
+      return null;
+    }
+    return { retunedNotes: this._releaseNote(midiNote) };
+  }
+
+  /**
+   * Press or lift the sustain pedal
+   * @returns {Object|null} { releasedNotes, retunedNotes } - notes the pedal let go and the
+   *   retunes that followed, or null if the pedal was already there (controllers repeat the value)
+   */
+  setSustainPedal(down) {
+    if (down === this.sustainPedalDown) return null;
+    
+    if (down) {
+      this.handleSustainPedalDown();
+      return { releasedNotes: [], retunedNotes: [] };
+    }
+    
+    const releasedNotes = Array.from(this.sustainedNotes).filter(note => !this.keysHeldDown.has(note));
+    const retunedNotes = this.handleSustainPedalUp();
+    return { releasedNotes, retunedNotes };
+  }
+
+  /**
+   * Press or lift the sostenuto pedal
+   * @returns {Object|null} Same as setSustainPedal()
+   */
+  setSostenutoPedal(down) {
+    if (down === this.sostenutoPedalDown) return null;
+    
+    if (down) {
+      this.handleSostenutoPedalDown();
+      return { releasedNotes: [], retunedNotes: [] };
+    }
+    
+    // The notes the pedal let go are the ones no longer sounding after it lifts
+    const soundingBefore = this._getSoundingVoices().map(v => v.midiNote);
+    const retunedNotes = this.handleSostenutoPedalUp();
+    const soundingAfter = this._getSoundingVoices().map(v => v.midiNote);
+    const releasedNotes = soundingBefore.filter(note => !soundingAfter.includes(note));
+    return { releasedNotes, retunedNotes };
+  }
+
   /**
    * Handle sustain pedal down
    */
@@ -175,6 +243,86 @@ export class BaseSynth {
     return allRetunedNotes;
   }
 
+  /**
+   * Set how far the sustain pedal is pressed (CC64 value / 127)
+   * Past halfway it holds notes; short of that (half-pedaling) it sets how long notes let go ring on
+   */
+  setSustainPedalDepth(depth) {
+    this.sustainPedalDepth = Math.max(0, Math.min(1, depth));
+  }
+
+  /**
+   * Release time for notes let go now: shortened with the pedal up, lengthened as it is half pressed
+   * The multiplier moves geometrically, so equal pedal travel scales the tail by equal ratios
+   */
+  getReleaseTime() {
+    const halfPedal = Math.min(this.sustainPedalDepth / 0.5, 1);
+    const range = this.halfPedalLongest / this.halfPedalShortest;
+    return this.releaseTime * this.halfPedalShortest * Math.pow(range, halfPedal);
+  }
+
+  /**
+   * Handle sostenuto pedal down - hold the voices sounding now, and only those
+   * Voices the sustain pedal was holding move over to the sostenuto pedal
+   */
+  handleSostenutoPedalDown() {
+    if (this.sostenutoPedalDown) return; // Controllers repeat the pedal value
+    
+    this.sostenutoPedalDown = true;
+    this.sostenutoVoices = new Set(this._getSoundingVoices());
+    this.sostenutoVoices.forEach(voice => {
+      this.sustainedVoices.delete(voice);
+      this.sustainedNotes.delete(voice.midiNote);
+    });
+    console.log(`Sostenuto pedal: DOWN, holding ${this.sostenutoVoices.size} voices`);
+  }
+
+  /**
+   * Handle sostenuto pedal up - release the voices it held, unless their key is still down
+   * or the sustain pedal takes them over
+   * Returns array of retuned notes (for polysynth)
+   */
+  handleSostenutoPedalUp() {
+    if (!this.sostenutoPedalDown) return [];
+    
+    this.sostenutoPedalDown = false;
+    const heldVoices = Array.from(this.sostenutoVoices);
+    this.sostenutoVoices.clear();
+    console.log('Sostenuto pedal: UP');
+    
+    const allRetunedNotes = [];
+    heldVoices.forEach(voice => {
+      const note = voice.midiNote;
+      // Stolen since, or still played from the keyboard
+      if (!voice.isActive || this.keysHeldDown.has(note)) return;
+      
+      if (this.sustainPedalDown) {
+        this.sustainedNotes.add(note);
+        this.sustainedVoices.add(voice);
+        return;
+      }
+      
+      const retunedNotes = this._releaseNote(note, [voice]);
+      if (retunedNotes && Array.isArray(retunedNotes)) {
+        allRetunedNotes.push(...retunedNotes);
+      }
+    });
+    
+    return allRetunedNotes;
+  }
+
+  /**
+   * Set the soft pedal (una corda) - notes struck while it is down are darker and quieter
+   * @returns {boolean} Whether the pedal moved
+   */
+  setSoftPedal(down) {
+    if (down === this.softPedalDown) return false; // Controllers repeat the pedal value
+    
+    this.softPedalDown = down;
+    console.log(`Soft pedal: ${down ? 'DOWN' : 'UP'}`);
+    return true;
+  }
+
   /**
    * Handle note off with sustain pedal consideration
    * Returns true if note should be released, false if sustained
@@ -182,7 +330,11 @@ export class BaseSynth {
    * @param {Object} voice - Optional: the specific voice instance to sustain (for polysynth)
    */
   handleNoteOffWithSustain(midiNote, voice = null) {
-    if (this.sustainPedalDown) {
+    if (voice && this.sostenutoVoices.has(voice)) {
+      // Sounding when the sostenuto pedal went down - it keeps ringing until the pedal lifts
+      console.log(`Note ${midiNote} held by sostenuto pedal`);
+      return false;
+    } else if (this.sustainPedalDown) {
       // Pedal is down - add to sustained notes instead of releasing
       this.sustainedNotes.add(midiNote);
       if (voice) {
@@ -202,4 +354,12 @@ export class BaseSynth {
   _releaseNote(midiNote) {
     throw new Error('_releaseNote must be implemented by subclass');
   }
+
+  /**
+   * Abstract method - must be implemented by subclass
+   * Returns the voice instances currently sounding (for the sostenuto pedal)
+   */
+  _getSoundingVoices() {
+    throw new Error('_getSoundingVoices must be implemented by subclass');
+  }
 }
@@ -0,0 +1,178 @@
+import { JustIntervals } from './just-intervals.js';
+
+/**
+ * CommaIdentifier - Names the commas that make up a reference drift
+ * Breaks a drift into the fewest named commas (e.g. 6561/6400 = 2 × syntonic comma)
+ */
+
+export class CommaIdentifier {
+  constructor(justIntervals = new JustIntervals()) {
+    this.justIntervals = justIntervals;
+    this.maxCommas = 4; // Longest combination searched
+    this.cache = new Map(); // Search key -> result, since drift often returns to the same value
+
+    // Ordered by how often they appear in practice - ties go to the earlier comma
+    this.commas = [
+      { name: 'syntonic comma', ratio: [81, 80] },
+      { name: 'Pythagorean comma', ratio: [531441, 524288] },
+      { name: 'lesser diesis', ratio: [128, 125] },
+      { name: 'septimal comma', ratio: [64, 63] },
+      { name: 'greater diesis', ratio: [648, 625] },
+      { name: 'diaschisma', ratio: [2048, 2025] },
+      { name: 'schisma', ratio: [32805, 32768] },
+      { name: 'septimal diesis', ratio: [36, 35] },
+      { name: 'septimal kleisma', ratio: [225, 224] }
+    ].map(comma => {
+      const monzo = justIntervals.ratioToMonzo(comma.ratio);
+      return {
+        ...comma,
+        ratioString: `${comma.ratio[0]}/${comma.ratio[1]}`,
+        monzo,
+        cents: justIntervals.monzoToCents(monzo)
+      };
+    });
+  }
+
+  /**
+   * Decompose an exact drift into named commas
+   * Octaves are ignored, so only the odd prime exponents have to match
+   * @param {Object} monzo - Drift as prime exponents
+   * @returns {Array|null} [{ name, ratio, count, cents }] (empty for no drift), or null if no
+   *   combination of up to maxCommas commas matches
+   */
+  identify(monzo) {
+    const target = this.getOddPart(monzo);
+    return this.cached(`monzo:${target}`, () => {
+      // Primes no comma contains can never cancel out
+      const primes = new Set(this.commas.flatMap(comma => Object.keys(comma.monzo)));
+      if (Object.keys(monzo).some(prime => monzo[prime] !== 0 && !primes.has(prime))) {
+        return null;
+      }
+      if (!this.isReachable(this.removeOctaves(this.justIntervals.monzoToCents(monzo)), 0)) {
+        return null;
+      }
+      return this.search(sum => this.getOddPart(sum.monzo) === target);
+    });
+  }
+
+  /**
+   * Decompose a drift known only in cents (e.g. measured from frequencies)
+   * Octaves are ignored here too, so 1221.5¢ matches a syntonic comma
+   * @param {number} cents - Drift in cents
+   * @param {number} tolerance - Largest mismatch accepted, in cents
+   * @returns {Array|null} Same as identify()
+   */
+  identifyCents(cents, tolerance = 0.05) {
+    const reduced = this.removeOctaves(cents);
+    return this.cached(`cents:${reduced.toFixed(3)}:${tolerance}`, () => {
+      if (!this.isReachable(reduced, tolerance)) return null;
+      return this.search(sum => Math.abs(sum.cents - reduced) <= tolerance);
+    });
+  }
+
+  /**
+   * Whether maxCommas commas could add up to this size at all
+   * @param {number} cents - Size with octaves already removed (see removeOctaves())
+   */
+  isReachable(cents, tolerance) {
+    const largest = Math.max(...this.commas.map(comma => Math.abs(comma.cents)));
+    return Math.abs(cents) <= largest * this.maxCommas + tolerance;
+  }
+
+  /**
+   * Remove whole octaves, leaving a size between -600 and 600 cents
+   */
+  removeOctaves(cents) {
+    return cents - 1200 * Math.round(cents / 1200);
+  }
+
+  /**
+   * Look up a previous search result, or run the search and remember it
+   */
+  cached(key, compute) {
+    if (!this.cache.has(key)) {
+      if (this.cache.size >= 500) this.cache.clear();
+      this.cache.set(key, compute());
+    }
+    return this.cache.get(key);
+  }
+
+  /**
+   * Format a decomposition for display, e.g. "2× syntonic comma − septimal comma"
+   */
+  formatCommas(commas) {
+    return commas
+      .map((comma, i) => {
+        const size = Math.abs(comma.count) > 1 ? `${Math.abs(comma.count)}× ` : '';
+        const sign = comma.count < 0 ? (i === 0 ? '−' : ' − ') : (i === 0 ? '' : ' + ');
+        return `${sign}${size}${comma.name}`;
+      })
+      .join('');
+  }
+
+  /**
+   * Breadth-first search over comma combinations, fewest commas first
+   * @param {Function} matches - Called with { monzo, cents } for each combination
+   */
+  search(matches) {
+    const start = { counts: this.commas.map(() => 0), monzo: {}, cents: 0 };
+    const visited = new Set([start.counts.join(',')]);
+    let frontier = [start];
+
+    for (let depth = 0; depth <= this.maxCommas; depth++) {
+      for (const state of frontier) {
+        if (matches(state)) {
+          return this.describe(state.counts);
+        }
+      }
+
+      if (depth === this.maxCommas) break;
+
+      const next = [];
+      for (const state of frontier) {
+        this.commas.forEach((comma, i) => {
+          for (const step of [1, -1]) {
+            const counts = state.counts.slice();
+            counts[i] += step;
+            const key = counts.join(',');
+            if (visited.has(key)) continue;
+            visited.add(key);
+
+            const monzo = step > 0 ?
+              this.justIntervals.multiplyMonzos(state.monzo, comma.monzo) :
+              this.justIntervals.divideMonzos(state.monzo, comma.monzo);
+            next.push({ counts, monzo, cents: state.cents + step * comma.cents });
+          }
+        });
+      }
+      frontier = next;
+    }
+
+    return null;
+  }
+
+  /**
+   * Turn comma counts into the result format
+   */
+  describe(counts) {
+    return this.commas
+      .map((comma, i) => ({
+        name: comma.name,
+        ratio: comma.ratioString,
+        count: counts[i],
+        cents: comma.cents * counts[i]
+      }))
+      .filter(comma => comma.count !== 0);
+  }
+
+  /**
+   * Key for a monzo with the factor of 2 removed
+   */
+  getOddPart(monzo) {
+    return Object.keys(monzo)
+      .filter(prime => prime !== '2' && monzo[prime] !== 0)
+      .sort((a, b) => a - b)
+      .map(prime => `${prime}:${monzo[prime]}`)
+      .join(',');
+  }
+}
@@ -0,0 +1,138 @@
+import { JustIntervals } from './just-intervals.js';
+
+/**
+ * EdoTemperament - Equal divisions of the octave as an alternative to exact just ratios
+ * Each interval is played as a whole number of EDO steps from the reference
+ */
+
+export const EDO_PRESETS = [12, 19, 22, 31, 53];
+
+export class EdoTemperament {
+  constructor(justIntervals = new JustIntervals()) {
+    this.justIntervals = justIntervals;
+    this.divisions = null; // Steps per octave (null = just intonation)
+    this.mapping = 'nearest'; // 'nearest' or 'steps'
+  }
+
+  /**
+   * Set the number of equal steps per octave
+   * @param {number|null} divisions - e.g. 53, or null to play exact just ratios
+   */
+  setDivisions(divisions) {
+    if (divisions !== null && !(Number.isInteger(divisions) && divisions > 0)) {
+      console.warn(`Invalid EDO: ${divisions}. Using just intonation.`);
+      divisions = null;
+    }
+    this.divisions = divisions;
+  }
+
+  /**
+   * Set how keys map onto EDO steps
+   * 'nearest': each key plays the step nearest the tuning system's just ratio
+   * 'steps': each key is one EDO step (for playing every step of a large EDO)
+   */
+  setMapping(mapping) {
+    if (mapping !== 'nearest' && mapping !== 'steps') {
+      console.warn(`Invalid EDO keyboard mapping: ${mapping}. Using 'nearest'.`);
+      mapping = 'nearest';
+    }
+    this.mapping = mapping;
+  }
+
+  /**
+   * Whether notes are tempered at all
+   */
+  isActive() {
+    return this.divisions !== null;
+  }
+
+  /**
+   * Size of one step in cents
+   */
+  getStepCents() {
+    return 1200 / this.divisions;
+  }
+
+  /**
+   * Number of whole steps nearest to a ratio
+   * @param {number} value - Ratio as a decimal
+   */
+  getNearestSteps(value) {
+    return Math.round((1200 * Math.log2(value)) / this.getStepCents());
+  }
+
+  /**
+   * Frequency ratio of a number of steps
+   */
+  getStepRatio(steps) {
+    return Math.pow(2, steps / this.divisions);
+  }
+
+  /**
+   * Round a ratio to the nearest step
+   * @param {number} value - Ratio as a decimal
+   * @returns {number} Tempered ratio as a decimal
+   */
+  temperRatio(value) {
+    return this.getStepRatio(this.getNearestSteps(value));
+  }
+
+  /**
+   * Get the interval in EDO steps between two keys
+   * @returns {number|null} Steps, or null if a key is unmapped in the tuning system
+   */
+  getSteps(referenceMidi, targetMidi) {
+    if (this.mapping === 'steps') {
+      return targetMidi - referenceMidi;
+    }
+
+    const interval = this.justIntervals.getInterval(referenceMidi, targetMidi);
+    if (interval === null) return null;
+    return this.getNearestSteps(this.justIntervals.getIntervalRatio(interval));
+  }
+
+  /**
+   * Calculate a tempered frequency based on a reference note
+   * @returns {number|null} Frequency (Hz), or null if a key is unmapped
+   */
+  getFrequency(referenceFreq, referenceMidi, targetMidi) {
+    const steps = this.getSteps(referenceMidi, targetMidi);
+    if (steps === null) return null;
+    return referenceFreq * this.getStepRatio(steps);
+  }
+
+  /**
+   * Find the tuning system interval a number of steps approximates
+   * @param {number} steps - Interval in EDO steps
+   * @returns {Object} { interval, value, ratioString, intervalName, centsFromJust }
+   */
+  getApproximatedRatio(steps) {
+    const ji = this.justIntervals;
+    const cents = steps * this.getStepCents();
+    const periodCents = 1200 * Math.log2(ji.period);
+    const periods = Math.floor(cents / periodCents);
+
+    // The nearest degree lies within a period either side of the estimate
+    let best = null;
+    for (let interval = (periods - 1) * ji.degrees; interval <= (periods + 2) * ji.degrees; interval++) {
+      const value = ji.getIntervalRatio(interval);
+      const error = cents - 1200 * Math.log2(value);
+      if (!best || Math.abs(error) < Math.abs(best.centsFromJust)) {
+        best = { interval, value, centsFromJust: error };
+      }
+    }
+
+    return {
+      ...best,
+      ratioString: ji.getRatioString(best.interval),
+      intervalName: ji.getIntervalName(best.interval)
+    };
+  }
+
+  /**
+   * Format steps for display, e.g. "17\53"
+   */
+  formatSteps(steps) {
+    return `${steps}\\${this.divisions}`;
+  }
+}
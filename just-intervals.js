@@ -1,77 +1,404 @@
+import { tuningSystems, DEFAULT_TUNING_SYSTEM } from './tuning-systems.js';
+
 /**
  * Just Intonation Interval Calculator
  * Maps semitone intervals to perfect frequency ratios
  */
 
 export class JustIntervals {
-  constructor() {
-    // Just intonation ratios for each semitone interval (0-12)
-    // These are the pure harmonic ratios
-    this.intervalRatios = {
-      0: [1, 1],          // Unison
-      1: [16, 15],        // Minor second (semitone)
-      2: [9, 8],          // Major second (whole tone)
-      3: [6, 5],          // Minor third
-      4: [5, 4],          // Major third
-      5: [4, 3],          // Perfect fourth
-      6: [45, 32],        // Tritone (augmented fourth)
-      7: [3, 2],          // Perfect fifth
-      8: [8, 5],          // Minor sixth
-      9: [5, 3],          // Major sixth
-      10: [9, 5],         // Minor seventh
-      11: [15, 8],        // Major seventh
-      12: [2, 1]          // Octave
-    };
+  constructor(tuningSystem = DEFAULT_TUNING_SYSTEM) {
+    this.tuningSystem = null;
+    this.intervalRatios = null;
+    this.setTuningSystem(tuningSystem);
   }
 
   /**
-   * Calculate the just intonation frequency based on a reference note
-   * @param {number} referenceFreq - The frequency of the reference note (Hz)
+   * Select the interval table used for all ratio calculations
+   * @param {string} id - Id of a system registered in the tuning system registry
+   */
+  setTuningSystem(id) {
+    let system = tuningSystems.get(id);
+    if (!system) {
+      console.warn(`Unknown tuning system: ${id}. Using '${DEFAULT_TUNING_SYSTEM}'.`);
+      system = tuningSystems.get(DEFAULT_TUNING_SYSTEM);
+    }
+
+    this.tuningSystem = system.id;
+    // Ratio for each scale degree (0 to degrees); the last entry is the period
+    this.intervalRatios = system.ratios;
+    this.degrees = system.degrees;
+    this.period = this.getRatioValue(system.ratios[system.degrees]);
+    this.degreeNames = system.names || null;
+    this.keyboardMapping = system.keyboardMapping || null;
+    this.candidateRatios = system.candidates || null;
+  }
+
+  /**
+   * Get the id of the active tuning system
+   */
+  getTuningSystem() {
+    return this.tuningSystem;
+  }
+
+  /**
+   * Convert a table entry to a frequency ratio
+   * @param {Array|number} entry - [numerator, denominator] pair or a size in cents
+   * @returns {number} The ratio as a decimal
+   */
+  getRatioValue(entry) {
+    if (Array.isArray(entry)) {
+      return entry[0] / entry[1];
+    }
+    return Math.pow(2, entry / 1200);
+  }
+
+  /**
+   * Get the scale degree a MIDI note is mapped to
+   * Without a keyboard mapping every key is one degree
+   * @param {number} midiNote - MIDI note number (0-127)
+   * @returns {number|null} Scale degree, or null if the key is unmapped
+   */
+  getKeyDegree(midiNote) {
+    const mapping = this.keyboardMapping;
+    if (!mapping) return midiNote;
+
+    if (midiNote < mapping.firstNote || midiNote > mapping.lastNote) return null;
+
+    const offset = midiNote - mapping.middleNote;
+    if (mapping.mapSize === 0) return offset;
+
+    const index = ((offset % mapping.mapSize) + mapping.mapSize) % mapping.mapSize;
+    const block = Math.floor(offset / mapping.mapSize);
+    const degree = mapping.mapping[index];
+    if (degree === null || degree === undefined) return null;
+
+    return degree + block * mapping.octaveDegree;
+  }
+
+  /**
+   * Get the interval in scale degrees between two MIDI notes
    * @param {number} referenceMidi - The MIDI note number of the reference
-   * @param {number} targetMidi - The MIDI note number to calculate
-   * @returns {number} The just intonation frequency (Hz)
+   * @param {number} targetMidi - The MIDI note number to measure
+   * @returns {number|null} Interval in degrees, or null if either key is unmapped
    */
-  getJustFrequency(referenceFreq, referenceMidi, targetMidi) {
-    const interval = targetMidi - referenceMidi;
+  getInterval(referenceMidi, targetMidi) {
+    const referenceDegree = this.getKeyDegree(referenceMidi);
+    const targetDegree = this.getKeyDegree(targetMidi);
+    if (referenceDegree === null || targetDegree === null) return null;
+    return targetDegree - referenceDegree;
+  }
+
+  /**
+   * Get the frequency ratio for an interval in scale degrees
+   * @param {number} interval - Interval in degrees (negative = descending)
+   * @returns {number} The ratio as a decimal
+   */
+  getIntervalRatio(interval) {
     const absInterval = Math.abs(interval);
     
-    // Calculate octave offset and interval within octave
-    const octaves = Math.floor(absInterval / 12);
-    const semitones = absInterval % 12;
+    // Calculate period offset and degree within the period
+    const periods = Math.floor(absInterval / this.degrees);
+    const step = absInterval % this.degrees;
     
-    // Get the ratio for the interval
-    const [numerator, denominator] = this.intervalRatios[semitones];
-    let ratio = numerator / denominator;
-    
-    // Apply octave multiplier
-    ratio *= Math.pow(2, octaves);
+    // Get the ratio for the interval and apply the period multiplier
+    let ratio = this.getRatioValue(this.intervalRatios[step]);
+    ratio *= Math.pow(this.period, periods);
     
     // If interval is negative (going down), invert the ratio
     if (interval < 0) {
       ratio = 1 / ratio;
     }
     
-    return referenceFreq * ratio;
+    return ratio;
+  }
+
+  /**
+   * Calculate the just intonation frequency based on a reference note
+   * @param {number} referenceFreq - The frequency of the reference note (Hz)
+   * @param {number} referenceMidi - The MIDI note number of the reference
+   * @param {number} targetMidi - The MIDI note number to calculate
+   * @returns {number|null} The just intonation frequency (Hz), or null if a key is unmapped
+   */
+  getJustFrequency(referenceFreq, referenceMidi, targetMidi) {
+    const interval = this.getInterval(referenceMidi, targetMidi);
+    if (interval === null) return null;
+    
+    return referenceFreq * this.getIntervalRatio(interval);
   }
 
   /**
    * Get the ratio as a string for display
-   * @param {number} semitones - Number of semitones (0-12)
-   * @returns {string} The ratio as a string
+   * @param {number} interval - Interval in scale degrees
+   * @returns {string} The ratio as a string (or its size in cents)
    */
-  getRatioString(semitones) {
-    const abs = Math.abs(semitones) % 12;
-    const [num, den] = this.intervalRatios[abs];
+  getRatioString(interval) {
+    const step = Math.abs(interval) % this.degrees;
+    return this.formatRatio(this.intervalRatios[step]);
+  }
+
+  /**
+   * Format a table entry for display
+   * @param {Array|number} entry - [numerator, denominator] pair or a size in cents
+   * @returns {string} e.g. "5:4" or "386.3¢"
+   */
+  formatRatio(entry) {
+    if (!Array.isArray(entry)) {
+      return `${entry.toFixed(1)}¢`;
+    }
+    const [num, den] = entry;
     return `${num}:${den}`;
   }
 
+  /**
+   * Get every ratio the tuning system allows for an interval
+   * The tuning system's main ratio comes first, followed by its alternative candidates
+   * @param {number} interval - Interval in scale degrees
+   * @returns {Array} [{ ratio, ratioString, value, fraction }] where value and fraction include
+   *   periods and direction (fraction is null for cents-based entries)
+   */
+  getCandidateRatios(interval) {
+    const step = Math.abs(interval) % this.degrees;
+    const periods = Math.floor(Math.abs(interval) / this.degrees);
+    
+    const entries = [this.intervalRatios[step]];
+    const alternatives = (this.candidateRatios && this.candidateRatios[step]) || [];
+    for (const entry of alternatives) {
+      const isDuplicate = entries.some(e => this.getRatioValue(e) === this.getRatioValue(entry));
+      if (!isDuplicate) entries.push(entry);
+    }
+    
+    return entries.map(entry => {
+      let value = this.getRatioValue(entry) * Math.pow(this.period, periods);
+      if (interval < 0) {
+        value = 1 / value;
+      }
+      return {
+        ratio: entry,
+        ratioString: this.formatRatio(entry),
+        value,
+        fraction: this.getEntryFraction(entry, periods, interval < 0)
+      };
+    });
+  }
+
+  /**
+   * Get the exact fraction for an interval in scale degrees
+   * @param {number} interval - Interval in degrees (negative = descending)
+   * @returns {Array|null} Reduced [numerator, denominator], or null if the table uses cents
+   */
+  getIntervalFraction(interval) {
+    const step = Math.abs(interval) % this.degrees;
+    const periods = Math.floor(Math.abs(interval) / this.degrees);
+    return this.getEntryFraction(this.intervalRatios[step], periods, interval < 0);
+  }
+
+  /**
+   * Combine a table entry with whole periods and a direction into one exact fraction
+   * @returns {Array|null} Reduced [numerator, denominator], or null if not rational
+   */
+  getEntryFraction(entry, periods, descending) {
+    const periodEntry = this.intervalRatios[this.degrees];
+    if (!Array.isArray(entry) || !Array.isArray(periodEntry)) return null;
+    
+    let fraction = this.reduceRatio(entry);
+    for (let i = 0; i < periods; i++) {
+      fraction = this.multiplyRatios(fraction, periodEntry);
+    }
+    
+    return descending ? [fraction[1], fraction[0]] : fraction;
+  }
+
+  /**
+   * Greatest common divisor of two positive integers
+   */
+  greatestCommonDivisor(a, b) {
+    while (b) {
+      [a, b] = [b, a % b];
+    }
+    return a;
+  }
+
+  /**
+   * Reduce a fraction to lowest terms
+   * @param {Array} ratio - [numerator, denominator]
+   * @returns {Array} Reduced [numerator, denominator]
+   */
+  reduceRatio([numerator, denominator]) {
+    const divisor = this.greatestCommonDivisor(numerator, denominator);
+    return [numerator / divisor, denominator / divisor];
+  }
+
+  /**
+   * Multiply two fractions exactly
+   * Cross-cancels before multiplying to keep the terms small
+   * @returns {Array} Reduced [numerator, denominator]
+   */
+  multiplyRatios([n1, d1], [n2, d2]) {
+    const [a, b] = this.reduceRatio([n1, d2]);
+    const [c, d] = this.reduceRatio([n2, d1]);
+    return [a * c, b * d];
+  }
+
+  /**
+   * Divide one fraction by another exactly
+   * @returns {Array} Reduced [numerator, denominator]
+   */
+  divideRatios(ratio, [n2, d2]) {
+    return this.multiplyRatios(ratio, [d2, n2]);
+  }
+
+  /**
+   * Factor a fraction into prime exponents (a monzo)
+   * Monzos never overflow, so they hold long chains of intervals exactly
+   * @param {Array} ratio - [numerator, denominator]
+   * @returns {Object} { prime: exponent } with zero exponents omitted (e.g. 81/80 -> { 2: -4, 3: 4, 5: -1 })
+   */
+  ratioToMonzo([numerator, denominator]) {
+    const monzo = {};
+    const addFactors = (n, sign) => {
+      for (let prime = 2; prime * prime <= n; prime++) {
+        while (n % prime === 0) {
+          monzo[prime] = (monzo[prime] || 0) + sign;
+          n /= prime;
+        }
+      }
+      if (n > 1) {
+        monzo[n] = (monzo[n] || 0) + sign;
+      }
+    };
+    
+    addFactors(numerator, 1);
+    addFactors(denominator, -1);
+    
+    for (const prime of Object.keys(monzo)) {
+      if (monzo[prime] === 0) delete monzo[prime];
+    }
+    return monzo;
+  }
+
+  /**
+   * Multiply two pitches given as monzos (adds exponents)
+   */
+  multiplyMonzos(a, b) {
+    const result = { ...a };
+    for (const [prime, exponent] of Object.entries(b)) {
+      result[prime] = (result[prime] || 0) + exponent;
+      if (result[prime] === 0) delete result[prime];
+    }
+    return result;
+  }
+
+  /**
+   * Divide one monzo by another (subtracts exponents)
+   */
+  divideMonzos(a, b) {
+    const inverse = {};
+    for (const [prime, exponent] of Object.entries(b)) {
+      inverse[prime] = -exponent;
+    }
+    return this.multiplyMonzos(a, inverse);
+  }
+
+  /**
+   * Size of a monzo in cents
+   */
+  monzoToCents(monzo) {
+    return Object.entries(monzo)
+      .reduce((cents, [prime, exponent]) => cents + exponent * 1200 * Math.log2(prime), 0);
+  }
+
+  /**
+   * Format a monzo as an exact fraction (e.g. "81/80")
+   * Uses BigInt so long comma chains print exactly
+   */
+  formatMonzo(monzo) {
+    let numerator = 1n;
+    let denominator = 1n;
+    for (const [prime, exponent] of Object.entries(monzo)) {
+      const power = BigInt(prime) ** BigInt(Math.abs(exponent));
+      if (exponent > 0) {
+        numerator *= power;
+      } else {
+        denominator *= power;
+      }
+    }
+    return `${numerator}/${denominator}`;
+  }
+
+  /**
+   * Find the simple fraction a decimal ratio was built from (continued fractions)
+   * @param {number} value - Ratio as a decimal
+   * @param {number} maxDenominator - Largest denominator to consider
+   * @returns {Array|null} [numerator, denominator], or null if no fraction is close enough
+   */
+  approximateRatio(value, maxDenominator = 100000) {
+    const tolerance = 1e-9;
+    let [h0, h1] = [0, 1];
+    let [k0, k1] = [1, 0];
+    let x = value;
+    
+    while (true) {
+      const a = Math.floor(x);
+      [h0, h1] = [h1, a * h1 + h0];
+      [k0, k1] = [k1, a * k1 + k0];
+      
+      if (k1 > maxDenominator) return null;
+      if (Math.abs(h1 / k1 - value) <= tolerance * value) return [h1, k1];
+      
+      const remainder = x - a;
+      if (remainder < 1e-12) return null;
+      x = 1 / remainder;
+    }
+  }
+
+  /**
+   * Harmonic distance of a ratio on the 3-5-7 lattice (octave-equivalent Tenney height)
+   * Each step along the 3, 5 or 7 axis costs log2 of that prime; larger primes cost log2 of themselves
+   * @param {number} numerator
+   * @param {number} denominator
+   * @returns {number} Distance (0 for octaves and unison)
+   */
+  getHarmonicDistance(numerator, denominator) {
+    let distance = 0;
+    
+    for (let n of [numerator, denominator]) {
+      while (n % 2 === 0) n /= 2;
+      for (const prime of [3, 5, 7]) {
+        while (n % prime === 0) {
+          n /= prime;
+          distance += Math.log2(prime);
+        }
+      }
+      // Anything left is outside the 7-limit lattice
+      if (n > 1) distance += Math.log2(n);
+    }
+    
+    return distance;
+  }
+
+  /**
+   * Harmonic distance between two sounding frequencies
+   * @returns {number|null} Distance, or null if their ratio is not a simple fraction
+   */
+  getHarmonicDistanceBetween(frequencyA, frequencyB) {
+    const ratio = this.approximateRatio(frequencyA / frequencyB);
+    if (!ratio) return null;
+    return this.getHarmonicDistance(ratio[0], ratio[1]);
+  }
+
   /**
    * Get the interval name
-   * @param {number} semitones - Number of semitones
-   * @returns {string} The interval name
+   * @param {number} interval - Interval in scale degrees
+   * @param {number|null} harmonic - Harmonic number, when the note is tuned to a harmonic series
+   * @param {string} direction - 'otonal' (harmonics) or 'utonal' (subharmonics)
+   * @returns {string} The interval name (e.g. "Major 3rd" or "11th harmonic")
    */
-  getIntervalName(semitones) {
-    const abs = Math.abs(semitones) % 12;
+  getIntervalName(interval, harmonic = null, direction = 'otonal') {
+    if (harmonic !== null) {
+      return this.getHarmonicName(harmonic, direction);
+    }
+    
+    const step = Math.abs(interval) % this.degrees;
     const names = [
       'Unison',
       'Minor 2nd',
@@ -87,24 +414,57 @@ export class JustIntervals {
       'Major 7th',
       'Octave'
     ];
+    const isOctavePeriod = Math.abs(this.period - 2) < 1e-9;
     
-    const octaves = Math.floor(Math.abs(semitones) / 12);
-    let name = names[abs];
+    let name;
+    if (this.degreeNames && this.degreeNames[step]) {
+      name = this.degreeNames[step];
+    } else if (this.degrees === 12 && isOctavePeriod) {
+      name = names[step];
+    } else {
+      name = step === 0 ? 'Unison' : `Degree ${step}`;
+    }
     
-    if (octaves > 0) {
-      name += ` + ${octaves} octave${octaves > 1 ? 's' : ''}`;
+    const periods = Math.floor(Math.abs(interval) / this.degrees);
+    if (periods > 0) {
+      const periodName = isOctavePeriod ? 'octave' : 'period';
+      name += ` + ${periods} ${periodName}${periods > 1 ? 's' : ''}`;
     }
     
-    if (semitones < 0) {
+    if (interval < 0) {
       name += ' (descending)';
     }
     
     return name;
   }
 
+  /**
+   * Name a harmonic or subharmonic, e.g. "11th harmonic" or "7th subharmonic"
+   */
+  getHarmonicName(harmonic, direction = 'otonal') {
+    if (harmonic === 1) return 'Fundamental';
+    
+    const lastTwo = harmonic % 100;
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : (suffixes[harmonic % 10] || 'th');
+    return `${harmonic}${suffix} ${direction === 'utonal' ? 'subharmonic' : 'harmonic'}`;
+  }
+
+  /**
+   * Get the starting frequency for a note when there is no reference yet
+   * Uses the keyboard mapping's reference pitch if there is one, otherwise equal temperament
+   * @param {number} midiNote - MIDI note number (0-127)
+   * @returns {number|null} Frequency in Hz, or null if the key is unmapped
+   */
+  getInitialFrequency(midiNote) {
+    const mapping = this.keyboardMapping;
+    if (!mapping) return this.midiToFrequency(midiNote);
+
+    return this.getJustFrequency(mapping.referenceFrequency, mapping.referenceNote, midiNote);
+  }
+
   /**
    * Convert MIDI note number to frequency using equal temperament (A4 = 440 Hz)
-   * Used only for the very first note
    * @param {number} midiNote - MIDI note number (0-127)
    * @returns {number} Frequency in Hz
    */
@@ -0,0 +1,126 @@
+/**
+ * Keyboard Zones
+ * Decides which synth plays a note from its MIDI channel and key, so one keyboard
+ * can be split (left hand on a drone, right hand on a melody) or layered
+ *
+ * Each zone is a range of keys and channels routed to a named synth. 'main' is the
+ * app's own synth; any other name gets its own PolySynth, and with it its own tuning
+ * reference, so the two hands are tuned independently
+ */
+
+export const SPLIT_MODES = ['none', 'keys', 'channel', 'layer'];
+
+export class KeyboardZones {
+  constructor() {
+    this.mode = 'none';
+    this.splitPoint = 60; // Lowest key of the upper zone (keys mode)
+    this.splitChannel = 0; // Channel played by the lower zone (channel mode), 0-based
+    this.zones = [];
+    this.setLayout('none');
+  }
+
+  /**
+   * Choose how the keyboard is divided
+   * @param {string} mode - 'none' (one synth), 'keys' (split at a key),
+   *   'channel' (one channel to the second synth) or 'layer' (every note on both)
+   * @param {Object} options - { splitPoint: MIDI note, splitChannel: 0-15 }
+   */
+  setLayout(mode, { splitPoint = this.splitPoint, splitChannel = this.splitChannel } = {}) {
+    if (!SPLIT_MODES.includes(mode)) {
+      console.warn(`Unknown split mode: ${mode}, using none`);
+      mode = 'none';
+    }
+
+    this.mode = mode;
+    this.splitPoint = Math.max(0, Math.min(127, Math.round(splitPoint)));
+    this.splitChannel = Math.max(0, Math.min(15, Math.round(splitChannel)));
+
+    const everything = { channels: null, lowNote: 0, highNote: 127 };
+    switch (mode) {
+      case 'keys':
+        this.zones = [
+          { name: 'lower', channels: null, lowNote: 0, highNote: this.splitPoint - 1 },
+          { name: 'main', channels: null, lowNote: this.splitPoint, highNote: 127 }
+        ];
+        break;
+      case 'channel': {
+        const others = Array.from({ length: 16 }, (_, i) => i).filter(i => i !== this.splitChannel);
+        this.zones = [
+          { name: 'lower', channels: [this.splitChannel], lowNote: 0, highNote: 127 },
+          { name: 'main', channels: others, lowNote: 0, highNote: 127 }
+        ];
+        break;
+      }
+      case 'layer':
+        this.zones = [{ name: 'main', ...everything }, { name: 'lower', ...everything }];
+        break;
+      default:
+        this.zones = [{ name: 'main', ...everything }];
+    }
+
+    console.log(`Keyboard layout: ${this.describe()}`);
+  }
+
+  /**
+   * Whether a zone takes messages from a channel
+   * Notes without a channel (computer and on-screen keyboards) count as the main keyboard
+   */
+  acceptsChannel(zone, channel) {
+    if (zone.channels === null) return true;
+    if (channel === null || channel === undefined) return zone.name === 'main';
+    return zone.channels.includes(channel);
+  }
+
+  /**
+   * Names of the zones that play a note
+   * @param {number|null} channel - MIDI channel (0-15), or null for a non-MIDI input
+   * @param {number} midiNote
+   * @returns {string[]}
+   */
+  getZonesForNote(channel, midiNote) {
+    return this.zones
+      .filter(zone => this.acceptsChannel(zone, channel) && midiNote >= zone.lowNote && midiNote <= zone.highNote)
+      .map(zone => zone.name);
+  }
+
+  /**
+   * Names of the zones that follow a channel's pedal, pitch bend and mod wheel
+   * A key split shares one channel, so both halves follow its controllers
+   */
+  getZonesForChannel(channel) {
+    return this.zones
+      .filter(zone => this.acceptsChannel(zone, channel))
+      .map(zone => zone.name);
+  }
+
+  /**
+   * Names of every zone, 'main' first
+   */
+  getZoneNames() {
+    return Array.from(new Set(['main', ...this.zones.map(zone => zone.name)]));
+  }
+
+  /**
+   * Name of a key, e.g. 60 -> "C4"
+   */
+  getNoteName(midiNote) {
+    const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    return `${names[midiNote % 12]}${Math.floor(midiNote / 12) - 1}`;
+  }
+
+  /**
+   * Describe the layout for display, e.g. "split at C4"
+   */
+  describe() {
+    switch (this.mode) {
+      case 'keys':
+        return `split at ${this.getNoteName(this.splitPoint)}`;
+      case 'channel':
+        return `channel ${this.splitChannel + 1} to the second synth`;
+      case 'layer':
+        return 'two synths layered';
+      default:
+        return 'one synth';
+    }
+  }
+}
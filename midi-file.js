@@ -0,0 +1,224 @@
+/**
+ * MidiFileParser - Reads Standard MIDI Files (.mid) into timed performance events
+ * Supports formats 0 and 1, tempo changes, running status and SMPTE timing
+ * Channel 10 is skipped: in General MIDI it holds drums, whose keys are not pitches to tune
+ *
+ * File format: MIDI 1.0 Detailed Specification, Standard MIDI Files
+ */
+
+const DRUM_CHANNEL = 9; // Channel 10
+
+export class MidiFileParser {
+  /**
+   * Parse a Standard MIDI File
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {Object} { format, trackCount, events, duration }
+   *   events are sorted by time (seconds) and are one of:
+   *   { type: 'noteOn', time, channel, note, velocity }
+   *   { type: 'noteOff', time, channel, note }
+   *   { type: 'sustainDepth', time, channel, amount } (amount 0.0 to 1.0, just before each sustain)
+   *   { type: 'sustain', time, channel, down }
+   *   { type: 'sostenuto', time, channel, down }
+   *   { type: 'softPedal', time, channel, down }
+   *   { type: 'pitchBend', time, channel, amount } (amount -1.0 to +1.0)
+   *   { type: 'pitchBendRange', time, channel, cents } (from RPN 0)
+   *   { type: 'modWheel', time, channel, amount } (amount 0.0 to 1.0)
+   *   { type: 'channelPressure', time, channel, amount } (amount 0.0 to 1.0)
+   *   { type: 'polyPressure', time, channel, note, amount } (amount 0.0 to 1.0)
+   */
+  parse(buffer) {
+    const data = new DataView(buffer);
+    let offset = 0;
+
+    const readChunkHeader = () => {
+      if (offset + 8 > data.byteLength) {
+        throw new Error('Invalid MIDI file: unexpected end of file');
+      }
+      const id = String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+      const length = data.getUint32(offset + 4);
+      offset += 8;
+      return { id, length };
+    };
+
+    const header = readChunkHeader();
+    if (header.id !== 'MThd' || header.length < 6) {
+      throw new Error('Invalid MIDI file: missing MThd header');
+    }
+    const format = data.getUint16(offset);
+    const trackCount = data.getUint16(offset + 2);
+    const division = data.getUint16(offset + 4);
+    offset += header.length;
+
+    if (format > 1) {
+      throw new Error(`Unsupported MIDI file format ${format} (only formats 0 and 1 are supported)`);
+    }
+
+    const rawEvents = [];
+    for (let track = 0; track < trackCount; track++) {
+      const chunk = readChunkHeader();
+      if (offset + chunk.length > data.byteLength) {
+        throw new Error(`Invalid MIDI file: track ${track + 1} is truncated`);
+      }
+      if (chunk.id === 'MTrk') {
+        for (const event of this.parseTrack(new Uint8Array(buffer, offset, chunk.length), track)) {
+          rawEvents.push(event);
+        }
+      }
+      offset += chunk.length;
+    }
+
+    // Events at the same tick keep file order (track, then position in track)
+    rawEvents.sort((a, b) => a.tick - b.tick || a.track - b.track || a.order - b.order);
+
+    const events = this.toSeconds(rawEvents, division);
+    const duration = events.length > 0 ? events[events.length - 1].time : 0;
+    console.log(`Parsed MIDI file: format ${format}, ${trackCount} tracks, ${events.length} events, ${duration.toFixed(1)}s`);
+
+    return { format, trackCount, events, duration };
+  }
+
+  /**
+   * Read the events of one MTrk chunk
+   * @returns {Array} Events with tick positions (tempo events included)
+   */
+  parseTrack(bytes, track) {
+    const events = [];
+    let position = 0;
+    let tick = 0;
+    let runningStatus = null;
+    const rpns = new Map(); // Channel -> { msb, lsb, semitones } RPN chosen with CC101/CC100
+
+    const readVariableLength = () => {
+      let value = 0;
+      for (let i = 0; i < 4; i++) {
+        if (position >= bytes.length) {
+          throw new Error(`Invalid MIDI file: track ${track + 1} ends inside an event`);
+        }
+        const byte = bytes[position++];
+        value = (value << 7) | (byte & 0x7F);
+        if ((byte & 0x80) === 0) return value;
+      }
+      throw new Error(`Invalid MIDI file: bad variable-length value in track ${track + 1}`);
+    };
+
+    while (position < bytes.length) {
+      tick += readVariableLength();
+      let status = bytes[position];
+
+      if (status === 0xFF) {
+        // Meta event
+        const metaType = bytes[position + 1];
+        position += 2;
+        const length = readVariableLength();
+        if (metaType === 0x51 && length === 3) {
+          const microsecondsPerQuarter = (bytes[position] << 16) | (bytes[position + 1] << 8) | bytes[position + 2];
+          events.push({ type: 'tempo', tick, track, order: events.length, microsecondsPerQuarter });
+        }
+        position += length;
+        runningStatus = null; // Meta events cancel running status, as SysEx does
+        if (metaType === 0x2F) break; // End of track
+        continue;
+      }
+
+      if (status === 0xF0 || status === 0xF7) {
+        // SysEx - skipped
+        position++;
+        const length = readVariableLength();
+        position += length;
+        runningStatus = null;
+        continue;
+      }
+
+      if (status & 0x80) {
+        position++;
+        runningStatus = status;
+      } else if (runningStatus !== null) {
+        status = runningStatus;
+      } else {
+        throw new Error(`Invalid MIDI file: data byte without status in track ${track + 1}`);
+      }
+
+      const type = status & 0xF0;
+      const channel = status & 0x0F;
+      const data1 = bytes[position++];
+      const data2 = (type === 0xC0 || type === 0xD0) ? null : bytes[position++];
+      if (channel === DRUM_CHANNEL) continue;
+
+      const base = { tick, track, order: events.length, channel };
+
+      if (type === 0x90 && data2 > 0) {
+        events.push({ ...base, type: 'noteOn', note: data1, velocity: data2 });
+      } else if (type === 0x80 || type === 0x90) {
+        // Note on with velocity 0 is a note off
+        events.push({ ...base, type: 'noteOff', note: data1 });
+      } else if (type === 0xB0 && data1 === 64) {
+        events.push({ ...base, type: 'sustainDepth', amount: data2 / 127 });
+        events.push({ ...base, order: events.length, type: 'sustain', down: data2 >= 64 });
+      } else if (type === 0xB0 && data1 === 66) {
+        events.push({ ...base, type: 'sostenuto', down: data2 >= 64 });
+      } else if (type === 0xB0 && data1 === 67) {
+        events.push({ ...base, type: 'softPedal', down: data2 >= 64 });
+      } else if (type === 0xB0 && data1 === 1) {
+        events.push({ ...base, type: 'modWheel', amount: data2 / 127 });
+      } else if (type === 0xB0 && (data1 === 101 || data1 === 100)) {
+        const rpn = rpns.get(channel) || { msb: 127, lsb: 127, semitones: null };
+        rpn[data1 === 101 ? 'msb' : 'lsb'] = data2;
+        rpns.set(channel, rpn);
+      } else if (type === 0xB0 && (data1 === 6 || data1 === 38)) {
+        // Data entry for RPN 0: semitones (CC6), then optionally cents (CC38)
+        const rpn = rpns.get(channel);
+        if (rpn && rpn.msb === 0 && rpn.lsb === 0 && (data1 === 6 || rpn.semitones !== null)) {
+          if (data1 === 6) rpn.semitones = data2;
+          events.push({ ...base, type: 'pitchBendRange', cents: rpn.semitones * 100 + (data1 === 38 ? data2 : 0) });
+        }
+      } else if (type === 0xE0) {
+        const bendValue = (data2 << 7) | data1;
+        events.push({ ...base, type: 'pitchBend', amount: (bendValue - 8192) / 8192 });
+      } else if (type === 0xD0) {
+        events.push({ ...base, type: 'channelPressure', amount: data1 / 127 });
+      } else if (type === 0xA0) {
+        events.push({ ...base, type: 'polyPressure', note: data1, amount: data2 / 127 });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Convert tick positions to seconds using the tempo map
+   * @param {Array} rawEvents - Events sorted by tick, including tempo events
+   * @param {number} division - Header division field (ticks per quarter note, or SMPTE)
+   * @returns {Array} Performance events with a time in seconds (tempo events removed)
+   */
+  toSeconds(rawEvents, division) {
+    const events = [];
+
+    // SMPTE division: negative frames per second in the high byte, ticks per frame in the low byte
+    if (division & 0x8000) {
+      const framesPerSecond = -((division >> 8) << 24 >> 24);
+      const secondsPerTick = 1 / (framesPerSecond * (division & 0xFF));
+      for (const { tick, track, order, ...event } of rawEvents) {
+        if (event.type !== 'tempo') events.push({ ...event, time: tick * secondsPerTick });
+      }
+      return events;
+    }
+
+    let secondsPerTick = 0.5 / division; // 120 BPM until the first tempo event
+    let lastTick = 0;
+    let lastTime = 0;
+
+    for (const { tick, track, order, ...event } of rawEvents) {
+      const time = lastTime + (tick - lastTick) * secondsPerTick;
+      lastTick = tick;
+      lastTime = time;
+
+      if (event.type === 'tempo') {
+        secondsPerTick = event.microsecondsPerQuarter / 1e6 / division;
+      } else {
+        events.push({ ...event, time });
+      }
+    }
+
+    return events;
+  }
+}
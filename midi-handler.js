@@ -1,6 +1,6 @@
 /**
  * MIDI Input Handler
- * Manages MIDI device connection and note events
+ * Manages MIDI device connection and note events, plus an optional output port
  */
 
 export class MIDIHandler {
@@ -11,7 +11,36 @@ export class MIDIHandler {
     this.onPitchBend = onPitchBend || (() => {}); // Optional callback
     this.onModWheel = onModWheel || (() => {}); // Optional callback
     this.midiAccess = null;
-    this.connectedDevices = [];
+    this.connectedDevices = []; // [{ id, name, manufacturer, enabled }], one per connected input
+    this.inputs = new Map(); // Input id -> MIDIInput being listened to
+    this.disabledInputs = new Set(); // Names of inputs turned off (names outlast port ids between sessions)
+    this.heldNotes = new Map(); // Input id -> keys (channel * 128 + note) held on it, let go if it goes away
+    this.onDevicesChange = null; // Optional: () => after inputs come or go, or are turned on or off
+    this.onDeviceConnected = null; // Optional: (device) for each input that appears, including at startup
+    this.handleStateChange = this.handleStateChange.bind(this);
+    this.output = null; // Selected MIDIOutput (null = none)
+    this.outputId = null; // Kept so the port reconnects after unplugging
+    this.sysexEnabled = false;
+    this.channelFilters = {}; // Input name -> channels (0-15) it may play; missing = all channels
+    this.onMessage = null; // Optional: (data, deviceName) => true to take a message before it is played (MIDI learn)
+    this.onChannelPressure = null; // Optional: (amount 0.0 to 1.0, channel) from aftertouch
+    this.onPolyPressure = null; // Optional: (note, amount 0.0 to 1.0, channel) from poly aftertouch
+    this.onSustainDepth = null; // Optional: (amount 0.0 to 1.0, channel) for half-pedaling, before onSustainPedal
+    this.onSostenutoPedal = null; // Optional: (down, channel) from CC66
+    this.onSoftPedal = null; // Optional: (down, channel) from CC67
+    this.onProgramChange = null; // Optional: (program 0-127, bank 0-16383, channel)
+    this.banks = new Map(); // Channel -> { msb, lsb } from the last bank select (CC0/CC32)
+    this.onPitchBendRange = null; // Optional: (cents, channel) from RPN 0 (pitch bend sensitivity)
+    this.rpns = new Map(); // Channel -> { msb, lsb, semitones } RPN chosen with CC101/CC100
+    
+    // MPE input (lower zone): channel 1 is the master channel, 2-16 each carry one note
+    // and its own pitch bend, pressure and timbre
+    this.mpeInput = false;
+    this.mpeMasterChannel = 0;
+    this.memberChannels = new Map(); // Channel -> { notes, bend, pressure, timbre }
+    this.onNoteBend = null; // Optional: (note, amount -1.0 to +1.0, channel)
+    this.onNotePressure = null; // Optional: (note, amount 0.0 to 1.0, channel)
+    this.onNoteTimbre = null; // Optional: (note, amount 0.0 to 1.0, channel) from CC74
   }
 
   /**
@@ -27,9 +56,7 @@ export class MIDIHandler {
       this.midiAccess = await navigator.requestMIDIAccess();
       
       // Listen for device connections/disconnections
-      this.midiAccess.addEventListener('statechange', (e) => {
-        this.handleStateChange(e);
-      });
+      this.midiAccess.addEventListener('statechange', this.handleStateChange);
 
       // Connect to existing inputs
       this.connectToInputs();
@@ -42,20 +69,130 @@ export class MIDIHandler {
   }
 
   /**
-   * Connect to all available MIDI inputs
+   * Ask for SysEx permission (needed to send MIDI Tuning Standard messages)
+   * The browser may prompt the user, so this is only done when SysEx is needed
+   * @returns {Promise<boolean>} True if SysEx is allowed
+   */
+  async enableSysex() {
+    if (this.sysexEnabled) return true;
+
+    try {
+      const previousAccess = this.midiAccess;
+      this.midiAccess = await navigator.requestMIDIAccess({ sysex: true });
+      // The old access reports the same ports, so stop listening to it
+      if (previousAccess) {
+        previousAccess.removeEventListener('statechange', this.handleStateChange);
+      }
+      this.midiAccess.addEventListener('statechange', this.handleStateChange);
+      this.connectToInputs();
+      this.selectOutput(this.outputId);
+      this.sysexEnabled = true;
+    } catch (error) {
+      console.warn('SysEx access denied:', error);
+      this.sysexEnabled = false;
+    }
+
+    return this.sysexEnabled;
+  }
+
+  /**
+   * Listen to the enabled MIDI inputs and list every connected one
+   * The list is rebuilt from the MIDIAccess each time, so reconnects and repeated
+   * state changes can't duplicate a device or leave a listener behind
    */
   connectToInputs() {
+    const previousIds = new Set(this.connectedDevices.map(d => d.id));
+    const previousInputs = Array.from(this.inputs.keys());
+    this.inputs.forEach(input => {
+      input.onmidimessage = null;
+    });
+    this.inputs.clear();
     this.connectedDevices = [];
     
-    for (let input of this.midiAccess.inputs.values()) {
-      console.log('Connecting to MIDI input:', input.name);
-      input.onmidimessage = (message) => this.handleMIDIMessage(message);
+    for (const input of this.midiAccess.inputs.values()) {
+      if (input.state === 'disconnected') continue;
+      
+      const enabled = !this.disabledInputs.has(input.name);
+      if (enabled) {
+        input.onmidimessage = (message) => this.handleMIDIMessage(message, input.id);
+        this.inputs.set(input.id, input);
+      }
       this.connectedDevices.push({
         id: input.id,
         name: input.name,
-        manufacturer: input.manufacturer
+        manufacturer: input.manufacturer,
+        enabled
       });
     }
+    
+    // Notes held on an input that was unplugged or turned off would never end
+    previousInputs
+      .filter(id => !this.inputs.has(id))
+      .forEach(id => this.releaseHeldNotes(id));
+    
+    this.connectedDevices
+      .filter(device => !previousIds.has(device.id))
+      .forEach(device => {
+        console.log(`MIDI input: ${device.name}${device.enabled ? '' : ' (off)'}`);
+        if (this.onDeviceConnected) this.onDeviceConnected(device);
+      });
+    if (this.onDevicesChange) this.onDevicesChange();
+  }
+
+  /**
+   * Turn an input on or off, by name
+   */
+  setInputEnabled(name, enabled) {
+    if (enabled) {
+      this.disabledInputs.delete(name);
+    } else {
+      this.disabledInputs.add(name);
+    }
+    if (this.midiAccess) this.connectToInputs();
+  }
+
+  /**
+   * Replace the names of the inputs that are turned off (e.g. from saved settings)
+   */
+  setDisabledInputs(names) {
+    this.disabledInputs = new Set(names);
+    if (this.midiAccess) this.connectToInputs();
+  }
+
+  /**
+   * Keep track of the keys held on each input
+   */
+  trackHeldNote(deviceId, command, channel, note, velocity) {
+    if (deviceId === null || (command !== 0x9 && command !== 0x8)) return;
+    
+    if (!this.heldNotes.has(deviceId)) {
+      this.heldNotes.set(deviceId, new Set());
+    }
+    const key = channel * 128 + note;
+    if (command === 0x9 && velocity > 0) {
+      this.heldNotes.get(deviceId).add(key);
+    } else {
+      this.heldNotes.get(deviceId).delete(key);
+    }
+  }
+
+  /**
+   * Whether a key was struck on an input and has not been let go yet
+   */
+  isHeldNote(deviceId, channel, note) {
+    const held = this.heldNotes.get(deviceId);
+    return Boolean(held && held.has(channel * 128 + note));
+  }
+
+  /**
+   * Let go of the keys still held on an input that went away
+   */
+  releaseHeldNotes(deviceId) {
+    const held = this.heldNotes.get(deviceId);
+    this.heldNotes.delete(deviceId);
+    if (!held) return;
+    
+    held.forEach(key => this.handleMIDIMessage({ data: [0x80 | (key >> 7), key & 0x7F, 0] }));
   }
 
   /**
@@ -65,90 +202,385 @@ export class MIDIHandler {
     const port = event.port;
     console.log(`MIDI device ${port.name} ${port.state}`);
     
-    if (port.type === 'input') {
-      if (port.state === 'connected') {
-        port.onmidimessage = (message) => this.handleMIDIMessage(message);
-        this.connectedDevices.push({
-          id: port.id,
-          name: port.name,
-          manufacturer: port.manufacturer
-        });
-      } else if (port.state === 'disconnected') {
-        this.connectedDevices = this.connectedDevices.filter(d => d.id !== port.id);
+    if (port.type === 'output') {
+      if (port.state === 'connected' && port.id === this.outputId) {
+        this.output = port;
+      } else if (port.state === 'disconnected' && this.output && port.id === this.output.id) {
+        this.output = null;
       }
+      return;
+    }
+    
+    if (port.type === 'input') {
+      this.connectToInputs();
     }
   }
 
   /**
    * Handle incoming MIDI messages
+   * Every callback gets the message's channel (0-15) as its last argument
+   * @param {string} deviceId - Input the message came from (for channel filtering)
    */
-  handleMIDIMessage(message) {
+  handleMIDIMessage(message, deviceId = null) {
     const [status, data1, data2] = message.data;
     
     // Get the command (upper 4 bits) and channel (lower 4 bits)
     const command = status >> 4;
     const channel = status & 0x0F;
     
+    const device = this.connectedDevices.find(d => d.id === deviceId);
+    const deviceName = device ? device.name : null;
+    
+    // System messages (0xF0 and up) have no channel
+    // A key struck before its channel was filtered out still gets its note off
+    const isNoteOff = command === 0x8 || (command === 0x9 && data2 === 0);
+    if (command < 0xF && !this.isChannelEnabled(deviceName, channel) &&
+        !(isNoteOff && this.isHeldNote(deviceId, channel, data1))) return;
+    
+    if (this.onMessage) {
+      if (this.onMessage(message.data, deviceName)) return;
+    }
+    
+    this.trackHeldNote(deviceId, command, channel, data1, data2);
+    
+    // MPE member channels bend and shape their own notes instead of the whole synth
+    if (this.mpeInput && channel !== this.mpeMasterChannel &&
+        this.handleMemberMessage(command, channel, data1, data2)) return;
+    
     switch (command) {
       case 0x9: // Note On
         if (data2 > 0) {
-          this.onNoteOn(data1, data2);
+          this.onNoteOn(data1, data2, channel);
         } else {
           // Velocity 0 is treated as note off
-          this.onNoteOff(data1);
+          this.onNoteOff(data1, channel);
         }
         break;
         
       case 0x8: // Note Off
-        this.onNoteOff(data1);
+        this.onNoteOff(data1, channel);
         break;
         
       case 0xB: // Control Change
-        this.handleControlChange(data1, data2);
+        this.handleControlChange(data1, data2, channel);
         break;
         
       case 0xE: // Pitch Bend
-        this.handlePitchBend(data1, data2);
+        this.handlePitchBend(data1, data2, channel);
+        break;
+        
+      case 0xA: // Polyphonic Aftertouch
+        if (this.onPolyPressure) this.onPolyPressure(data1, data2 / 127, channel);
+        break;
+        
+      case 0xD: // Channel Pressure (one data byte)
+        if (this.onChannelPressure) this.onChannelPressure(data1 / 127, channel);
+        break;
+        
+      case 0xC: // Program Change (one data byte)
+        this.handleProgramChange(data1, channel);
         break;
     }
   }
 
+  /**
+   * Turn MPE input on or off
+   * Off, every channel's pitch bend moves the whole synth as usual
+   */
+  setMpeInput(enabled) {
+    this.mpeInput = enabled;
+    this.memberChannels.clear();
+    console.log(`MPE input ${enabled ? 'on' : 'off'}`);
+  }
+
+  /**
+   * Handle a message on an MPE member channel
+   * Expression sent before a note on (as MPE controllers do) is applied once the note starts
+   * @returns {boolean} True if handled here, false to handle it as a normal message
+   */
+  handleMemberMessage(command, channel, data1, data2) {
+    if (!this.memberChannels.has(channel)) {
+      this.memberChannels.set(channel, { notes: new Set(), bend: 0, pressure: null, timbre: null });
+    }
+    const member = this.memberChannels.get(channel);
+    const notify = (callback, value) => {
+      if (callback) member.notes.forEach(note => callback(note, value, channel));
+    };
+    
+    switch (command) {
+      case 0x9: // Note On
+        if (data2 > 0) {
+          member.notes.add(data1);
+          const applyExpression = () => {
+            if (!member.notes.has(data1)) return;
+            if (member.bend !== 0 && this.onNoteBend) this.onNoteBend(data1, member.bend, channel);
+            if (member.pressure !== null && this.onNotePressure) this.onNotePressure(data1, member.pressure, channel);
+            if (member.timbre !== null && this.onNoteTimbre) this.onNoteTimbre(data1, member.timbre, channel);
+          };
+          
+          // The note on handler may start the voice asynchronously
+          const started = this.onNoteOn(data1, data2, channel);
+          if (started && typeof started.then === 'function') {
+            started.then(applyExpression);
+          } else {
+            applyExpression();
+          }
+          return true;
+        }
+        member.notes.delete(data1);
+        this.onNoteOff(data1, channel);
+        return true;
+        
+      case 0x8: // Note Off
+        member.notes.delete(data1);
+        this.onNoteOff(data1, channel);
+        return true;
+        
+      case 0xE: // Per-note pitch bend
+        member.bend = (((data2 << 7) | data1) - 8192) / 8192;
+        notify(this.onNoteBend, member.bend);
+        return true;
+        
+      case 0xD: // Per-note pressure (channel pressure)
+        member.pressure = data1 / 127;
+        notify(this.onNotePressure, member.pressure);
+        return true;
+        
+      case 0xB: // CC74 is per-note timbre; other controllers work as usual
+        if (data1 !== 74) return false;
+        member.timbre = data2 / 127;
+        notify(this.onNoteTimbre, member.timbre);
+        return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Limit an input to some channels
+   * @param {string} name - Input name (names outlast port ids between sessions)
+   * @param {number[]|null} channels - Channels to play (0-15), or null for all
+   */
+  setChannelFilter(name, channels) {
+    if (channels === null || channels.length === 0) {
+      delete this.channelFilters[name];
+    } else {
+      this.channelFilters[name] = channels.filter(ch => Number.isInteger(ch) && ch >= 0 && ch <= 15);
+    }
+  }
+
+  /**
+   * Whether messages on a channel from an input are played
+   */
+  isChannelEnabled(name, channel) {
+    const channels = this.channelFilters[name];
+    return !channels || channels.includes(channel);
+  }
+
+  /**
+   * Read a channel list typed by the user, e.g. "1, 3-4" (channels are 1-16 on screen)
+   * @returns {number[]|null} 0-based channels, or null for all channels
+   */
+  static parseChannelList(text) {
+    const trimmed = (text || '').trim().toLowerCase();
+    if (trimmed === '' || trimmed === 'all') return null;
+    
+    const channels = new Set();
+    for (const part of trimmed.split(/[\s,]+/).filter(Boolean)) {
+      const match = part.match(/^(\d+)(?:-(\d+))?$/);
+      const from = match ? parseInt(match[1]) : NaN;
+      const to = match && match[2] ? parseInt(match[2]) : from;
+      if (!(from >= 1 && to <= 16 && from <= to)) {
+        console.warn(`Invalid MIDI channel list: ${text}, using all channels`);
+        return null;
+      }
+      for (let ch = from; ch <= to; ch++) channels.add(ch - 1);
+    }
+    
+    return Array.from(channels).sort((a, b) => a - b);
+  }
+
+  /**
+   * Write a channel list for display, e.g. [0, 2, 3] -> "1, 3-4"
+   */
+  static formatChannelList(channels) {
+    if (!channels || channels.length === 0) return 'all';
+    
+    const ranges = [];
+    for (const ch of channels) {
+      const last = ranges[ranges.length - 1];
+      if (last && ch === last[1] + 1) {
+        last[1] = ch;
+      } else {
+        ranges.push([ch, ch]);
+      }
+    }
+    return ranges.map(([from, to]) => from === to ? `${from + 1}` : `${from + 1}-${to + 1}`).join(', ');
+  }
+
   /**
    * Handle MIDI Control Change messages
    */
-  handleControlChange(controller, value) {
+  handleControlChange(controller, value, channel = 0) {
     switch (controller) {
       case 1: // Modulation Wheel (CC1)
         // Normalize to 0.0 - 1.0 range
         const modAmount = value / 127;
-        this.onModWheel(modAmount);
+        this.onModWheel(modAmount, channel);
         break;
         
       case 64: // Sustain Pedal (CC64)
+        if (this.onSustainDepth) this.onSustainDepth(value / 127, channel);
         const pedalDown = value >= 64;
-        this.onSustainPedal(pedalDown);
+        this.onSustainPedal(pedalDown, channel);
+        break;
+        
+      case 66: // Sostenuto Pedal (CC66)
+        if (this.onSostenutoPedal) this.onSostenutoPedal(value >= 64, channel);
+        break;
+        
+      case 67: // Soft Pedal (CC67)
+        if (this.onSoftPedal) this.onSoftPedal(value >= 64, channel);
+        break;
+        
+      case 0: // Bank Select MSB (CC0) and LSB (CC32), used by the next program change
+      case 32: {
+        const bank = this.banks.get(channel) || { msb: 0, lsb: 0 };
+        bank[controller === 0 ? 'msb' : 'lsb'] = value;
+        this.banks.set(channel, bank);
+        break;
+      }
+        
+      case 101: // RPN MSB (CC101) and LSB (CC100) choose what data entry sets
+      case 100: {
+        const rpn = this.rpns.get(channel) || { msb: 127, lsb: 127, semitones: null };
+        rpn[controller === 101 ? 'msb' : 'lsb'] = value;
+        this.rpns.set(channel, rpn);
+        break;
+      }
+        
+      case 6: // Data Entry MSB (CC6) and LSB (CC38)
+      case 38:
+        this.handleDataEntry(controller, value, channel);
         break;
         
-      // Could add more controllers here:
-      // case 7: // Volume
-      // case 10: // Pan
-      // etc.
+      // Other controllers can be bound to any control with MIDI learn
     }
   }
 
+  /**
+   * Handle a data entry for the selected RPN
+   * Only RPN 0 (pitch bend range) is used: the MSB is semitones and the optional LSB cents
+   */
+  handleDataEntry(controller, value, channel) {
+    const rpn = this.rpns.get(channel);
+    if (!rpn || rpn.msb !== 0 || rpn.lsb !== 0) return;
+    
+    if (controller === 6) {
+      rpn.semitones = value;
+    } else if (rpn.semitones === null) {
+      return; // Cents mean nothing without the semitones
+    }
+    const cents = rpn.semitones * 100 + (controller === 38 ? value : 0);
+    if (this.onPitchBendRange) this.onPitchBendRange(cents, channel);
+  }
+
+  /**
+   * Handle MIDI Program Change messages, in the bank last selected on the channel
+   */
+  handleProgramChange(program, channel = 0) {
+    const bank = this.banks.get(channel) || { msb: 0, lsb: 0 };
+    if (this.onProgramChange) this.onProgramChange(program, bank.msb * 128 + bank.lsb, channel);
+  }
+
   /**
    * Handle MIDI Pitch Bend messages
    * Pitch bend is sent as two 7-bit values (LSB, MSB)
    * Range: 0-16383, center is 8192
    */
-  handlePitchBend(lsb, msb) {
+  handlePitchBend(lsb, msb, channel = 0) {
     // Combine the two 7-bit values into a 14-bit value
     const bendValue = (msb << 7) | lsb;
     
     // Normalize to -1.0 to +1.0 range (center at 8192)
     const normalizedBend = (bendValue - 8192) / 8192;
     
-    this.onPitchBend(normalizedBend);
+    this.onPitchBend(normalizedBend, channel);
+  }
+
+  /**
+   * Get list of available output ports
+   */
+  getOutputPorts() {
+    if (!this.midiAccess) return [];
+    return Array.from(this.midiAccess.outputs.values()).map(output => ({
+      id: output.id,
+      name: output.name,
+      manufacturer: output.manufacturer
+    }));
+  }
+
+  /**
+   * Choose the port that outgoing messages are sent to
+   * @param {string|null} id - Output port id, or null for none
+   */
+  selectOutput(id) {
+    this.outputId = id;
+    this.output = id && this.midiAccess ? this.midiAccess.outputs.get(id) || null : null;
+    if (id && !this.output) {
+      console.warn(`MIDI output ${id} is not connected`);
+    } else if (this.output) {
+      console.log('Sending MIDI to output:', this.output.name);
+    }
+  }
+
+  /**
+   * Send raw bytes to the selected output (ignored if none is selected)
+   */
+  send(bytes) {
+    if (!this.output) return;
+    
+    // SysEx needs permission; everything else can always be sent
+    if (bytes[0] === 0xF0 && !this.sysexEnabled) {
+      console.warn('SysEx not enabled, message dropped');
+      return;
+    }
+    
+    try {
+      this.output.send(bytes);
+    } catch (error) {
+      console.error('Failed to send MIDI message:', error);
+    }
+  }
+
+  /**
+   * Send a note on to the selected output
+   */
+  sendNoteOn(note, velocity, channel = 0) {
+    this.send([0x90 | channel, note, velocity]);
+  }
+
+  /**
+   * Send a note off to the selected output
+   */
+  sendNoteOff(note, channel = 0) {
+    this.send([0x80 | channel, note, 0]);
+  }
+
+  /**
+   * Send a control change to the selected output
+   */
+  sendControlChange(controller, value, channel = 0) {
+    this.send([0xB0 | channel, controller, value]);
+  }
+
+  /**
+   * Send a pitch bend to the selected output
+   * @param {number} amount - Normalized bend (-1.0 to +1.0)
+   */
+  sendPitchBend(amount, channel = 0) {
+    const bendValue = Math.max(0, Math.min(16383, Math.round(amount * 8192 + 8192)));
+    this.send([0xE0 | channel, bendValue & 0x7F, bendValue >> 7]);
   }
 
   /**
@@ -0,0 +1,282 @@
+/**
+ * MIDI Learn
+ * Maps controller knobs, faders and keys to any control in the UI
+ *
+ * Pick a control with startLearning(), then move a knob or press a key: the first
+ * control change or note on is bound to it. Values go out as 0-1 through onChange,
+ * and the app sets the control as if it had been moved with the mouse
+ *
+ * Modes (control changes):
+ *   'absolute'        - 0-127 across the range
+ *   '14bit'           - CC 0-31 with its fine LSB partner (CC 32-63), 0-16383 across the range
+ *   'relative'        - Endless encoder, two's complement (1-63 up, 65-127 down)
+ *   'relative-offset' - Endless encoder, 64 is no change (65 up one, 63 down one)
+ * Notes toggle the control between the ends of its range
+ */
+
+export const MAPPING_MODES = ['absolute', '14bit', 'relative', 'relative-offset'];
+
+export class MidiLearn {
+  constructor() {
+    this.mappings = []; // [{ device, channel, type: 'cc' | 'note', number, target, mode, min, max }]
+    this.learnTarget = null; // Control id waiting for a knob or key
+    this.lastLearned = null; // Watched for a fine LSB, to switch it to 14-bit
+    this.onChange = null; // (target, value 0-1) => value actually applied (controls may round it)
+    this.onLearn = null; // Optional callback after a mapping is made or changed
+    this.getValue = null; // (target) => current value 0-1, for encoders and note toggles
+  }
+
+  /**
+   * Bind the next control change or note on to a control
+   * @param {string} target - Control id
+   */
+  startLearning(target) {
+    this.learnTarget = target;
+    this.lastLearned = null;
+    console.log(`MIDI learn: waiting for a control for ${target}`);
+  }
+
+  cancelLearning() {
+    this.learnTarget = null;
+  }
+
+  /**
+   * Look at a MIDI message before it is played
+   * @param {Uint8Array|Array} data - Message bytes
+   * @param {string|null} device - Name of the input it came from
+   * @returns {boolean} True if the message was used here and shouldn't be played
+   */
+  handleMessage(data, device = null) {
+    const [status, number, value] = data;
+    const command = status >> 4;
+    const channel = status & 0x0F;
+    const isNoteOn = command === 0x9 && value > 0;
+    const isNoteOff = command === 0x8 || (command === 0x9 && value === 0);
+    if (command !== 0xB && !isNoteOn && !isNoteOff) return false;
+
+    const type = command === 0xB ? 'cc' : 'note';
+    const source = { device, channel, type, number };
+
+    // Note offs are left alone: a key held from before is still let go, and the learned
+    // key's own note off is swallowed by its new mapping below
+    if (this.learnTarget !== null && !isNoteOff) {
+      this.learn(source, this.learnTarget);
+      return true;
+    }
+
+    // A knob sending its fine LSB right after being learned is a 14-bit control
+    const learned = this.lastLearned;
+    if (learned && type === 'cc' && learned.type === 'cc' && learned.mode === 'absolute' &&
+        learned.number < 32 && number === learned.number + 32 &&
+        learned.channel === channel && learned.device === device) {
+      learned.mode = '14bit';
+      console.log(`MIDI learn: CC ${learned.number} is 14-bit`);
+      if (this.onLearn) this.onLearn(learned);
+    }
+
+    const matches = this.mappings.filter(mapping => this.matches(mapping, source));
+    matches.forEach(mapping => this.apply(mapping, number, value, isNoteOn));
+    return matches.length > 0;
+  }
+
+  /**
+   * Whether a mapping listens to a message source
+   * Mappings and messages without a device match any device
+   */
+  matches(mapping, { device, channel, type, number }) {
+    if (mapping.type !== type || mapping.channel !== channel) return false;
+    if (mapping.device !== null && device !== null && mapping.device !== device) return false;
+    return mapping.number === number ||
+      (mapping.mode === '14bit' && number === mapping.number + 32);
+  }
+
+  /**
+   * Bind a source to a control, replacing what the source controlled before
+   */
+  learn(source, target) {
+    const mapping = this.normalizeMapping({ ...source, target });
+    this.mappings = this.mappings.filter(existing => !this.isSameSource(existing, mapping));
+    this.mappings.push(mapping);
+    this.learnTarget = null;
+    this.lastLearned = mapping;
+    console.log(`MIDI learn: ${this.describeSource(mapping)} -> ${target}`);
+    if (this.onLearn) this.onLearn(mapping);
+  }
+
+  isSameSource(a, b) {
+    return a.device === b.device && a.channel === b.channel && a.type === b.type && a.number === b.number;
+  }
+
+  /**
+   * Turn a message into a control value and send it
+   */
+  apply(mapping, number, value, isNoteOn) {
+    let position; // 0-1 between the mapping's min and max
+
+    if (mapping.type === 'note') {
+      if (!isNoteOn) return;
+      position = this.getPosition(mapping) >= 0.5 ? 0 : 1;
+    } else if (mapping.mode === '14bit') {
+      // The coarse MSB comes first and clears the fine LSB
+      if (number === mapping.number) {
+        mapping.msb = value;
+        mapping.lsb = 0;
+      } else {
+        mapping.lsb = value;
+      }
+      position = ((mapping.msb || 0) * 128 + mapping.lsb) / 16383;
+    } else if (mapping.mode === 'relative' || mapping.mode === 'relative-offset') {
+      const steps = mapping.mode === 'relative' ? (value < 64 ? value : value - 128) : value - 64;
+      position = Math.max(0, Math.min(1, this.getPosition(mapping) + steps / 127));
+    } else {
+      position = value / 127;
+    }
+
+    const output = mapping.min + position * (mapping.max - mapping.min);
+    const applied = this.onChange ? this.onChange(mapping.target, output) : undefined;
+    mapping.position = position;
+    mapping.output = applied === undefined ? output : applied;
+  }
+
+  /**
+   * Where a control is between a mapping's min and max (0-1)
+   * Encoders keep their own position between steps that are too small for the control
+   * to show, until the control is moved some other way
+   */
+  getPosition(mapping) {
+    const current = this.getValue ? this.getValue(mapping.target) : null;
+    if (mapping.position !== undefined && (current === null || Math.abs(current - mapping.output) < 1e-9)) {
+      return mapping.position;
+    }
+    if (current === null || mapping.max === mapping.min) return 0;
+    return Math.max(0, Math.min(1, (current - mapping.min) / (mapping.max - mapping.min)));
+  }
+
+  /**
+   * Change how a mapping reads its control or scales its range
+   * @param {number} index - Position in this.mappings
+   * @param {Object} changes - Any of { mode, min, max } (min and max are 0-1; min above max inverts)
+   */
+  updateMapping(index, changes) {
+    const mapping = this.mappings[index];
+    if (!mapping) return;
+
+    const updated = this.normalizeMapping({ ...this.toSaved(mapping), ...changes });
+    this.mappings[index] = updated;
+    if (this.lastLearned === mapping) this.lastLearned = updated;
+  }
+
+  removeMapping(index) {
+    const [removed] = this.mappings.splice(index, 1);
+    if (removed && removed === this.lastLearned) this.lastLearned = null;
+  }
+
+  /**
+   * Fill in and check a mapping's fields
+   * @returns {Object|null} The mapping, or null if it can't be used
+   */
+  normalizeMapping(mapping) {
+    const type = mapping.type === 'note' ? 'note' : 'cc';
+    const { channel, number, target } = mapping;
+    if (!Number.isInteger(channel) || channel < 0 || channel > 15 ||
+        !Number.isInteger(number) || number < 0 || number > 127 || typeof target !== 'string') {
+      return null;
+    }
+
+    let mode = MAPPING_MODES.includes(mapping.mode) ? mapping.mode : 'absolute';
+    if (mode === '14bit' && number >= 32) {
+      console.warn(`CC ${number} has no fine LSB partner, using absolute`);
+      mode = 'absolute';
+    }
+    const clamp = (value, fallback) => Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : fallback;
+
+    return {
+      device: typeof mapping.device === 'string' ? mapping.device : null,
+      channel,
+      type,
+      number,
+      target,
+      mode,
+      min: clamp(mapping.min, 0),
+      max: clamp(mapping.max, 1)
+    };
+  }
+
+  /**
+   * A mapping without the values it picked up while playing
+   */
+  toSaved({ device, channel, type, number, target, mode, min, max }) {
+    return { device, channel, type, number, target, mode, min, max };
+  }
+
+  /**
+   * Mappings for saving in settings
+   */
+  getMappings() {
+    return this.mappings.map(mapping => this.toSaved(mapping));
+  }
+
+  /**
+   * Replace the mappings with saved ones, dropping any that can't be used
+   */
+  setMappings(mappings) {
+    this.mappings = (mappings || [])
+      .map(mapping => this.normalizeMapping(mapping))
+      .filter(mapping => mapping !== null);
+    this.lastLearned = null;
+  }
+
+  /**
+   * Names of the controllers that have mappings (null for mappings that work with any device)
+   */
+  getDevices() {
+    return Array.from(new Set(this.mappings.map(mapping => mapping.device)));
+  }
+
+  /**
+   * One controller's mappings as a JSON preset
+   * @param {string|null} device - Controller name
+   */
+  exportMappings(device) {
+    return {
+      format: 'intone-midi-mappings',
+      version: 1,
+      device,
+      mappings: this.getMappings().filter(mapping => mapping.device === device)
+    };
+  }
+
+  /**
+   * Add the mappings from an exported preset, replacing that controller's mappings
+   * @param {Object} preset - Result of exportMappings() (e.g. parsed from a file)
+   * @param {string|null} device - Controller to use them with (defaults to the one they were made on)
+   * @returns {number} Number of mappings added
+   */
+  importMappings(preset, device = undefined) {
+    if (!preset || preset.format !== 'intone-midi-mappings' || !Array.isArray(preset.mappings)) {
+      throw new Error('Not a MIDI mapping file');
+    }
+
+    const owner = device === undefined ? (preset.device || null) : device;
+    const imported = preset.mappings
+      .map(mapping => this.normalizeMapping({ ...mapping, device: owner }))
+      .filter(mapping => mapping !== null);
+    if (imported.length === 0) {
+      throw new Error('The file has no usable mappings');
+    }
+
+    this.mappings = this.mappings.filter(mapping => mapping.device !== owner).concat(imported);
+    return imported.length;
+  }
+
+  /**
+   * Describe a mapping's source, e.g. "CC 74 ch 1" or "E4 ch 10"
+   */
+  describeSource(mapping) {
+    const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    const control = mapping.type === 'note' ?
+      `${names[mapping.number % 12]}${Math.floor(mapping.number / 12) - 1}` :
+      mapping.mode === '14bit' ? `CC ${mapping.number}/${mapping.number + 32}` : `CC ${mapping.number}`;
+    return `${control} ch ${mapping.channel + 1}`;
+  }
+}
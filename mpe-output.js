@@ -0,0 +1,264 @@
+/**
+ * MPEOutput - Plays the computed tunings on any multitimbral synth
+ * Each note gets its own MIDI channel with a pitch bend that moves the key's 12-TET pitch
+ * to its just frequency. Follows the MPE lower zone: channel 1 is the master channel,
+ * channels 2 and up are member channels.
+ *
+ * Spec: MIDI Polyphonic Expression (MMA, RP-053)
+ */
+
+export class MPEOutput {
+  /**
+   * @param {Function} send - Called with each message as an array of bytes
+   */
+  constructor(send = () => {}) {
+    this.send = send;
+    this.masterChannel = 0; // Channel 1
+    this.memberChannelCount = 15; // Channels 2-16
+    this.bendRange = 48; // Member channel bend range in semitones (MPE default)
+    this.masterBendRange = 2; // Master channel bend range in semitones (MPE default)
+    this.glideInterval = 10; // ms between pitch bend updates while gliding
+
+    this.notes = new Map(); // midiNote -> { channel, frequency, glideTimer }
+    this.channelReleaseTimes = new Map(); // channel -> when its last note ended
+  }
+
+  /**
+   * Set the number of member channels (1-15)
+   */
+  setMemberChannelCount(count) {
+    if (!(Number.isInteger(count) && count >= 1 && count <= 15)) {
+      console.warn(`Invalid MPE member channel count: ${count}. Using 15.`);
+      count = 15;
+    }
+    this.memberChannelCount = count;
+  }
+
+  /**
+   * Set the member channel pitch bend range in semitones (1-96)
+   */
+  setBendRange(semitones) {
+    if (!(Number.isInteger(semitones) && semitones >= 1 && semitones <= 96)) {
+      console.warn(`Invalid MPE bend range: ${semitones}. Using 48.`);
+      semitones = 48;
+    }
+    this.bendRange = semitones;
+  }
+
+  /**
+   * Set the master channel pitch bend range (the pitch wheel range) in cents
+   */
+  setMasterBendRange(cents) {
+    this.masterBendRange = cents / 100;
+  }
+
+  /**
+   * Build a Registered Parameter Number change, followed by the null RPN
+   * @param {number} channel - MIDI channel (0-15)
+   * @param {number} parameter - RPN number
+   * @param {number} semitones - Data entry MSB
+   * @param {number} cents - Data entry LSB (omitted if null)
+   */
+  buildRPN(channel, parameter, semitones, cents = null) {
+    const status = 0xB0 | channel;
+    const messages = [
+      [status, 101, parameter >> 7],
+      [status, 100, parameter & 0x7F],
+      [status, 6, semitones]
+    ];
+    if (cents !== null) {
+      messages.push([status, 38, cents]);
+    }
+    messages.push([status, 101, 127], [status, 100, 127]);
+    return messages;
+  }
+
+  /**
+   * Build the zone setup: MPE Configuration Message (RPN 6) on the master channel,
+   * then the pitch bend sensitivity (RPN 0) of the master and every member channel
+   */
+  buildZoneConfiguration() {
+    const messages = this.buildRPN(this.masterChannel, 6, this.memberChannelCount);
+    messages.push(...this.buildMasterBendRange());
+
+    for (const channel of this.getMemberChannels()) {
+      messages.push(...this.buildRPN(channel, 0, this.bendRange, 0));
+    }
+    return messages;
+  }
+
+  /**
+   * Build the master channel's pitch bend sensitivity (RPN 0), the pitch wheel range
+   */
+  buildMasterBendRange() {
+    const semitones = Math.floor(this.masterBendRange);
+    const cents = Math.round((this.masterBendRange - semitones) * 100);
+    return this.buildRPN(this.masterChannel, 0, semitones, cents);
+  }
+
+  /**
+   * Send the zone setup (call after choosing a port or changing the zone)
+   */
+  configureZone() {
+    this.buildZoneConfiguration().forEach(message => this.send(message));
+  }
+
+  /**
+   * Release the zone: MCM with zero member channels
+   */
+  releaseZone() {
+    this.allNotesOff();
+    this.buildRPN(this.masterChannel, 6, 0).forEach(message => this.send(message));
+  }
+
+  /**
+   * Member channels of the lower zone (0-based)
+   */
+  getMemberChannels() {
+    return Array.from({ length: this.memberChannelCount }, (_, i) => this.masterChannel + 1 + i);
+  }
+
+  /**
+   * Pick a channel for a new note
+   * Prefers the free channel that has been quiet longest, so release tails aren't bent;
+   * with every channel busy, the oldest note's channel is recycled
+   * @returns {Object} { channel, stolenNote }
+   */
+  allocateChannel() {
+    const busy = new Map(Array.from(this.notes, ([midiNote, note]) => [note.channel, midiNote]));
+    const free = this.getMemberChannels().filter(channel => !busy.has(channel));
+
+    if (free.length > 0) {
+      const channel = free.reduce((oldest, c) =>
+        (this.channelReleaseTimes.get(c) || 0) < (this.channelReleaseTimes.get(oldest) || 0) ? c : oldest
+      );
+      return { channel, stolenNote: null };
+    }
+
+    // Map keeps insertion order, so the first entry is the oldest note
+    const [stolenNote, note] = this.notes.entries().next().value;
+    return { channel: note.channel, stolenNote };
+  }
+
+  /**
+   * Convert a frequency to a 14-bit pitch bend relative to a key's 12-TET pitch
+   * @returns {number} 0-16383 (8192 = no bend)
+   */
+  frequencyToBend(frequency, midiNote) {
+    const semitones = 12 * Math.log2(frequency / 440) + 69 - midiNote;
+    if (Math.abs(semitones) > this.bendRange) {
+      console.warn(`${frequency.toFixed(2)} Hz is beyond the ±${this.bendRange} semitone bend range of note ${midiNote}`);
+    }
+    const bend = Math.round(8192 + (semitones / this.bendRange) * 8192);
+    return Math.max(0, Math.min(16383, bend));
+  }
+
+  /**
+   * Build a pitch bend message
+   * @param {number} value - 14-bit bend (0-16383)
+   */
+  buildPitchBend(channel, value) {
+    return [0xE0 | channel, value & 0x7F, value >> 7];
+  }
+
+  /**
+   * Start a note on its own channel, bent to its frequency before it sounds
+   * @returns {Object} { channel, stolenNote }
+   */
+  noteOn(midiNote, frequency, velocity) {
+    let allocation;
+    if (this.notes.has(midiNote)) {
+      // A retriggered key keeps its channel
+      allocation = { channel: this.notes.get(midiNote).channel, stolenNote: null };
+      this.noteOff(midiNote);
+    } else {
+      allocation = this.allocateChannel();
+      if (allocation.stolenNote !== null) {
+        this.noteOff(allocation.stolenNote);
+      }
+    }
+
+    const { channel } = allocation;
+    this.send(this.buildPitchBend(channel, this.frequencyToBend(frequency, midiNote)));
+    this.send([0x90 | channel, midiNote, velocity]);
+    this.notes.set(midiNote, { channel, frequency, glideTimer: null });
+    return allocation;
+  }
+
+  /**
+   * End a note and free its channel
+   */
+  noteOff(midiNote) {
+    const note = this.notes.get(midiNote);
+    if (!note) return;
+
+    this.stopGlide(note);
+    this.send([0x80 | note.channel, midiNote, 0]);
+    this.notes.delete(midiNote);
+    this.channelReleaseTimes.set(note.channel, Date.now());
+  }
+
+  /**
+   * End every note
+   */
+  allNotesOff() {
+    Array.from(this.notes.keys()).forEach(midiNote => this.noteOff(midiNote));
+  }
+
+  /**
+   * Release any notes the synth is no longer playing (e.g. after the sustain pedal lifts)
+   * @param {Set} soundingNotes - MIDI notes that are still active
+   */
+  releaseNotesExcept(soundingNotes) {
+    Array.from(this.notes.keys())
+      .filter(midiNote => !soundingNotes.has(midiNote))
+      .forEach(midiNote => this.noteOff(midiNote));
+  }
+
+  /**
+   * Retune a sounding note
+   * @param {number} glideTime - Seconds to glide over (0 = jump)
+   */
+  retune(midiNote, frequency, glideTime = 0) {
+    const note = this.notes.get(midiNote);
+    if (!note) return;
+
+    this.stopGlide(note);
+    if (glideTime <= 0) {
+      note.frequency = frequency;
+      this.send(this.buildPitchBend(note.channel, this.frequencyToBend(frequency, midiNote)));
+      return;
+    }
+
+    // Stream bends along the same exponential path as the local voice's glide
+    const from = note.frequency;
+    const start = Date.now();
+    const step = () => {
+      const progress = Math.min(1, (Date.now() - start) / (glideTime * 1000));
+      note.frequency = from * Math.pow(frequency / from, progress);
+      this.send(this.buildPitchBend(note.channel, this.frequencyToBend(note.frequency, midiNote)));
+      if (progress === 1) this.stopGlide(note);
+    };
+    note.glideTimer = setInterval(step, this.glideInterval);
+    step();
+  }
+
+  /**
+   * Stop streaming a glide
+   */
+  stopGlide(note) {
+    if (note.glideTimer !== null) {
+      clearInterval(note.glideTimer);
+      note.glideTimer = null;
+    }
+  }
+
+  /**
+   * Move the master channel bend (the pitch wheel, shared by every note)
+   * @param {number} amount - Normalized bend (-1.0 to +1.0)
+   */
+  sendMasterPitchBend(amount) {
+    const value = Math.max(0, Math.min(16383, Math.round(amount * 8192 + 8192)));
+    this.send(this.buildPitchBend(this.masterChannel, value));
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * MTSOutput - Sends MIDI Tuning Standard SysEx so external synths play the computed tunings
+ * Supports Real-Time Single Note Tuning Change and Bulk Tuning Dump messages
+ *
+ * Spec: MIDI Tuning Standard (MMA, CA-020/021)
+ */
+
+export class MTSOutput {
+  /**
+   * @param {Function} send - Called with each message as an array of bytes
+   */
+  constructor(send = () => {}) {
+    this.send = send;
+    this.deviceId = 0x7F; // All devices
+    this.program = 0; // Tuning program to write
+    this.maxChangesPerMessage = 127; // Single note tuning change carries at most 127 keys
+  }
+
+  /**
+   * Convert a frequency to the MTS 3-byte format
+   * xx = semitone (MIDI note), yy zz = 14-bit fraction of a semitone (100/16384 cents per unit)
+   * @param {number} frequency - Frequency in Hz
+   * @returns {Array} [xx, yy, zz]
+   */
+  frequencyToMts(frequency) {
+    const semitone = 69 + 12 * Math.log2(frequency / 440);
+    if (!(semitone > 0)) return [0, 0, 0];
+
+    let note = Math.floor(semitone);
+    let fraction = Math.round((semitone - note) * 16384);
+    if (fraction === 16384) {
+      note += 1;
+      fraction = 0;
+    }
+
+    // 7F 7F 7F means "no change", so the top of the range stops one step short
+    if (note > 127 || (note === 127 && fraction > 16382)) return [127, 0x7F, 0x7E];
+
+    return [note, fraction >> 7, fraction & 0x7F];
+  }
+
+  /**
+   * Convert the MTS 3-byte format back to a frequency
+   * @returns {number|null} Frequency in Hz, or null for "no change"
+   */
+  mtsToFrequency([note, msb, lsb]) {
+    if (note === 0x7F && msb === 0x7F && lsb === 0x7F) return null;
+    const semitone = note + ((msb << 7) | lsb) / 16384;
+    return 440 * Math.pow(2, (semitone - 69) / 12);
+  }
+
+  /**
+   * Build Real-Time Single Note Tuning Change messages
+   * F0 7F <device> 08 02 <program> <count> [<key> xx yy zz]... F7
+   * @param {Array} changes - [{ midiNote, frequency }]
+   * @returns {Array} Messages (more than one if there are over 127 changes)
+   */
+  buildSingleNoteTuning(changes) {
+    const messages = [];
+    for (let i = 0; i < changes.length; i += this.maxChangesPerMessage) {
+      const chunk = changes.slice(i, i + this.maxChangesPerMessage);
+      const message = [0xF0, 0x7F, this.deviceId, 0x08, 0x02, this.program, chunk.length];
+      for (const { midiNote, frequency } of chunk) {
+        message.push(midiNote, ...this.frequencyToMts(frequency));
+      }
+      message.push(0xF7);
+      messages.push(message);
+    }
+    return messages;
+  }
+
+  /**
+   * Build a Bulk Tuning Dump for all 128 keys
+   * F0 7E <device> 08 01 <program> <name: 16 bytes> [xx yy zz] x 128 <checksum> F7
+   * @param {Array} frequencies - 128 frequencies in Hz (null = leave the key unchanged)
+   * @param {string} name - Tuning name (ASCII, padded or cut to 16 characters)
+   */
+  buildBulkDump(frequencies, name = 'Just Intonation') {
+    const message = [0xF0, 0x7E, this.deviceId, 0x08, 0x01, this.program];
+
+    const paddedName = name.padEnd(16, ' ').slice(0, 16);
+    for (let i = 0; i < 16; i++) {
+      message.push(paddedName.charCodeAt(i) & 0x7F);
+    }
+
+    for (let key = 0; key < 128; key++) {
+      const frequency = frequencies[key];
+      message.push(...(frequency === null || frequency === undefined ?
+        [0x7F, 0x7F, 0x7F] :
+        this.frequencyToMts(frequency)));
+    }
+
+    // Checksum: XOR of every byte after F0, up to the last data byte
+    const checksum = message.slice(1).reduce((sum, byte) => sum ^ byte, 0) & 0x7F;
+    message.push(checksum, 0xF7);
+    return message;
+  }
+
+  /**
+   * Retune individual keys in real time
+   * @param {Array} changes - [{ midiNote, frequency }]
+   */
+  sendNoteTunings(changes) {
+    if (changes.length === 0) return;
+    for (const message of this.buildSingleNoteTuning(changes)) {
+      this.send(message);
+    }
+  }
+
+  /**
+   * Replace the whole tuning table
+   * @param {Array} frequencies - 128 frequencies in Hz (null = leave the key unchanged)
+   */
+  sendBulkDump(frequencies, name) {
+    this.send(this.buildBulkDump(frequencies, name));
+  }
+}
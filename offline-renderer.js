@@ -0,0 +1,122 @@
+import { PolySynth } from './polysynth.js';
+
+/**
+ * OfflineRenderer - Plays MIDI file events through PolySynth into an OfflineAudioContext
+ * Reference selection, retuning and the sustain pedal follow the same path as live playing,
+ * so the same file always renders the same tuning
+ */
+
+export class OfflineRenderer {
+  constructor() {
+    this.sampleRate = 44100;
+    this.channels = 2;
+    this.polyphony = 8; // Same as the live synth
+    this.renderQuantum = 128; // Frames between points where rendering can be suspended
+  }
+
+  /**
+   * Render events to audio
+   * @param {Array} events - Performance events from MidiFileParser, sorted by time
+   * @param {Function} configure - Called with the offline PolySynth to apply the live settings
+   * @param {number} tailTime - Seconds rendered after the last event (for release tails)
+   * @returns {Promise<AudioBuffer>}
+   */
+  async render(events, configure, tailTime = 2) {
+    const duration = (events.length > 0 ? events[events.length - 1].time : 0) + tailTime;
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const context = new OfflineContext(this.channels, Math.ceil(duration * this.sampleRate), this.sampleRate);
+
+    const synth = new PolySynth(this.polyphony);
+    synth.useDriftCorrectionTimer = false; // Stepped on the render clock below instead
+    await synth.init(context);
+    configure(synth);
+
+    // Drift correction steps are scheduled like events, so they land at the same render times
+    const actions = events.map(event => ({ time: event.time, apply: () => synth.applyEvent(event) }));
+    if (synth.engine.driftCorrectionMode !== 'off') {
+      const interval = synth.driftCorrectionInterval;
+      for (let time = interval; time < duration; time += interval) {
+        actions.push({ time, apply: () => synth.stepDriftCorrection(interval) });
+      }
+      actions.sort((a, b) => a.time - b.time);
+    }
+
+    // Rendering pauses at each event time so the synth runs with currentTime at the event
+    for (const [time, group] of this.groupByRenderTime(actions, context.length)) {
+      context.suspend(time).then(() => {
+        group.forEach(action => action.apply());
+        context.resume();
+      });
+    }
+
+    const audioBuffer = await context.startRendering();
+    console.log(`Rendered ${events.length} events to ${audioBuffer.duration.toFixed(1)}s of audio`);
+    return audioBuffer;
+  }
+
+  /**
+   * Group actions by the render quantum they fall in (suspend times must be unique)
+   * The first quantum is skipped, since rendering can't be suspended before it starts
+   * @returns {Map} time (seconds) -> actions, in time order
+   */
+  groupByRenderTime(actions, length) {
+    const groups = new Map();
+    const lastFrame = Math.floor((length - 1) / this.renderQuantum) * this.renderQuantum;
+
+    for (const action of actions) {
+      const quantum = Math.max(1, Math.round(action.time * this.sampleRate / this.renderQuantum));
+      const frame = Math.min(quantum * this.renderQuantum, lastFrame);
+      const time = frame / this.sampleRate;
+      if (!groups.has(time)) groups.set(time, []);
+      groups.get(time).push(action);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Encode audio as a 16-bit PCM WAV file
+   * @param {AudioBuffer} audioBuffer - Rendered audio
+   * @returns {ArrayBuffer} WAV file contents
+   */
+  encodeWav(audioBuffer) {
+    const channels = audioBuffer.numberOfChannels;
+    const frames = audioBuffer.length;
+    const bytesPerFrame = channels * 2;
+    const dataSize = frames * bytesPerFrame;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+      }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * bytesPerFrame, true);
+    view.setUint16(32, bytesPerFrame, true);
+    view.setUint16(34, 16, true); // Bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channelData = Array.from({ length: channels }, (_, c) => audioBuffer.getChannelData(c));
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < channels; c++) {
+        const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+        offset += 2;
+      }
+    }
+
+    return buffer;
+  }
+}
@@ -0,0 +1,332 @@
+import { MTSOutput } from './mts-output.js';
+import { MPEOutput } from './mpe-output.js';
+
+/**
+ * PerformanceRecorder - Captures a performance with the tuning chosen for every note
+ * Recordings export as a JSON event log or as a Standard MIDI File whose MTS or pitch bend
+ * data reproduces the exact just frequencies, and can be replayed through the app's handlers
+ */
+
+// Events the app received (replayed); everything else records what the synth did with them
+const INPUT_TYPES = [
+  'noteOn', 'noteOff', 'sustainDepth', 'sustain', 'sostenuto', 'softPedal', 'pitchBend', 'pitchBendRange',
+  'modWheel', 'channelPressure', 'polyPressure', 'commaShift'
+];
+
+export class PerformanceRecorder {
+  constructor() {
+    this.events = [];
+    this.isRecording = false;
+    this.startTime = null;
+    this.replayTimers = [];
+    this.replayHeldNotes = new Set();
+    this.ticksPerQuarter = 480;
+    this.microsecondsPerQuarter = 500000; // 120 BPM, so a tick is a fixed 1/960 s
+    this.glideStep = 0.02; // Seconds between tuning updates when exporting a glide
+  }
+
+  /**
+   * Start a new recording (the previous one is discarded)
+   */
+  start() {
+    this.events = [];
+    this.startTime = performance.now();
+    this.isRecording = true;
+    console.log('Recording started');
+  }
+
+  /**
+   * Stop recording
+   */
+  stop() {
+    this.isRecording = false;
+    console.log(`Recording stopped: ${this.events.length} events, ${this.getDuration().toFixed(1)}s`);
+  }
+
+  /**
+   * Whether there is anything to export or replay
+   */
+  hasRecording() {
+    return this.events.length > 0;
+  }
+
+  /**
+   * Length of the recording in seconds
+   */
+  getDuration() {
+    return this.events.length > 0 ? this.events[this.events.length - 1].time : 0;
+  }
+
+  /**
+   * Add an event at the current time (ignored unless recording)
+   * @param {string} type - 'noteOn', 'noteOff', 'sustainDepth', 'sustain', 'sostenuto', 'softPedal',
+   *   'pitchBend', 'pitchBendRange', 'modWheel', 'channelPressure', 'polyPressure', 'commaShift',
+   *   'retune' (a sounding note moved) or 'release' (the synth let a note go)
+   * @param {Object} data - Event fields, e.g. { note, velocity, frequency, referenceNote, ratio }
+   */
+  record(type, data = {}) {
+    if (!this.isRecording) return;
+    const time = (performance.now() - this.startTime) / 1000;
+    this.events.push({ time, type, ...data });
+  }
+
+  /**
+   * The recording as a JSON event log
+   */
+  toJSON() {
+    return {
+      format: 'intone-performance',
+      version: 1,
+      duration: this.getDuration(),
+      events: this.events
+    };
+  }
+
+  /**
+   * Replay the recorded input through the app's handlers
+   * Tunings are worked out again, so the current settings apply
+   * @param {Object} handlers - { noteOn(note, velocity), noteOff(note), sustainDepth(amount), sustain(down),
+   *   sostenuto(down), softPedal(down), pitchBend(amount), pitchBendRange(cents), modWheel(amount),
+   *   channelPressure(amount), polyPressure(note, amount), commaShift(ratio) }
+   * @param {Function} onFinish - Called after the last event
+   */
+  replay(handlers, onFinish = () => {}) {
+    this.stopReplay(handlers);
+
+    const inputEvents = this.events.filter(event => INPUT_TYPES.includes(event.type));
+    for (const event of inputEvents) {
+      this.replayTimers.push(setTimeout(() => {
+        switch (event.type) {
+          case 'noteOn':
+            this.replayHeldNotes.add(event.note);
+            handlers.noteOn(event.note, event.velocity);
+            break;
+          case 'noteOff':
+            this.replayHeldNotes.delete(event.note);
+            handlers.noteOff(event.note);
+            break;
+          case 'sustainDepth':
+            handlers.sustainDepth(event.amount);
+            break;
+          case 'sustain':
+            handlers.sustain(event.down);
+            break;
+          case 'sostenuto':
+            handlers.sostenuto(event.down);
+            break;
+          case 'softPedal':
+            handlers.softPedal(event.down);
+            break;
+          case 'pitchBend':
+            handlers.pitchBend(event.amount);
+            break;
+          case 'pitchBendRange':
+            handlers.pitchBendRange(event.cents);
+            break;
+          case 'modWheel':
+            handlers.modWheel(event.amount);
+            break;
+          case 'channelPressure':
+            handlers.channelPressure(event.amount);
+            break;
+          case 'polyPressure':
+            handlers.polyPressure(event.note, event.amount);
+            break;
+          case 'commaShift':
+            handlers.commaShift(event.ratio);
+            break;
+        }
+      }, event.time * 1000));
+    }
+
+    this.replayTimers.push(setTimeout(() => {
+      this.replayTimers = [];
+      onFinish();
+    }, this.getDuration() * 1000));
+  }
+
+  /**
+   * Stop a replay, releasing any notes it is holding
+   */
+  stopReplay(handlers) {
+    this.replayTimers.forEach(timer => clearTimeout(timer));
+    this.replayTimers = [];
+
+    this.replayHeldNotes.forEach(note => handlers.noteOff(note));
+    this.replayHeldNotes.clear();
+  }
+
+  /**
+   * Whether a replay is in progress
+   */
+  isReplaying() {
+    return this.replayTimers.length > 0;
+  }
+
+  /**
+   * Build a Standard MIDI File that plays the recorded tunings
+   * Notes end when the synth released them, so the sustain pedal is already applied
+   * The pitch wheel is written on channel 1 with its recorded range, bending the whole chord
+   * whatever bend target was used
+   * @param {string} tuning - 'mts' (single note tuning SysEx on channel 1) or
+   *   'pitchBend' (one channel per note, MPE lower zone)
+   * @returns {Uint8Array} File contents
+   */
+  toMidiFile(tuning = 'mts') {
+    const messages = []; // { time, bytes }
+    let now = 0;
+    const write = bytes => messages.push({ time: now, bytes });
+
+    const mts = new MTSOutput(write);
+    const mpe = new MPEOutput(write);
+    const sounding = new Set(); // Notes sounding in MTS mode
+
+    if (tuning === 'pitchBend') {
+      mpe.configureZone();
+    }
+
+    for (const step of this.getTuningTimeline()) {
+      now = step.time;
+      switch (step.type) {
+        case 'noteOn':
+          if (tuning === 'pitchBend') {
+            mpe.noteOn(step.note, step.frequency, step.velocity);
+          } else {
+            if (sounding.has(step.note)) write([0x80, step.note, 0]);
+            mts.sendNoteTunings([{ midiNote: step.note, frequency: step.frequency }]);
+            write([0x90, step.note, step.velocity]);
+            sounding.add(step.note);
+          }
+          break;
+        case 'tune':
+          if (tuning === 'pitchBend') {
+            mpe.retune(step.note, step.frequency);
+          } else if (sounding.has(step.note)) {
+            mts.sendNoteTunings([{ midiNote: step.note, frequency: step.frequency }]);
+          }
+          break;
+        case 'release':
+          if (tuning === 'pitchBend') {
+            mpe.noteOff(step.note);
+          } else if (sounding.delete(step.note)) {
+            write([0x80, step.note, 0]);
+          }
+          break;
+        case 'pitchBendRange':
+          // Channel 1 is the MPE master channel, and the channel MTS notes play on
+          mpe.setMasterBendRange(step.cents);
+          mpe.buildMasterBendRange().forEach(message => write(message));
+          break;
+        case 'pitchBend': {
+          const bendValue = Math.max(0, Math.min(16383, Math.round(step.amount * 8192 + 8192)));
+          write([0xE0 | mpe.masterChannel, bendValue & 0x7F, bendValue >> 7]);
+          break;
+        }
+        case 'modWheel':
+          write([0xB0 | mpe.masterChannel, 1, Math.round(step.amount * 127)]);
+          break;
+        case 'sustainDepth':
+          // Only half-pedaling is written - notes the pedal held already end at their release
+          write([0xB0 | mpe.masterChannel, 64, Math.min(63, Math.round(step.amount * 127))]);
+          break;
+        case 'channelPressure':
+          write([0xD0 | mpe.masterChannel, Math.round(step.amount * 127)]);
+          break;
+        case 'polyPressure':
+          // Under MPE a note's pressure is channel pressure on its own channel
+          if (tuning === 'pitchBend') {
+            const note = mpe.notes.get(step.note);
+            if (note) write([0xD0 | note.channel, Math.round(step.amount * 127)]);
+          } else if (sounding.has(step.note)) {
+            write([0xA0, step.note, Math.round(step.amount * 127)]);
+          }
+          break;
+      }
+    }
+
+    return this.encodeMidiFile(messages);
+  }
+
+  /**
+   * Recorded events with glides expanded into tuning steps, in time order
+   * Note ons without a frequency (unmapped keys) are dropped
+   */
+  getTuningTimeline() {
+    const timeline = [];
+    const frequencies = new Map(); // note -> last frequency
+
+    for (const event of this.events) {
+      if (event.type === 'noteOn' && event.frequency) {
+        frequencies.set(event.note, event.frequency);
+        timeline.push(event);
+      } else if (event.type === 'retune') {
+        const from = frequencies.get(event.note) || event.frequency;
+        const steps = Math.max(1, Math.ceil((event.glideTime || 0) / this.glideStep));
+        for (let i = 1; i <= steps; i++) {
+          timeline.push({
+            type: 'tune',
+            time: event.time + (event.glideTime || 0) * (i / steps),
+            note: event.note,
+            frequency: from * Math.pow(event.frequency / from, i / steps)
+          });
+        }
+        frequencies.set(event.note, event.frequency);
+      } else if (['release', 'sustainDepth', 'pitchBend', 'pitchBendRange', 'modWheel', 'channelPressure',
+        'polyPressure'].includes(event.type)) {
+        timeline.push(event);
+      }
+    }
+
+    // Stable sort keeps recorded order for simultaneous events
+    return timeline.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Write timed MIDI messages as a format 0 Standard MIDI File
+   * @param {Array} messages - [{ time, bytes }] in time order; SysEx messages start with F0
+   */
+  encodeMidiFile(messages) {
+    const ticksPerSecond = this.ticksPerQuarter * 1e6 / this.microsecondsPerQuarter;
+    const variableLength = (value) => {
+      const bytes = [value & 0x7F];
+      while ((value >>= 7) > 0) {
+        bytes.unshift((value & 0x7F) | 0x80);
+      }
+      return bytes;
+    };
+
+    const tempo = this.microsecondsPerQuarter;
+    const name = Array.from('Just intonation performance', c => c.charCodeAt(0));
+    const track = [
+      0x00, 0xFF, 0x51, 0x03, (tempo >> 16) & 0xFF, (tempo >> 8) & 0xFF, tempo & 0xFF,
+      0x00, 0xFF, 0x03, ...variableLength(name.length), ...name
+    ];
+
+    let lastTick = 0;
+    for (const { time, bytes } of messages) {
+      const tick = Math.max(lastTick, Math.round(time * ticksPerSecond));
+      track.push(...variableLength(tick - lastTick));
+      lastTick = tick;
+
+      if (bytes[0] === 0xF0) {
+        track.push(0xF0, ...variableLength(bytes.length - 1), ...bytes.slice(1));
+      } else {
+        track.push(...bytes);
+      }
+    }
+    track.push(0x00, 0xFF, 0x2F, 0x00); // End of track
+
+    const header = [
+      0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, // MThd, length 6
+      0, 0, // Format 0
+      0, 1, // One track
+      this.ticksPerQuarter >> 8, this.ticksPerQuarter & 0xFF
+    ];
+    const trackHeader = [
+      0x4D, 0x54, 0x72, 0x6B, // MTrk
+      (track.length >>> 24) & 0xFF, (track.length >> 16) & 0xFF, (track.length >> 8) & 0xFF, track.length & 0xFF
+    ];
+
+    return new Uint8Array([...header, ...trackHeader, ...track]);
+  }
+}
@@ -1,7 +1,17 @@
 import { PolySynth } from './polysynth.js';
 import { MIDIHandler } from './midi-handler.js';
+import { QwertyInput } from './qwerty-input.js';
+import { KeyboardZones } from './keyboard-zones.js';
+import { MidiLearn, MAPPING_MODES } from './midi-learn.js';
 import { NoteVisualizer } from './visualizer.js';
 import { SettingsManager } from './settings-manager.js';
+import { tuningSystems, DEFAULT_TUNING_SYSTEM } from './tuning-systems.js';
+import { ScalaImporter } from './scala-importer.js';
+import { MTSOutput } from './mts-output.js';
+import { MPEOutput } from './mpe-output.js';
+import { MidiFileParser } from './midi-file.js';
+import { OfflineRenderer } from './offline-renderer.js';
+import { PerformanceRecorder } from './performance-recorder.js';
 
 /**
  * PolySynth Application
@@ -11,14 +21,45 @@ class PolyApp {
   constructor() {
     this.synth = null;
     this.midiHandler = null;
+    this.qwertyInput = null;
+    this.mtsOutput = null;
+    this.mpeOutput = null;
     this.visualizer = null;
     this.isInitialized = false;
     this.settingsManager = new SettingsManager('polysynth-settings');
+    this.scalaImporter = new ScalaImporter();
+    this.midiFileParser = new MidiFileParser();
+    this.offlineRenderer = new OfflineRenderer();
+    this.renderUrl = null; // Object URL of the last rendered WAV
+    this.recorder = new PerformanceRecorder();
+    this.importedScales = []; // [{ id, sclText, kbmText }] persisted so imports survive reloads
+    this.keyboardZones = new KeyboardZones();
+    this.zoneSynths = new Map(); // Zone name -> PolySynth for zones other than 'main'
+    this.routedNotes = new Map(); // "channel:note" -> zones a held key is playing, so its note off follows
+    this.channelFilters = {}; // MIDI input name -> channels (0-15) it plays; missing = all
+    this.disabledInputs = []; // Names of MIDI inputs turned off
+    this.inputProfiles = {}; // MIDI input name -> preset number loaded when it is plugged in
+    this.midiLearn = new MidiLearn();
+    this.midiLearn.onChange = (target, value) => this.setControlValue(target, value);
+    this.midiLearn.getValue = (target) => this.getControlValue(target);
+    this.midiLearn.onLearn = (mapping) => {
+      this.elements.controlsSection.querySelectorAll('.learn-target')
+        .forEach(element => element.classList.remove('learn-target'));
+      this.renderMidiMappings();
+      this.saveSettings();
+      this.showSuccess(`Mapped ${this.midiLearn.describeSource(mapping)} to ${this.getControlLabel(mapping.target)}.`);
+    };
+    this.learnMode = false; // Clicking a control picks it for MIDI learn
     
     // UI Elements
     this.elements = {
       startBtn: document.getElementById('startBtn'),
       resetBtn: document.getElementById('resetBtn'),
+      recordBtn: document.getElementById('recordBtn'),
+      replayBtn: document.getElementById('replayBtn'),
+      exportMidiBtn: document.getElementById('exportMidiBtn'),
+      exportJsonBtn: document.getElementById('exportJsonBtn'),
+      exportTuning: document.getElementById('exportTuning'),
       errorMessage: document.getElementById('errorMessage'),
       voiceCount: document.getElementById('voiceCount'),
       bassNote: document.getElementById('bassNote'),
@@ -29,7 +70,25 @@ class PolyApp {
       intervalDetails: document.getElementById('intervalDetails'),
       waveform: document.getElementById('waveform'),
       referenceMode: document.getElementById('referenceMode'),
+      seriesFundamental: document.getElementById('seriesFundamental'),
+      seriesDirection: document.getElementById('seriesDirection'),
+      seriesLimit: document.getElementById('seriesLimit'),
+      seriesLimitValue: document.getElementById('seriesLimitValue'),
+      tuningSystem: document.getElementById('tuningSystem'),
+      scalaFile: document.getElementById('scalaFile'),
+      midiFile: document.getElementById('midiFile'),
+      renderDownload: document.getElementById('renderDownload'),
+      edo: document.getElementById('edo'),
+      edoMapping: document.getElementById('edoMapping'),
       retuneMode: document.getElementById('retuneMode'),
+      driftCorrection: document.getElementById('driftCorrection'),
+      driftCorrectionRate: document.getElementById('driftCorrectionRate'),
+      driftCorrectionRateValue: document.getElementById('driftCorrectionRateValue'),
+      driftAnchor: document.getElementById('driftAnchor'),
+      commaShift: document.getElementById('commaShift'),
+      commaShiftCustom: document.getElementById('commaShiftCustom'),
+      commaShiftDown: document.getElementById('commaShiftDown'),
+      commaShiftUp: document.getElementById('commaShiftUp'),
       attack: document.getElementById('attack'),
       attackValue: document.getElementById('attackValue'),
       decay: document.getElementById('decay'),
@@ -46,29 +105,171 @@ class PolyApp {
       filterEnvValue: document.getElementById('filterEnvValue'),
       volume: document.getElementById('volume'),
       volumeValue: document.getElementById('volumeValue'),
+      outputMode: document.getElementById('outputMode'),
+      midiOutput: document.getElementById('midiOutput'),
+      mtsMessage: document.getElementById('mtsMessage'),
+      mpeChannels: document.getElementById('mpeChannels'),
+      mpeChannelsValue: document.getElementById('mpeChannelsValue'),
+      mpeBendRange: document.getElementById('mpeBendRange'),
       stereoSpread: document.getElementById('stereoSpread'),
       stereoSpreadValue: document.getElementById('stereoSpreadValue'),
       spreadMode: document.getElementById('spreadMode'),
+      splitMode: document.getElementById('splitMode'),
+      splitPoint: document.getElementById('splitPoint'),
+      splitPointValue: document.getElementById('splitPointValue'),
+      splitChannel: document.getElementById('splitChannel'),
+      mpeInput: document.getElementById('mpeInput'),
+      pitchBendRange: document.getElementById('pitchBendRange'),
+      pitchBendRangeValue: document.getElementById('pitchBendRangeValue'),
+      bendTarget: document.getElementById('bendTarget'),
+      mpeInputBendRange: document.getElementById('mpeInputBendRange'),
+      carryChord: document.getElementById('carryChord'),
+      pressureCurve: document.getElementById('pressureCurve'),
+      pressureFilter: document.getElementById('pressureFilter'),
+      pressureFilterValue: document.getElementById('pressureFilterValue'),
+      pressureVibrato: document.getElementById('pressureVibrato'),
+      pressureVibratoValue: document.getElementById('pressureVibratoValue'),
+      pressureAmplitude: document.getElementById('pressureAmplitude'),
+      pressureAmplitudeValue: document.getElementById('pressureAmplitudeValue'),
       midiDeviceList: document.getElementById('midiDeviceList'),
+      controlsSection: document.getElementById('controlsSection'),
+      midiMappingList: document.getElementById('midiMappingList'),
+      midiLearnBtn: document.getElementById('midiLearnBtn'),
+      exportMappingsBtn: document.getElementById('exportMappingsBtn'),
+      mappingDevice: document.getElementById('mappingDevice'),
+      mappingFile: document.getElementById('mappingFile'),
+      presetList: document.getElementById('presetList'),
+      presetName: document.getElementById('presetName'),
+      presetBank: document.getElementById('presetBank'),
+      presetProgram: document.getElementById('presetProgram'),
+      savePresetBtn: document.getElementById('savePresetBtn'),
       visualizerSection: document.getElementById('visualizerSection'),
       fullscreenBtn: document.getElementById('fullscreenBtn'),
       fullscreenIcon: document.getElementById('fullscreenIcon')
     };
     
+    this.restoreImportedScales();
+    this.populateTuningSystems();
     this.setupEventListeners();
     this.loadSettings();
+    this.renderPresets();
+  }
+
+  /**
+   * Re-register Scala scales imported in earlier sessions
+   */
+  restoreImportedScales() {
+    const settings = this.settingsManager.loadSettings();
+    const saved = (settings && settings.importedScales) || [];
+    
+    for (const scale of saved) {
+      try {
+        this.scalaImporter.importScale(scale.id, scale.sclText, scale.kbmText);
+        this.importedScales.push(scale);
+      } catch (error) {
+        console.warn(`Dropping saved Scala scale ${scale.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Import .scl/.kbm files chosen in the file picker and switch to the new tuning
+   * @param {File[]} files - Picked files
+   */
+  async importScalaFiles(files) {
+    try {
+      const { system, sclText, kbmText } = await this.scalaImporter.importFiles(files);
+      
+      this.importedScales = this.importedScales.filter(scale => scale.id !== system.id);
+      this.importedScales.push({ id: system.id, sclText, kbmText });
+      
+      this.populateTuningSystems();
+      this.elements.tuningSystem.value = system.id;
+      this.setTuningSystem(system.id);
+      this.saveSettings();
+      
+      this.showSuccess(`Loaded Scala scale "${system.name}" (${system.degrees} degrees per period).`);
+    } catch (error) {
+      this.showError(`Scala import failed: ${error.message}`);
+      console.error('Scala import error:', error);
+    } finally {
+      this.elements.scalaFile.value = '';
+    }
+  }
+
+  /**
+   * Apply a tuning system to the synth and visualizer
+   */
+  setTuningSystem(id) {
+    if (this.synth) {
+      this.synth.setTuningSystem(id);
+    }
+    if (this.visualizer) {
+      this.visualizer.setTuningSystem(id);
+    }
+  }
+
+  /**
+   * Apply the EDO choice (or just intonation) to the synth and visualizer
+   */
+  setEdo() {
+    const divisions = this.getEdoDivisions();
+    const mapping = this.elements.edoMapping.value;
+    if (this.synth) {
+      this.synth.setEdo(divisions);
+      this.synth.setEdoMapping(mapping);
+    }
+    if (this.visualizer) {
+      this.visualizer.setEdo(divisions, mapping);
+    }
+  }
+
+  /**
+   * Steps per octave from the UI, or null for just intonation
+   */
+  getEdoDivisions() {
+    const divisions = parseInt(this.elements.edo.value, 10);
+    return Number.isInteger(divisions) ? divisions : null;
+  }
+
+  /**
+   * Fill the tuning system dropdown from the tuning system registry
+   */
+  populateTuningSystems() {
+    const selected = this.elements.tuningSystem.value;
+    this.elements.tuningSystem.innerHTML = tuningSystems.list()
+      .map(system => `<option value="${system.id}">${system.name}</option>`)
+      .join('');
+    if (selected && tuningSystems.has(selected)) {
+      this.elements.tuningSystem.value = selected;
+    }
   }
 
   /**
-   * Load settings from localStorage and apply to UI
+   * Load settings from localStorage (or a preset) and apply to UI
    */
-  loadSettings() {
-    const settings = this.settingsManager.loadSettings() || SettingsManager.getPolyDefaults();
+  loadSettings(settings = this.settingsManager.loadSettings() || SettingsManager.getPolyDefaults()) {
     
     // Apply to UI
     this.elements.waveform.value = settings.waveform;
-    this.elements.referenceMode.value = settings.referenceMode || 'bass';
+    this.elements.referenceMode.value = settings.referenceMode === 'harmonic' ?
+      'lattice' : (settings.referenceMode || 'bass');
+    this.elements.seriesFundamental.value = settings.seriesFundamental || '';
+    this.elements.seriesDirection.value = settings.seriesDirection || 'otonal';
+    this.elements.seriesLimit.value = settings.seriesLimit || 32;
+    this.elements.seriesLimitValue.textContent = settings.seriesLimit || 32;
+    this.elements.tuningSystem.value = tuningSystems.has(settings.tuningSystem) ?
+      settings.tuningSystem : DEFAULT_TUNING_SYSTEM;
+    this.elements.edo.value = settings.edo || '';
+    this.elements.edoMapping.value = settings.edoMapping || 'nearest';
     this.elements.retuneMode.value = settings.retuneMode;
+    this.elements.driftCorrection.value = settings.driftCorrection || 'off';
+    this.elements.driftCorrectionRate.value = settings.driftCorrectionRate || 2;
+    this.elements.driftCorrectionRateValue.textContent = `${(settings.driftCorrectionRate || 2).toFixed(1)} ¢/s`;
+    this.elements.driftAnchor.value = settings.driftAnchor || '';
+    this.elements.commaShift.value = settings.commaShift || '81/80';
+    this.elements.commaShiftCustom.value = settings.commaShiftCustom || '';
+    this.elements.commaShiftCustom.style.display = this.elements.commaShift.value === 'custom' ? '' : 'none';
     this.elements.attack.value = settings.attack;
     this.elements.attackValue.textContent = `${settings.attack} ms`;
     this.elements.decay.value = settings.decay;
@@ -85,19 +286,69 @@ class PolyApp {
     this.elements.filterEnvValue.textContent = `${settings.filterEnv} Hz`;
     this.elements.volume.value = settings.volume;
     this.elements.volumeValue.textContent = `${settings.volume}%`;
+    this.elements.outputMode.value = settings.outputMode || 'local';
+    this.elements.mtsMessage.value = settings.mtsMessage || 'realtime';
+    this.elements.mpeChannels.value = settings.mpeChannels || 15;
+    this.elements.mpeChannelsValue.textContent = this.elements.mpeChannels.value;
+    this.elements.mpeBendRange.value = settings.mpeBendRange || 48;
+    this.savedMidiOutput = settings.midiOutput || null; // Selected once MIDI ports are known
     this.elements.stereoSpread.value = settings.stereoSpread || 0;
     this.elements.stereoSpreadValue.textContent = `${settings.stereoSpread || 0}%`;
     this.elements.spreadMode.value = settings.spreadMode || 'linear';
+    this.elements.splitMode.value = settings.splitMode || 'none';
+    this.elements.splitPoint.value = settings.splitPoint || 60;
+    this.elements.splitChannel.value = settings.splitChannel || 1;
+    this.channelFilters = settings.channelFilters || {};
+    this.disabledInputs = settings.disabledInputs || [];
+    this.inputProfiles = settings.inputProfiles || {};
+    this.setKeyboardLayout();
+    this.showPitchBendRange(settings.pitchBendRange === undefined ? 200 : settings.pitchBendRange);
+    this.elements.bendTarget.value = settings.bendTarget || 'chord';
+    this.elements.mpeInput.value = settings.mpeInput ? 'on' : 'off';
+    this.elements.mpeInputBendRange.value = settings.mpeInputBendRange || 48;
+    this.elements.carryChord.value = settings.carryChord ? 'on' : 'off';
+    this.elements.pressureCurve.value = settings.pressureCurve || 'linear';
+    const pressureDepths = this.getPressureDepths(settings);
+    ['Filter', 'Vibrato', 'Amplitude'].forEach(name => {
+      const depth = pressureDepths[name.toLowerCase()];
+      this.elements[`pressure${name}`].value = depth;
+      this.elements[`pressure${name}Value`].textContent = `${depth}%`;
+    });
+    this.midiLearn.setMappings(settings.midiMappings || []);
+    this.renderMidiMappings();
   }
 
   /**
    * Save current settings to localStorage
    */
   saveSettings() {
-    const settings = {
+    const settings = this.getSettings();
+    this.settingsManager.saveSettings(settings);
+    
+    // Split zone synths don't have their own controls, so they follow the main synth's
+    this.zoneSynths.forEach(synth => this.applySynthSettings(synth, settings));
+  }
+
+  /**
+   * Read the current settings from the UI
+   */
+  getSettings() {
+    return {
       waveform: this.elements.waveform.value,
       referenceMode: this.elements.referenceMode.value,
+      seriesFundamental: this.getSeriesFundamental(),
+      seriesDirection: this.elements.seriesDirection.value,
+      seriesLimit: parseInt(this.elements.seriesLimit.value),
+      tuningSystem: this.elements.tuningSystem.value,
+      importedScales: this.importedScales,
+      edo: this.getEdoDivisions(),
+      edoMapping: this.elements.edoMapping.value,
       retuneMode: this.elements.retuneMode.value,
+      driftCorrection: this.elements.driftCorrection.value,
+      driftCorrectionRate: parseFloat(this.elements.driftCorrectionRate.value),
+      driftAnchor: this.getDriftAnchor(),
+      commaShift: this.elements.commaShift.value,
+      commaShiftCustom: this.elements.commaShiftCustom.value.trim(),
       attack: parseInt(this.elements.attack.value),
       decay: parseInt(this.elements.decay.value),
       sustain: parseInt(this.elements.sustain.value),
@@ -106,16 +357,149 @@ class PolyApp {
       filterQ: parseFloat(this.elements.filterQ.value),
       filterEnv: parseInt(this.elements.filterEnv.value),
       volume: parseInt(this.elements.volume.value),
+      outputMode: this.elements.outputMode.value,
+      midiOutput: this.savedMidiOutput || null,
+      mtsMessage: this.elements.mtsMessage.value,
+      mpeChannels: parseInt(this.elements.mpeChannels.value),
+      mpeBendRange: parseInt(this.elements.mpeBendRange.value),
       stereoSpread: parseInt(this.elements.stereoSpread.value),
-      spreadMode: this.elements.spreadMode.value
+      spreadMode: this.elements.spreadMode.value,
+      splitMode: this.elements.splitMode.value,
+      splitPoint: parseInt(this.elements.splitPoint.value),
+      splitChannel: parseInt(this.elements.splitChannel.value),
+      channelFilters: this.channelFilters,
+      disabledInputs: this.disabledInputs,
+      inputProfiles: this.inputProfiles,
+      mpeInput: this.elements.mpeInput.value === 'on',
+      pitchBendRange: parseInt(this.elements.pitchBendRange.value),
+      bendTarget: this.elements.bendTarget.value,
+      mpeInputBendRange: parseInt(this.elements.mpeInputBendRange.value),
+      carryChord: this.elements.carryChord.value === 'on',
+      pressureCurve: this.elements.pressureCurve.value,
+      pressureFilter: parseInt(this.elements.pressureFilter.value),
+      pressureVibrato: parseInt(this.elements.pressureVibrato.value),
+      pressureAmplitude: parseInt(this.elements.pressureAmplitude.value),
+      midiMappings: this.midiLearn.getMappings()
     };
-    this.settingsManager.saveSettings(settings);
+  }
+
+  /**
+   * Apply saved settings to a synth (the live one, or an offline one rendering a MIDI file)
+   */
+  applySynthSettings(synth, settings) {
+    synth.setWaveform(settings.waveform);
+    // Split zone synths are re-applied on every change, and setting the same reference mode,
+    // series fundamental or drift mode again would drop a sticky reference or restart drift correction
+    const referenceMode = settings.referenceMode === 'harmonic' ? 'lattice' : (settings.referenceMode || 'bass');
+    if (synth.engine.referenceMode !== referenceMode) {
+      synth.setReferenceMode(referenceMode);
+    }
+    synth.setTuningSystem(settings.tuningSystem || DEFAULT_TUNING_SYSTEM);
+    synth.setEdo(settings.edo || null);
+    synth.setEdoMapping(settings.edoMapping || 'nearest');
+    synth.setSeriesDirection(settings.seriesDirection || 'otonal');
+    synth.setSeriesLimit(settings.seriesLimit || 32);
+    // A fundamental fixed by playing isn't saved, so keep it, and keep an unchanged chosen one
+    const seriesFundamental = synth.engine.seriesFundamental;
+    const keepSeriesFundamental = seriesFundamental && (settings.seriesFundamental
+      ? seriesFundamental.source === 'chosen' && seriesFundamental.frequency === settings.seriesFundamental
+      : seriesFundamental.source === 'played');
+    if (!keepSeriesFundamental) {
+      synth.setSeriesFundamental(settings.seriesFundamental || null);
+    }
+    synth.setRetuneMode(settings.retuneMode);
+    synth.setDriftCorrectionRate(settings.driftCorrectionRate || 2);
+    synth.setDriftAnchorFrequency(settings.driftAnchor || null);
+    if (synth.engine.driftCorrectionMode !== (settings.driftCorrection || 'off')) {
+      synth.setDriftCorrectionMode(settings.driftCorrection || 'off');
+    }
+    synth.setAttackTime(settings.attack / 1000);
+    synth.setDecayTime(settings.decay / 1000);
+    synth.setSustainLevel(settings.sustain / 100);
+    synth.setReleaseTime(settings.release / 1000);
+    synth.setFilterFrequency(settings.filterFreq);
+    synth.setFilterQ(settings.filterQ);
+    synth.setFilterEnvelopeAmount(settings.filterEnv);
+    synth.setVolume(settings.volume / 100);
+    synth.setStereoSpread((settings.stereoSpread || 0) / 100);
+    synth.setSpreadMode(settings.spreadMode || 'linear');
+    synth.setPitchBendRange(settings.pitchBendRange === undefined ? 200 : settings.pitchBendRange);
+    synth.setBendTarget(settings.bendTarget || 'chord');
+    synth.setMpeBendRange(settings.mpeInputBendRange || 48);
+    synth.setCarryChord(settings.carryChord === true);
+    synth.setPressureCurve(settings.pressureCurve || 'linear');
+    const pressureDepths = this.getPressureDepths(settings);
+    Object.keys(pressureDepths).forEach(destination => {
+      synth.setPressureDepth(destination, pressureDepths[destination] / 100);
+    });
+  }
+
+  /**
+   * How far pressure moves the filter, vibrato and amplitude (%), from saved settings
+   * Settings saved before these existed sent pressure to a single target
+   */
+  getPressureDepths(settings) {
+    const toGain = settings.pressureTarget === 'gain';
+    const depth = (value, fallback) => value !== undefined ? value : fallback;
+    return {
+      filter: depth(settings.pressureFilter, toGain ? 0 : 100),
+      vibrato: depth(settings.pressureVibrato, 0),
+      amplitude: depth(settings.pressureAmplitude, toGain ? 100 : 0)
+    };
+  }
+
+  /**
+   * Render a MIDI file with the current settings and offer it as a WAV download
+   * @param {File} file - Picked .mid file
+   */
+  async renderMidiFile(file) {
+    try {
+      const { events } = this.midiFileParser.parse(await file.arrayBuffer());
+      if (!events.some(event => event.type === 'noteOn')) {
+        throw new Error('The file has no notes');
+      }
+      
+      this.elements.renderDownload.style.display = 'none';
+      this.showSuccess(`Rendering ${file.name}...`);
+      
+      const settings = this.getSettings();
+      const audioBuffer = await this.offlineRenderer.render(
+        events,
+        synth => this.applySynthSettings(synth, settings),
+        settings.release / 1000 + 1
+      );
+      const wav = this.offlineRenderer.encodeWav(audioBuffer);
+      
+      if (this.renderUrl) {
+        URL.revokeObjectURL(this.renderUrl);
+      }
+      this.renderUrl = URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+      
+      const name = `${file.name.replace(/\.midi?$/i, '')} (${settings.referenceMode}).wav`;
+      this.elements.renderDownload.href = this.renderUrl;
+      this.elements.renderDownload.download = name;
+      this.elements.renderDownload.textContent = `⬇ Download ${name}`;
+      this.elements.renderDownload.style.display = 'block';
+      
+      this.showSuccess(`Rendered ${file.name} (${audioBuffer.duration.toFixed(1)}s).`);
+    } catch (error) {
+      this.showError(`MIDI file render failed: ${error.message}`);
+      console.error('MIDI file render error:', error);
+    } finally {
+      this.elements.midiFile.value = '';
+    }
   }
 
   setupEventListeners() {
     this.elements.startBtn.addEventListener('click', () => this.initialize());
     this.elements.resetBtn.addEventListener('click', () => this.resetReference());
     
+    // Performance recorder
+    this.elements.recordBtn.addEventListener('click', () => this.toggleRecording());
+    this.elements.replayBtn.addEventListener('click', () => this.toggleReplay());
+    this.elements.exportMidiBtn.addEventListener('click', () => this.exportRecording('midi'));
+    this.elements.exportJsonBtn.addEventListener('click', () => this.exportRecording('json'));
+    
     // Fullscreen control
     this.elements.fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
     
@@ -138,6 +522,67 @@ class PolyApp {
       if (this.synth) {
         this.synth.setReferenceMode(e.target.value);
       }
+      if (this.visualizer) {
+        this.visualizer.setReferenceMode(this.synth.engine.referenceMode);
+      }
+      this.saveSettings();
+    });
+    
+    // Series mode controls
+    this.elements.seriesFundamental.addEventListener('change', () => {
+      if (this.synth) {
+        this.synth.setSeriesFundamental(this.getSeriesFundamental());
+      }
+      this.saveSettings();
+    });
+    
+    this.elements.seriesDirection.addEventListener('change', (e) => {
+      if (this.synth) {
+        this.synth.setSeriesDirection(e.target.value);
+      }
+      if (this.visualizer) {
+        this.visualizer.setSeriesDirection(e.target.value);
+      }
+      this.saveSettings();
+    });
+    
+    this.elements.seriesLimit.addEventListener('input', (e) => {
+      const limit = parseInt(e.target.value);
+      this.elements.seriesLimitValue.textContent = limit;
+      if (this.synth) {
+        this.synth.setSeriesLimit(limit);
+      }
+      this.saveSettings();
+    });
+    
+    // Tuning system control
+    this.elements.tuningSystem.addEventListener('change', (e) => {
+      this.setTuningSystem(e.target.value);
+      this.saveSettings();
+    });
+    
+    // MIDI file rendering
+    this.elements.midiFile.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.renderMidiFile(e.target.files[0]);
+      }
+    });
+    
+    // Scala file import
+    this.elements.scalaFile.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.importScalaFiles(Array.from(e.target.files));
+      }
+    });
+    
+    // EDO controls
+    this.elements.edo.addEventListener('change', () => {
+      this.setEdo();
+      this.saveSettings();
+    });
+    
+    this.elements.edoMapping.addEventListener('change', () => {
+      this.setEdo();
       this.saveSettings();
     });
     
@@ -149,6 +594,39 @@ class PolyApp {
       this.saveSettings();
     });
     
+    // Drift correction controls
+    this.elements.driftCorrection.addEventListener('change', (e) => {
+      if (this.synth) {
+        this.synth.setDriftCorrectionMode(e.target.value);
+      }
+      this.saveSettings();
+    });
+    
+    this.elements.driftCorrectionRate.addEventListener('input', (e) => {
+      const rate = parseFloat(e.target.value);
+      this.elements.driftCorrectionRateValue.textContent = `${rate.toFixed(1)} ¢/s`;
+      if (this.synth) {
+        this.synth.setDriftCorrectionRate(rate);
+      }
+      this.saveSettings();
+    });
+    
+    this.elements.driftAnchor.addEventListener('change', () => {
+      if (this.synth) {
+        this.synth.setDriftAnchorFrequency(this.getDriftAnchor());
+      }
+      this.saveSettings();
+    });
+    
+    // Comma shift: move the whole tuning by a comma on purpose
+    this.elements.commaShift.addEventListener('change', (e) => {
+      this.elements.commaShiftCustom.style.display = e.target.value === 'custom' ? '' : 'none';
+      this.saveSettings();
+    });
+    this.elements.commaShiftCustom.addEventListener('change', () => this.saveSettings());
+    this.elements.commaShiftDown.addEventListener('click', () => this.shiftByComma(-1));
+    this.elements.commaShiftUp.addEventListener('click', () => this.shiftByComma(1));
+    
     // ADSR controls
     this.elements.attack.addEventListener('input', (e) => {
       const ms = parseInt(e.target.value);
@@ -226,6 +704,41 @@ class PolyApp {
       this.saveSettings();
     });
     
+    // External output controls (MTS / MPE)
+    this.elements.outputMode.addEventListener('change', () => {
+      this.applyOutputMode();
+      this.saveSettings();
+    });
+    
+    this.elements.midiOutput.addEventListener('change', (e) => {
+      this.savedMidiOutput = e.target.value || null;
+      if (this.midiHandler) {
+        if (this.mpeOutput) {
+          this.mpeOutput.allNotesOff();
+        }
+        this.midiHandler.selectOutput(this.savedMidiOutput);
+        this.configureMpe();
+        this.sendFullTuning();
+      }
+      this.saveSettings();
+    });
+    
+    this.elements.mtsMessage.addEventListener('change', () => {
+      this.sendFullTuning();
+      this.saveSettings();
+    });
+    
+    this.elements.mpeChannels.addEventListener('input', (e) => {
+      this.elements.mpeChannelsValue.textContent = e.target.value;
+      this.configureMpe();
+      this.saveSettings();
+    });
+    
+    this.elements.mpeBendRange.addEventListener('change', () => {
+      this.configureMpe();
+      this.saveSettings();
+    });
+    
     // Stereo spread control
     this.elements.stereoSpread.addEventListener('input', (e) => {
       const spread = parseInt(e.target.value);
@@ -243,6 +756,115 @@ class PolyApp {
       }
       this.saveSettings();
     });
+    
+    // Keyboard split controls
+    this.elements.splitMode.addEventListener('change', () => {
+      this.setKeyboardLayout();
+      this.saveSettings();
+    });
+    
+    this.elements.splitPoint.addEventListener('input', () => {
+      this.setKeyboardLayout();
+      this.saveSettings();
+    });
+    
+    this.elements.splitChannel.addEventListener('change', () => {
+      this.setKeyboardLayout();
+      this.saveSettings();
+    });
+    
+    // Pitch bend controls
+    this.elements.pitchBendRange.addEventListener('input', (e) => {
+      this.setPitchBendRange(parseInt(e.target.value));
+    });
+    
+    // External synths hear the new master bend range with the next zone setup
+    this.elements.pitchBendRange.addEventListener('change', () => this.configureMpe());
+    
+    this.elements.bendTarget.addEventListener('change', (e) => {
+      if (this.synth) {
+        this.synth.setBendTarget(e.target.value);
+        // The external synth's wheel bend moves over to single notes, or back
+        this.sendPitchBend();
+        this.sendNoteBends(this.synth.getOutputTunings());
+      }
+      this.saveSettings();
+    });
+    
+    // MPE input controls
+    this.elements.mpeInput.addEventListener('change', (e) => {
+      if (this.midiHandler) {
+        this.midiHandler.setMpeInput(e.target.value === 'on');
+      }
+      this.saveSettings();
+    });
+    
+    this.elements.mpeInputBendRange.addEventListener('change', (e) => {
+      if (this.synth) {
+        this.synth.setMpeBendRange(parseInt(e.target.value));
+      }
+      this.saveSettings();
+    });
+    
+    this.elements.carryChord.addEventListener('change', (e) => {
+      if (this.synth) {
+        this.synth.setCarryChord(e.target.value === 'on');
+      }
+      this.saveSettings();
+    });
+    
+    // Aftertouch controls
+    this.elements.pressureCurve.addEventListener('change', (e) => {
+      if (this.synth) {
+        this.synth.setPressureCurve(e.target.value);
+      }
+      this.saveSettings();
+    });
+    
+    ['Filter', 'Vibrato', 'Amplitude'].forEach(name => {
+      this.elements[`pressure${name}`].addEventListener('input', (e) => {
+        const depth = parseInt(e.target.value);
+        this.elements[`pressure${name}Value`].textContent = `${depth}%`;
+        if (this.synth) {
+          this.synth.setPressureDepth(name.toLowerCase(), depth / 100);
+        }
+        this.saveSettings();
+      });
+    });
+    
+    // MIDI learn: while it's on, clicking a control picks it instead of changing it
+    this.elements.midiLearnBtn.addEventListener('click', () => this.toggleLearnMode());
+    const pickControl = (e) => {
+      if (!this.learnMode) return;
+      const control = e.target.closest('select, input[type="range"], button.learnable');
+      if (!control || control.id === 'midiOutput') return;
+      
+      e.preventDefault();
+      this.elements.controlsSection.querySelectorAll('.learn-target')
+        .forEach(element => element.classList.remove('learn-target'));
+      control.classList.add('learn-target');
+      this.midiLearn.startLearning(control.id);
+      this.showSuccess(`Move a knob or press a key to control ${this.getControlLabel(control.id)}.`);
+    };
+    this.elements.controlsSection.addEventListener('mousedown', pickControl, true);
+    this.elements.controlsSection.addEventListener('touchstart', pickControl, { capture: true, passive: false });
+    
+    // Clicking a button to pick it doesn't press it (mapped controllers still can)
+    this.elements.controlsSection.addEventListener('click', (e) => {
+      if (this.learnMode && e.isTrusted && e.target.closest('button.learnable')) {
+        e.stopPropagation();
+      }
+    }, true);
+    
+    this.elements.exportMappingsBtn.addEventListener('click', () => this.exportMidiMappings());
+    this.elements.mappingFile.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.importMidiMappings(e.target.files[0]);
+      }
+    });
+    
+    // Preset bank
+    this.elements.savePresetBtn.addEventListener('click', () => this.savePreset());
   }
 
   async initialize() {
@@ -258,33 +880,89 @@ class PolyApp {
       
       // Apply saved settings to synth
       const settings = this.settingsManager.loadSettings() || SettingsManager.getPolyDefaults();
-      this.synth.setWaveform(settings.waveform);
-      this.synth.setReferenceMode(settings.referenceMode || 'bass');
-      this.synth.setRetuneMode(settings.retuneMode);
-      this.synth.setAttackTime(settings.attack / 1000);
-      this.synth.setDecayTime(settings.decay / 1000);
-      this.synth.setSustainLevel(settings.sustain / 100);
-      this.synth.setReleaseTime(settings.release / 1000);
-      this.synth.setFilterFrequency(settings.filterFreq);
-      this.synth.setFilterQ(settings.filterQ);
-      this.synth.setFilterEnvelopeAmount(settings.filterEnv);
-      this.synth.setVolume(settings.volume / 100);
-      this.synth.setStereoSpread((settings.stereoSpread || 0) / 100);
-      this.synth.setSpreadMode(settings.spreadMode || 'linear');
+      this.applySynthSettings(this.synth, settings);
       
       // Initialize visualizer
       this.visualizer = new NoteVisualizer('noteCanvas');
+      this.visualizer.onKeyPress = (note, velocity) => this.routeNoteOn(note, velocity);
+      this.visualizer.onKeyRelease = (note) => this.routeNoteOff(note);
+      this.visualizer.setTuningSystem(this.synth.justIntervals.getTuningSystem());
+      this.visualizer.setReferenceMode(this.synth.engine.referenceMode);
+      this.visualizer.setSeriesDirection(this.synth.engine.seriesDirection);
+      this.setEdo();
+      this.synth.onDriftCorrection = ({ cents }) => {
+        this.visualizer.setDriftCorrection(cents);
+        // Bulk dumps are too large to send on every correction step
+        if (this.elements.mtsMessage.value === 'realtime') {
+          this.sendTuning(this.synth.getOutputTunings());
+        }
+        if (this.isMpeEnabled()) {
+          this.synth.getOutputTunings().forEach(({ midiNote, frequency }) => this.mpeOutput.retune(midiNote, frequency));
+        }
+        if (this.recorder.isRecording) {
+          this.getSoundingTunings().forEach(({ midiNote, frequency }) => {
+            this.recorder.record('retune', { note: midiNote, frequency, glideTime: this.synth.driftCorrectionInterval });
+          });
+        }
+      };
+      this.synth.onNoteBend = (tunings) => this.sendNoteBends(tunings);
       
       // Initialize MIDI
       this.midiHandler = new MIDIHandler(
-        (note, velocity) => this.handleNoteOn(note, velocity),
-        (note) => this.handleNoteOff(note),
-        (pedalDown) => this.handleSustainPedal(pedalDown),
-        (amount) => this.handlePitchBend(amount),
-        (amount) => this.handleModWheel(amount)
+        (note, velocity, channel) => this.routeNoteOn(note, velocity, channel),
+        (note, channel) => this.routeNoteOff(note, channel),
+        (pedalDown, channel) => this.routeController('sustain', { down: pedalDown }, channel),
+        (amount, channel) => this.routeController('pitchBend', { amount }, channel),
+        (amount, channel) => this.routeController('modWheel', { amount }, channel)
+      );
+      this.midiHandler.onChannelPressure = (amount, channel) => this.routeController('channelPressure', { amount }, channel);
+      this.midiHandler.onSustainDepth = (amount, channel) => this.routeController('sustainDepth', { amount }, channel);
+      this.midiHandler.onSostenutoPedal = (down, channel) => this.routeController('sostenuto', { down }, channel);
+      this.midiHandler.onSoftPedal = (down, channel) => this.routeController('softPedal', { down }, channel);
+      this.midiHandler.onPolyPressure = (note, amount, channel) => this.routeNoteExpression('applyNotePressure', note, amount, channel);
+      this.midiHandler.onProgramChange = (program, bank) => this.recallPreset(bank * 128 + program);
+      this.midiHandler.onPitchBendRange = (cents, channel) => this.handlePitchBendRangeMessage(cents, channel);
+      Object.entries(this.channelFilters).forEach(([name, channels]) => {
+        this.midiHandler.setChannelFilter(name, channels);
+      });
+      this.midiHandler.setDisabledInputs(this.disabledInputs);
+      this.midiHandler.onMessage = (data, device) => this.midiLearn.handleMessage(data, device);
+      this.midiHandler.onNoteBend = (note, amount, channel) => this.routeNoteExpression('applyNoteBend', note, amount, channel);
+      this.midiHandler.onNotePressure = (note, amount, channel) => this.routeNoteExpression('applyNotePressure', note, amount, channel);
+      this.midiHandler.onNoteTimbre = (note, amount, channel) => this.routeNoteExpression('applyNoteTimbre', note, amount, channel);
+      this.midiHandler.setMpeInput(this.elements.mpeInput.value === 'on');
+      
+      // Without Web MIDI (e.g. Safari) the computer keyboard is the only input
+      let midiAvailable = true;
+      try {
+        await this.midiHandler.init();
+      } catch (error) {
+        midiAvailable = false;
+      }
+      
+      // The computer keyboard plays alongside any MIDI devices
+      this.qwertyInput = new QwertyInput(
+        (note, velocity) => this.routeNoteOn(note, velocity),
+        (note) => this.routeNoteOff(note),
+        (pedalDown) => this.routeController('sustain', { down: pedalDown })
       );
+      this.qwertyInput.onChange = () => this.updateMIDIDeviceList();
+      this.qwertyInput.onCommaShift = (direction) => this.shiftByComma(direction);
+      this.qwertyInput.enable();
       
-      await this.midiHandler.init();
+      // A split or layer saved last session needs its second synth
+      this.setKeyboardLayout();
+      
+      // MTS and MPE output go to the selected MIDI output port
+      this.mtsOutput = new MTSOutput(bytes => this.midiHandler.send(bytes));
+      this.mpeOutput = new MPEOutput(bytes => this.midiHandler.send(bytes));
+      this.midiHandler.selectOutput(this.savedMidiOutput);
+      await this.applyOutputMode();
+      
+      // Controllers already plugged in load their presets now, later ones as they appear
+      this.midiHandler.getConnectedDevices().forEach(device => this.loadInputProfile(device));
+      this.midiHandler.onDeviceConnected = (device) => this.loadInputProfile(device);
+      this.midiHandler.onDevicesChange = () => this.updateMIDIDeviceList();
       
       // Update UI
       this.updateMIDIDeviceList();
@@ -293,7 +971,11 @@ class PolyApp {
       this.elements.resetBtn.disabled = false;
       this.isInitialized = true;
       
-      this.showSuccess('PolySynth ready! Play chords on your MIDI controller.');
+      if (midiAvailable) {
+        this.showSuccess('PolySynth ready! Play chords on your MIDI controller or computer keyboard.');
+      } else {
+        this.showSuccess('PolySynth ready! Web MIDI is not available, so play with the computer keyboard (A to \' for notes, Z/X octave, C/V velocity, Space sustain).');
+      }
       
     } catch (error) {
       this.showError(`Failed to initialize: ${error.message}`);
@@ -314,50 +996,193 @@ class PolyApp {
     }
   }
 
-  async handleNoteOn(midiNote, velocity) {
-    await this.ensureInitialized();
-    if (this.synth) {
-      // Mark this key as being held down
-      this.synth.keysHeldDown.add(midiNote);
-      
-      // Get the reference BEFORE playing the note
-      const stateBefore = this.synth.getState();
-      const oldReferenceNote = stateBefore.referenceNote;
-      
-      const noteInfo = this.synth.noteOn(midiNote, velocity);
-      this.updateUI(noteInfo);
-      
-      // Get the reference AFTER playing the note
-      const stateAfter = this.synth.getState();
-      const newReferenceNote = stateAfter.referenceNote;
-      
-      // Update visualizer
-      if (this.visualizer) {
-        // If a voice was stolen, mark that note as inactive in the visualizer
-        if (noteInfo.stolenNote !== null && noteInfo.stolenNote !== undefined) {
-          this.visualizer.noteOff(noteInfo.stolenNote);
-        }
-        
-        // Check if this note is the reference note
-        const isReferenceNote = newReferenceNote === midiNote;
-        this.visualizer.noteOn(midiNote, noteInfo.frequency, isReferenceNote);
-        
-        // Update reference frequency to match current reference
-        if (newReferenceNote !== null) {
-          const refVoice = this.synth.voices.find(v => v.isActive && v.midiNote === newReferenceNote);
-          if (refVoice) {
-            this.visualizer.referenceFrequency = { 
-              frequency: refVoice.frequency,
-              midiNote: newReferenceNote,
-              timestamp: performance.now()
-            };
-            
-            // If the reference changed, update all existing notes' ratios
-            if (oldReferenceNote !== null && oldReferenceNote !== newReferenceNote) {
-              this.visualizer.updateAllRatiosForNewReference();
-            }
+  /**
+   * Divide the keyboard as the split controls say, creating synths for new zones
+   * Zone synths left out of the new layout are silenced
+   */
+  setKeyboardLayout() {
+    const splitPoint = parseInt(this.elements.splitPoint.value);
+    this.elements.splitPointValue.textContent = this.keyboardZones.getNoteName(splitPoint);
+    this.keyboardZones.setLayout(this.elements.splitMode.value, {
+      splitPoint,
+      splitChannel: parseInt(this.elements.splitChannel.value) - 1
+    });
+    if (!this.synth) return;
+    
+    const zoneNames = this.keyboardZones.getZoneNames();
+    this.zoneSynths.forEach((synth, name) => {
+      if (!zoneNames.includes(name)) synth.resetReference();
+    });
+    
+    zoneNames
+      .filter(name => name !== 'main' && !this.zoneSynths.has(name))
+      .forEach(name => {
+        // Zone synths share the main synth's audio context (init doesn't wait on anything)
+        const synth = new PolySynth(8);
+        synth.init(this.synth.audioContext);
+        this.applySynthSettings(synth, this.getSettings());
+        synth.setLocalAudio(this.synth.localAudio);
+        this.zoneSynths.set(name, synth);
+      });
+  }
+
+  /**
+   * Play a note on the synths of the zones it falls in
+   * @param {number|null} channel - MIDI channel (0-15), or null for the computer and on-screen keyboards
+   */
+  routeNoteOn(midiNote, velocity, channel = null) {
+    const key = `${channel}:${midiNote}`;
+    const zones = this.keyboardZones.getZonesForNote(channel, midiNote);
+    const previous = this.routedNotes.get(key) || []; // Struck again before its note off
+    this.routedNotes.set(key, Array.from(new Set([...previous, ...zones])));
+    
+    // Resolves once every voice has started (MPE expression sent before the note waits for it)
+    return Promise.all(zones.map(zone => {
+      if (zone === 'main') {
+        return this.handleNoteOn(midiNote, velocity);
+      }
+      return this.playZoneEvent(zone, { type: 'noteOn', note: midiNote, velocity });
+    }));
+  }
+
+  /**
+   * End a note on the synths its note on went to (even if the layout changed since)
+   */
+  routeNoteOff(midiNote, channel = null) {
+    const key = `${channel}:${midiNote}`;
+    const zones = this.routedNotes.get(key) || this.keyboardZones.getZonesForNote(channel, midiNote);
+    this.routedNotes.delete(key);
+    
+    zones.forEach(zone => {
+      if (zone === 'main') {
+        this.handleNoteOff(midiNote);
+      } else {
+        this.playZoneEvent(zone, { type: 'noteOff', note: midiNote });
+      }
+    });
+  }
+
+  /**
+   * Send a pedal, pitch bend, mod wheel or aftertouch change to the zones on its channel
+   * @param {string} type - 'sustain', 'sustainDepth', 'sostenuto', 'softPedal', 'pitchBend',
+   *   'modWheel' or 'channelPressure'
+   * @param {Object} values - { down } or { amount }
+   */
+  routeController(type, values, channel = null) {
+    const handlers = {
+      sustain: () => this.handleSustainPedal(values.down),
+      sustainDepth: () => this.handleSustainDepth(values.amount),
+      sostenuto: () => this.handleSostenutoPedal(values.down),
+      softPedal: () => this.handleSoftPedal(values.down),
+      pitchBend: () => this.handlePitchBend(values.amount),
+      modWheel: () => this.handleModWheel(values.amount),
+      channelPressure: () => this.handleChannelPressure(values.amount)
+    };
+    
+    this.keyboardZones.getZonesForChannel(channel).forEach(zone => {
+      if (zone === 'main') {
+        handlers[type]();
+      } else {
+        this.playZoneEvent(zone, { type, ...values });
+      }
+    });
+  }
+
+  /**
+   * Apply per-note expression (MPE or poly aftertouch) on the synths playing the note
+   * @param {string} method - PolySynth method: 'applyNoteBend', 'applyNotePressure' or 'applyNoteTimbre'
+   */
+  routeNoteExpression(method, midiNote, amount, channel) {
+    const zones = this.routedNotes.get(`${channel}:${midiNote}`) || ['main'];
+    zones.forEach(zone => {
+      if (zone === 'main' && method === 'applyNotePressure') {
+        this.handlePolyPressure(midiNote, amount); // Recorded, unlike per-note bend and timbre
+        return;
+      }
+      const synth = zone === 'main' ? this.synth : this.zoneSynths.get(zone);
+      if (synth) {
+        synth[method](midiNote, amount);
+      }
+    });
+  }
+
+  /**
+   * Play an event on a split zone's synth
+   * Zone synths play locally only; the display, recorder and MTS/MPE output follow the main synth
+   */
+  playZoneEvent(zone, event) {
+    const synth = this.zoneSynths.get(zone);
+    if (!synth) return;
+    synth.applyEvent(event);
+  }
+
+  async handleNoteOn(midiNote, velocity) {
+    await this.ensureInitialized();
+    if (this.synth) {
+      // Mark this key as being held down
+      this.synth.keysHeldDown.add(midiNote);
+      
+      // Get the reference BEFORE playing the note
+      const stateBefore = this.synth.getState();
+      const oldReferenceNote = stateBefore.referenceNote;
+      
+      const noteInfo = this.synth.noteOn(midiNote, velocity);
+      this.recordNoteOn(midiNote, velocity, noteInfo);
+      if (!noteInfo) return; // Key not mapped in the current tuning system
+      this.updateUI(noteInfo);
+      
+      // Retune the external synth's key before it plays (bent, if the wheel bends it on its own)
+      const outputFrequency = this.synth.getOutputFrequency(noteInfo.voice);
+      if (this.isMtsEnabled()) {
+        if (noteInfo.stolenNote !== null) {
+          this.midiHandler.sendNoteOff(noteInfo.stolenNote);
+        }
+        this.sendTuning([{ midiNote, frequency: outputFrequency }]);
+        this.midiHandler.sendNoteOn(midiNote, velocity);
+      }
+      
+      // Give the note its own channel, bent to its just frequency
+      if (this.isMpeEnabled()) {
+        if (noteInfo.stolenNote !== null) {
+          this.mpeOutput.noteOff(noteInfo.stolenNote);
+        }
+        this.mpeOutput.noteOn(midiNote, outputFrequency, velocity);
+      }
+      
+      // Get the reference AFTER playing the note
+      const stateAfter = this.synth.getState();
+      const newReferenceNote = stateAfter.referenceNote;
+      
+      // Update visualizer
+      if (this.visualizer) {
+        // If a voice was stolen, mark that note as inactive in the visualizer
+        if (noteInfo.stolenNote !== null && noteInfo.stolenNote !== undefined) {
+          this.visualizer.noteOff(noteInfo.stolenNote);
+        }
+        
+        // Check if this note is the reference note
+        const isReferenceNote = newReferenceNote === midiNote;
+        this.visualizer.noteOn(midiNote, noteInfo.frequency, isReferenceNote);
+        
+        // Update reference frequency to match current reference
+        // (a series fundamental is the reference even when nobody plays it)
+        if (newReferenceNote !== null) {
+          const refVoice = this.synth.voices.find(v => v.isActive && v.midiNote === newReferenceNote);
+          if (refVoice || stateAfter.referenceMode === 'series') {
+            this.visualizer.referenceFrequency = { 
+              frequency: stateAfter.referenceFrequency,
+              midiNote: newReferenceNote,
+              timestamp: performance.now()
+            };
+            
+            // If the reference changed, update all existing notes' ratios
+            if (oldReferenceNote !== null && oldReferenceNote !== newReferenceNote) {
+              this.visualizer.updateAllRatiosForNewReference();
+            }
           }
         }
+        
+        this.visualizer.setExactDrift(stateAfter.referenceDrift);
       }
     }
   }
@@ -365,110 +1190,60 @@ class PolyApp {
   async handleNoteOff(midiNote) {
     await this.ensureInitialized();
     if (this.synth) {
-      // Mark this key as no longer being held down
-      this.synth.keysHeldDown.delete(midiNote);
-      
-      // Find the voice(s) playing this note that we're about to release
-      const voicesToCheck = this.synth.voices.filter(v => v.isActive && v.midiNote === midiNote);
+      this.recorder.record('noteOff', { note: midiNote });
       
-      // Check if sustain pedal should hold the note
-      // Pass the voice instance so the synth can track which specific voices are sustained
-      const shouldRelease = voicesToCheck.length > 0 && 
-        this.synth.handleNoteOffWithSustain(midiNote, voicesToCheck[voicesToCheck.length - 1]);
+      // The external synth handles the sustain pedal itself
+      if (this.isMtsEnabled()) {
+        this.midiHandler.sendNoteOff(midiNote);
+      }
       
-      if (shouldRelease) {
+      // If a pedal is holding the note, do nothing - keep visualizer growing
+      const release = this.synth.releaseKey(midiNote);
+      if (release) {
         // Note is actually being released (not sustained)
+        this.recorder.record('release', { note: midiNote });
         
         // Update visualizer
         if (this.visualizer) {
           this.visualizer.noteOff(midiNote);
         }
         
-        const retunedNotes = this.synth.noteOff(midiNote);
-        
-        // If notes were retuned (reference changed), update visualizer
-        if (retunedNotes && Array.isArray(retunedNotes) && this.visualizer) {
-          // Update reference note FIRST so ratio calculations are correct
-          const state = this.synth.getState();
-          if (state.referenceNote !== null) {
-            const refVoice = this.synth.voices.find(v => v.isActive && v.midiNote === state.referenceNote);
-            if (refVoice) {
-              this.visualizer.referenceFrequency = { 
-                frequency: refVoice.frequency,
-                midiNote: state.referenceNote,
-                timestamp: performance.now()
-              };
-              
-              // Update all active notes' ratio displays for the new reference
-              this.visualizer.updateAllRatiosForNewReference();
-            }
-          }
-          
-          // Then update the retuned notes with the new reference
-          const isSmooth = this.synth.retuneMode === 'smooth';
-          const glideTime = this.synth.retuneSpeed || 0.2;
-          
-          retunedNotes.forEach(({ midiNote: retunedNote, newFrequency }) => {
-            this.visualizer.updateNoteTuning(retunedNote, newFrequency, isSmooth, glideTime);
-          });
-        }
+        this.sendRetunedNotes(release.retunedNotes);
+        this.showRetunedNotes(release.retunedNotes);
         
         this.updateUIAfterNoteOff();
+        this.releaseMpeNotes();
       }
-      // If sustain pedal is holding the note, do nothing - keep visualizer growing
     }
   }
 
   handleSustainPedal(pedalDown) {
     if (this.synth) {
+      // Controllers repeat the pedal value - only changes count
+      const change = this.synth.setSustainPedal(pedalDown);
+      if (!change) return;
+      
+      this.recorder.record('sustain', { down: pedalDown });
+      if (this.isMtsEnabled()) {
+        this.midiHandler.sendControlChange(64, pedalDown ? 127 : 0);
+      }
+      
       if (pedalDown) {
-        this.synth.handleSustainPedalDown();
         this.elements.sustainPedal.textContent = '🎹 DOWN';
         this.elements.sustainPedal.style.color = '#4caf50';
       } else {
-        // Get the notes that were being sustained before releasing the pedal
-        const sustainedNotes = Array.from(this.synth.sustainedNotes);
-        const keysHeldDown = Array.from(this.synth.keysHeldDown);
-        
-        const retunedNotes = this.synth.handleSustainPedalUp();
+        // Sustained notes whose keys are still held down keep sounding
+        const { releasedNotes, retunedNotes } = change;
+        releasedNotes.forEach(midiNote => this.recorder.record('release', { note: midiNote }));
+        this.releaseMpeNotes();
+        this.sendRetunedNotes(retunedNotes);
         
         // Tell visualizer that sustained notes are now released
-        // BUT only for notes whose keys are no longer held down
         if (this.visualizer) {
-          sustainedNotes.forEach(midiNote => {
-            // Only stop visualizing if the key is not currently held down
-            if (!keysHeldDown.includes(midiNote)) {
-              this.visualizer.noteOff(midiNote);
-            }
-          });
+          releasedNotes.forEach(midiNote => this.visualizer.noteOff(midiNote));
         }
         
-        // If notes were retuned (reference changed), update visualizer
-        if (retunedNotes && Array.isArray(retunedNotes) && this.visualizer) {
-          // Update reference note FIRST so ratio calculations are correct
-          const state = this.synth.getState();
-          if (state.referenceNote !== null) {
-            const refVoice = this.synth.voices.find(v => v.isActive && v.midiNote === state.referenceNote);
-            if (refVoice) {
-              this.visualizer.referenceFrequency = { 
-                frequency: refVoice.frequency,
-                midiNote: state.referenceNote,
-                timestamp: performance.now()
-              };
-              
-              // Update all active notes' ratio displays for the new reference
-              this.visualizer.updateAllRatiosForNewReference();
-            }
-          }
-          
-          // Then update the retuned notes with the new reference
-          const isSmooth = this.synth.retuneMode === 'smooth';
-          const glideTime = this.synth.retuneSpeed || 0.2;
-          
-          retunedNotes.forEach(({ midiNote: retunedNote, newFrequency }) => {
-            this.visualizer.updateNoteTuning(retunedNote, newFrequency, isSmooth, glideTime);
-          });
-        }
+        this.showRetunedNotes(retunedNotes);
         
         this.updateUIAfterNoteOff();
         this.elements.sustainPedal.textContent = 'UP';
@@ -477,9 +1252,87 @@ class PolyApp {
     }
   }
 
+  handleSostenutoPedal(pedalDown) {
+    if (this.synth) {
+      const change = this.synth.setSostenutoPedal(pedalDown);
+      if (!change) return;
+      
+      this.recorder.record('sostenuto', { down: pedalDown });
+      if (this.isMtsEnabled()) {
+        this.midiHandler.sendControlChange(66, pedalDown ? 127 : 0);
+      }
+      
+      if (!pedalDown) {
+        const { releasedNotes, retunedNotes } = change;
+        releasedNotes.forEach(midiNote => this.recorder.record('release', { note: midiNote }));
+        this.releaseMpeNotes();
+        this.sendRetunedNotes(retunedNotes);
+        
+        if (this.visualizer) {
+          releasedNotes.forEach(midiNote => this.visualizer.noteOff(midiNote));
+        }
+        this.showRetunedNotes(retunedNotes);
+        this.updateUIAfterNoteOff();
+      }
+    }
+  }
+
+  handleSoftPedal(pedalDown) {
+    if (this.synth && this.synth.setSoftPedal(pedalDown)) {
+      this.recorder.record('softPedal', { down: pedalDown });
+      if (this.isMtsEnabled()) {
+        this.midiHandler.sendControlChange(67, pedalDown ? 127 : 0);
+      }
+    }
+  }
+
+  handleSustainDepth(amount) {
+    if (this.synth) {
+      this.recorder.record('sustainDepth', { amount });
+      this.synth.setSustainPedalDepth(amount);
+    }
+  }
+
+  /**
+   * Show notes retuned after a reference change in the visualizer
+   */
+  showRetunedNotes(retunedNotes) {
+    if (!retunedNotes || !Array.isArray(retunedNotes) || !this.visualizer) return;
+    
+    // Update reference note FIRST so ratio calculations are correct
+    const state = this.synth.getState();
+    if (state.referenceNote !== null) {
+      const refVoice = this.synth.voices.find(v => v.isActive && v.midiNote === state.referenceNote);
+      if (refVoice) {
+        this.visualizer.referenceFrequency = { 
+          frequency: refVoice.frequency,
+          midiNote: state.referenceNote,
+          timestamp: performance.now()
+        };
+        
+        // Update all active notes' ratio displays for the new reference
+        this.visualizer.updateAllRatiosForNewReference();
+        this.visualizer.setExactDrift(state.referenceDrift);
+      }
+    }
+    
+    // Then update the retuned notes with the new reference
+    const isSmooth = this.synth.retuneMode === 'smooth';
+    const glideTime = this.synth.retuneSpeed || 0.2;
+    
+    retunedNotes.forEach(({ midiNote: retunedNote, newFrequency }) => {
+      this.visualizer.updateNoteTuning(retunedNote, newFrequency, isSmooth, glideTime);
+    });
+  }
+
   handlePitchBend(amount) {
     if (this.synth) {
+      this.recorder.record('pitchBend', { amount });
+      // Notes the bend target moves on their own reach the external synth through onNoteBend
       this.synth.applyPitchBend(amount);
+      if (this.synth.engine.bendTarget === 'chord') {
+        this.sendPitchBend();
+      }
       
       // Update visualizer reference frequency with bent reference
       if (this.visualizer) {
@@ -498,12 +1351,70 @@ class PolyApp {
     }
   }
 
+  /**
+   * Set the pitch wheel's range on every synth
+   * @param {number} cents - Bend at either end of the wheel
+   */
+  setPitchBendRange(cents) {
+    this.recorder.record('pitchBendRange', { cents });
+    this.showPitchBendRange(cents);
+    if (this.synth) {
+      this.synth.setPitchBendRange(cents);
+    }
+    this.saveSettings();
+  }
+
+  showPitchBendRange(cents) {
+    this.elements.pitchBendRange.value = cents;
+    this.elements.pitchBendRangeValue.textContent = `±${parseFloat((cents / 100).toFixed(2))} semitones`;
+  }
+
+  /**
+   * RPN 0 from a controller: with MPE input on, member channels set the per-note range
+   * and the master channel sets the wheel's range, as the MPE spec has it
+   */
+  handlePitchBendRangeMessage(cents, channel) {
+    if (this.elements.mpeInput.value !== 'on' || channel === this.midiHandler.mpeMasterChannel) {
+      console.log(`Pitch bend range from MIDI: ${cents} cents`);
+      this.setPitchBendRange(cents);
+      return;
+    }
+    
+    const semitones = Math.round(cents / 100);
+    const listed = Array.from(this.elements.mpeInputBendRange.options)
+      .some(option => parseInt(option.value) === semitones);
+    if (!listed) {
+      console.warn(`Unsupported per-note bend range from MIDI: ${semitones} semitones`);
+      return;
+    }
+    this.elements.mpeInputBendRange.value = semitones;
+    if (this.synth) {
+      this.synth.setMpeBendRange(semitones);
+    }
+    this.saveSettings();
+  }
+
   handleModWheel(amount) {
     if (this.synth) {
+      this.recorder.record('modWheel', { amount });
       this.synth.setVibratoAmount(amount);
     }
   }
 
+  handleChannelPressure(amount) {
+    if (this.synth) {
+      this.recorder.record('channelPressure', { amount });
+      this.synth.applyChannelPressure(amount);
+    }
+  }
+
+  handlePolyPressure(midiNote, amount) {
+    if (this.synth) {
+      this.recorder.record('polyPressure', { note: midiNote, amount });
+      this.synth.applyNotePressure(midiNote, amount);
+    }
+  }
+
   updateUI(noteInfo) {
     // Update voice count
     this.elements.voiceCount.textContent = noteInfo.activeVoices;
@@ -515,7 +1426,9 @@ class PolyApp {
       const modeLabels = {
         bass: ' (bass)',
         random: ' (random)',
-        harmonic: ' (harmonic)'
+        lattice: ' (lattice)',
+        context: ' (context)',
+        series: ' (fundamental)'
       };
       const modeLabel = modeLabels[state.referenceMode] || '';
       this.elements.bassNote.textContent = refNoteName + modeLabel;
@@ -528,7 +1441,7 @@ class PolyApp {
     // Display active voices
     if (state.activeNotes.length > 0) {
       this.elements.activeVoices.textContent = state.activeNotes
-        .map(n => n.noteName)
+        .map(n => this.formatNotePosition(n))
         .join(', ');
     } else {
       this.elements.activeVoices.textContent = '—';
@@ -540,6 +1453,9 @@ class PolyApp {
       this.elements.intervalName.textContent = `${noteInfo.noteName}: ${info.name}`;
       this.elements.intervalDetails.textContent = 
         `Ratio ${info.ratio} from reference note ${info.referenceNote} (${info.referenceFreq.toFixed(2)} Hz)`;
+      if (info.candidate && info.candidate.alternatives.length > 0) {
+        this.elements.intervalDetails.textContent += ` — chosen: ${info.candidate.reason}`;
+      }
     } else {
       this.elements.intervalName.textContent = `${noteInfo.noteName} (Reference/First Note)`;
       if (noteInfo.usedStoredReference) {
@@ -552,6 +1468,24 @@ class PolyApp {
     }
   }
 
+  /**
+   * Format an active note with its exact position, e.g. "C4 · 81/80 above start"
+   * Series mode notes show their harmonic instead, e.g. "A#4 · 7th harmonic"
+   */
+  formatNotePosition(note) {
+    if (note.harmonic !== null && note.harmonic !== undefined) {
+      return `${note.noteName} · ${this.synth.justIntervals.getHarmonicName(note.harmonic, note.harmonicDirection)}`;
+    }
+    if (!note.positionRatio) return note.noteName;
+    if (note.positionRatio === '1/1') return `${note.noteName} · start`;
+    
+    const [numerator, denominator] = note.positionRatio.split('/');
+    if (BigInt(numerator) > BigInt(denominator)) {
+      return `${note.noteName} · ${note.positionRatio} above start`;
+    }
+    return `${note.noteName} · ${denominator}/${numerator} below start`;
+  }
+
   updateUIAfterNoteOff() {
     const state = this.synth.getState();
     
@@ -564,7 +1498,9 @@ class PolyApp {
       const modeLabels = {
         bass: ' (bass)',
         random: ' (random)',
-        harmonic: ' (harmonic)'
+        lattice: ' (lattice)',
+        context: ' (context)',
+        series: ' (fundamental)'
       };
       const modeLabel = modeLabels[state.referenceMode] || '';
       this.elements.bassNote.textContent = refNoteName + modeLabel;
@@ -577,16 +1513,93 @@ class PolyApp {
     // Display active voices
     if (state.activeNotes.length > 0) {
       this.elements.activeVoices.textContent = state.activeNotes
-        .map(n => n.noteName)
+        .map(n => this.formatNotePosition(n))
         .join(', ');
     } else {
       this.elements.activeVoices.textContent = '—';
     }
   }
 
+  /**
+   * Series fundamental from the UI, or null to use the first note played
+   */
+  getSeriesFundamental() {
+    const frequency = parseFloat(this.elements.seriesFundamental.value);
+    return Number.isFinite(frequency) && frequency > 0 ? frequency : null;
+  }
+
+  /**
+   * Anchor pitch from the UI, or null for the tuning system's start pitch
+   */
+  getDriftAnchor() {
+    const frequency = parseFloat(this.elements.driftAnchor.value);
+    return Number.isFinite(frequency) && frequency > 0 ? frequency : null;
+  }
+
+  /**
+   * The comma chosen for shifting, as [numerator, denominator]
+   * @returns {number[]|null} null if the custom ratio can't be read
+   */
+  getCommaShiftRatio() {
+    const text = this.elements.commaShift.value === 'custom' ?
+      this.elements.commaShiftCustom.value : this.elements.commaShift.value;
+    const match = text.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (!match) return null;
+    
+    const ratio = [parseInt(match[1]), parseInt(match[2])];
+    return ratio[0] > 0 && ratio[1] > 0 && ratio[0] !== ratio[1] ? ratio : null;
+  }
+
+  /**
+   * Shift the tuning up or down by the chosen comma
+   * @param {number} direction - 1 up, -1 down
+   */
+  shiftByComma(direction) {
+    if (!this.synth) return;
+    
+    const ratio = this.getCommaShiftRatio();
+    if (!ratio) {
+      this.showError('Enter the comma as a ratio, e.g. 81/80');
+      return;
+    }
+    this.applyCommaShift(direction > 0 ? ratio : [ratio[1], ratio[0]]);
+  }
+
+  /**
+   * Move every sounding note and the stored reference by an exact ratio
+   * The retune mode decides whether the voices glide or jump, and the visualizer
+   * counts the move as a transposition rather than drift
+   * @param {number[]} ratio - [numerator, denominator]
+   */
+  applyCommaShift(ratio) {
+    if (!this.synth) return;
+    
+    this.recorder.record('commaShift', { ratio });
+    const retunedNotes = this.synth.shiftByRatio(ratio);
+    this.zoneSynths.forEach((synth, zone) => this.playZoneEvent(zone, { type: 'commaShift', ratio }));
+    this.sendRetunedNotes(retunedNotes);
+    
+    if (this.visualizer) {
+      this.visualizer.applyCommaShift(ratio[0] / ratio[1]);
+    }
+    this.showRetunedNotes(retunedNotes);
+    this.updateUIAfterNoteOff();
+    this.showSuccess(`Shifted by ${ratio[0]}/${ratio[1]} (${this.synth.getState().commaShift} in total)`);
+  }
+
   resetReference() {
     if (this.synth) {
+      const soundingNotes = this.getSoundingTunings().map(({ midiNote }) => midiNote);
       this.synth.resetReference();
+      this.zoneSynths.forEach(synth => synth.resetReference());
+      this.routedNotes.clear();
+      soundingNotes.forEach(midiNote => {
+        this.recorder.record('release', { note: midiNote });
+        if (this.isMtsEnabled()) {
+          this.midiHandler.sendNoteOff(midiNote);
+        }
+      });
+      this.releaseMpeNotes();
       this.elements.bassNote.textContent = '—';
       this.elements.bassFreq.textContent = '—';
       this.elements.activeVoices.textContent = '—';
@@ -600,6 +1613,295 @@ class PolyApp {
     }
   }
 
+  /**
+   * Record a note on together with the tuning the synth chose for it
+   * @param {Object|null} noteInfo - Result of PolySynth.noteOn (null if the key is unmapped)
+   */
+  recordNoteOn(midiNote, velocity, noteInfo) {
+    if (!this.recorder.isRecording) return;
+    
+    const intervalInfo = noteInfo ? noteInfo.intervalInfo : null;
+    this.recorder.record('noteOn', {
+      note: midiNote,
+      velocity,
+      frequency: noteInfo ? noteInfo.frequency : null,
+      referenceNote: intervalInfo ? intervalInfo.referenceNote : null,
+      ratio: intervalInfo ? intervalInfo.ratio : null,
+      interval: intervalInfo ? intervalInfo.name : null
+    });
+    if (noteInfo && noteInfo.stolenNote !== null) {
+      this.recorder.record('release', { note: noteInfo.stolenNote });
+    }
+  }
+
+  /**
+   * Start or stop recording
+   */
+  toggleRecording() {
+    if (this.recorder.isRecording) {
+      this.recorder.stop();
+      this.showSuccess(`Recorded ${this.recorder.getDuration().toFixed(1)}s. Export it or replay it with different settings.`);
+    } else {
+      this.recorder.start();
+      // Pitch bends only replay and export right with the range they were played with
+      this.recorder.record('pitchBendRange', { cents: parseInt(this.elements.pitchBendRange.value) });
+      this.showSuccess('Recording...');
+    }
+    this.updateRecorderButtons();
+  }
+
+  /**
+   * Replay the recording through the live handlers, or stop a replay in progress
+   */
+  async toggleReplay() {
+    const handlers = {
+      noteOn: (note, velocity) => this.handleNoteOn(note, velocity),
+      noteOff: (note) => this.handleNoteOff(note),
+      sustainDepth: (amount) => this.handleSustainDepth(amount),
+      sustain: (down) => this.handleSustainPedal(down),
+      sostenuto: (down) => this.handleSostenutoPedal(down),
+      softPedal: (down) => this.handleSoftPedal(down),
+      pitchBend: (amount) => this.handlePitchBend(amount),
+      pitchBendRange: (cents) => this.setPitchBendRange(cents),
+      modWheel: (amount) => this.handleModWheel(amount),
+      channelPressure: (amount) => this.handleChannelPressure(amount),
+      polyPressure: (note, amount) => this.handlePolyPressure(note, amount),
+      commaShift: (ratio) => this.applyCommaShift(ratio)
+    };
+    
+    if (this.recorder.isReplaying()) {
+      this.recorder.stopReplay(handlers);
+      // Lift any pedal the replay left down (pedals already up are ignored)
+      this.handleSustainDepth(0);
+      this.handleSustainPedal(false);
+      this.handleSostenutoPedal(false);
+      this.handleSoftPedal(false);
+    } else {
+      await this.ensureInitialized();
+      this.recorder.replay(handlers, () => this.updateRecorderButtons());
+    }
+    this.updateRecorderButtons();
+  }
+
+  /**
+   * Download the recording as a MIDI file or JSON event log
+   * @param {string} format - 'midi' or 'json'
+   */
+  exportRecording(format) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    let blob;
+    let name;
+    if (format === 'midi') {
+      const tuning = this.elements.exportTuning.value;
+      blob = new Blob([this.recorder.toMidiFile(tuning)], { type: 'audio/midi' });
+      name = `performance-${stamp}-${tuning === 'mts' ? 'mts' : 'mpe'}.mid`;
+    } else {
+      blob = new Blob([JSON.stringify(this.recorder.toJSON(), null, 2)], { type: 'application/json' });
+      name = `performance-${stamp}.json`;
+    }
+    
+    this.downloadBlob(blob, name);
+  }
+
+  /**
+   * Save a file to the user's downloads
+   */
+  downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Update the recorder buttons for the current state
+   */
+  updateRecorderButtons() {
+    const hasRecording = this.recorder.hasRecording() && !this.recorder.isRecording;
+    this.elements.recordBtn.textContent = this.recorder.isRecording ? '■ Stop Recording' : '● Record';
+    this.elements.replayBtn.textContent = this.recorder.isReplaying() ? '■ Stop Replay' : '▶ Replay';
+    this.elements.replayBtn.disabled = !hasRecording;
+    this.elements.exportMidiBtn.disabled = !hasRecording;
+    this.elements.exportJsonBtn.disabled = !hasRecording;
+  }
+
+  /**
+   * Apply the sound output setting: local audio, MTS or MPE output, or both
+   * MTS output needs SysEx permission, which the browser may ask for
+   */
+  async applyOutputMode() {
+    const mode = this.elements.outputMode.value;
+    if (this.synth) {
+      this.synth.setLocalAudio(mode !== 'mts' && mode !== 'mpe');
+      this.zoneSynths.forEach(synth => synth.setLocalAudio(this.synth.localAudio));
+    }
+    if (!this.midiHandler) return;
+    
+    if (mode === 'mpe' || mode === 'mpe-both') {
+      this.populateMidiOutputs();
+      this.configureMpe();
+    } else if (this.mpeOutput) {
+      this.mpeOutput.allNotesOff();
+    }
+    
+    if (mode === 'mts' || mode === 'both') {
+      const allowed = await this.midiHandler.enableSysex();
+      if (!allowed) {
+        this.showError('MTS output needs SysEx access. Allow it in the browser to retune external synths.');
+      }
+      this.populateMidiOutputs();
+      this.sendFullTuning();
+    }
+  }
+
+  /**
+   * Whether notes and tunings go to an external synth as MTS
+   */
+  isMtsEnabled() {
+    const mode = this.elements.outputMode.value;
+    return (mode === 'mts' || mode === 'both') &&
+      this.midiHandler !== null && this.midiHandler.output !== null;
+  }
+
+  /**
+   * Whether notes go to an external synth as MPE (one channel per note)
+   */
+  isMpeEnabled() {
+    const mode = this.elements.outputMode.value;
+    return (mode === 'mpe' || mode === 'mpe-both') &&
+      this.mpeOutput !== null && this.midiHandler.output !== null;
+  }
+
+  /**
+   * Send the MPE zone setup with the current channel count and bend ranges
+   */
+  configureMpe() {
+    if (!this.isMpeEnabled()) return;
+    
+    this.mpeOutput.allNotesOff();
+    this.mpeOutput.setMemberChannelCount(parseInt(this.elements.mpeChannels.value));
+    this.mpeOutput.setBendRange(parseInt(this.elements.mpeBendRange.value));
+    this.mpeOutput.setMasterBendRange(this.synth.pitchBendRange);
+    this.mpeOutput.configureZone();
+  }
+
+  /**
+   * End MPE notes whose voices have been released (sustained notes end when the pedal lifts)
+   */
+  releaseMpeNotes() {
+    if (!this.isMpeEnabled()) return;
+    const sounding = new Set(this.synth.voices.filter(v => v.isActive).map(v => v.midiNote));
+    this.mpeOutput.releaseNotesExcept(sounding);
+  }
+
+  /**
+   * Send tuning changes to the external synth
+   * Real-time mode retunes only the changed keys; bulk mode resends the whole keyboard
+   * @param {Array} changes - [{ midiNote, frequency }]
+   */
+  sendTuning(changes) {
+    if (!this.isMtsEnabled() || !this.mtsOutput) return;
+    
+    if (this.elements.mtsMessage.value === 'bulk') {
+      const frequencies = this.synth.getKeyboardFrequencies();
+      this.synth.getOutputTunings().forEach(({ midiNote, frequency }) => {
+        frequencies[midiNote] = frequency; // Keep notes the wheel bends on their own bent
+      });
+      this.mtsOutput.sendBulkDump(frequencies);
+    } else {
+      this.mtsOutput.sendNoteTunings(changes);
+    }
+  }
+
+  /**
+   * Send voices retuned after a reference change to the external synth and the recorder
+   */
+  sendRetunedNotes(retunedNotes) {
+    if (!retunedNotes || retunedNotes.length === 0) return;
+    const recordedGlide = this.synth.retuneMode === 'smooth' ? this.synth.retuneSpeed : 0;
+    retunedNotes.forEach(({ midiNote, newFrequency }) => {
+      this.recorder.record('retune', { note: midiNote, frequency: newFrequency, glideTime: recordedGlide });
+    });
+    
+    // Notes the wheel bends on their own keep their bend
+    const tunings = retunedNotes.map(({ midiNote, newFrequency }) => {
+      const voice = this.synth.getVoiceForNote(midiNote);
+      return { midiNote, frequency: voice ? this.synth.getOutputFrequency(voice) : newFrequency };
+    });
+    this.sendTuning(tunings);
+    
+    // MPE bends follow the local glide in smooth mode
+    if (this.isMpeEnabled()) {
+      const glideTime = this.synth.retuneMode === 'smooth' ? this.synth.retuneSpeed : 0;
+      tunings.forEach(({ midiNote, frequency }) => this.mpeOutput.retune(midiNote, frequency, glideTime));
+    }
+  }
+
+  /**
+   * Send the pitch wheel to the external synth: the whole chord's bend, or none when the
+   * bend target moves single notes (those are retuned by sendNoteBends instead)
+   */
+  sendPitchBend() {
+    const amount = this.synth.engine.bendTarget === 'chord' ? this.synth.pitchBendAmount : 0;
+    if (this.isMtsEnabled()) {
+      this.midiHandler.sendPitchBend(amount);
+    }
+    if (this.isMpeEnabled()) {
+      this.mpeOutput.sendMasterPitchBend(amount);
+    }
+  }
+
+  /**
+   * Retune notes the pitch wheel bends on their own: MTS single-note retunes, or bends on
+   * their MPE member channels
+   * @param {Array} tunings - [{ midiNote, frequency }], bend included
+   */
+  sendNoteBends(tunings) {
+    this.sendTuning(tunings);
+    if (this.isMpeEnabled()) {
+      tunings.forEach(({ midiNote, frequency }) => this.mpeOutput.retune(midiNote, frequency));
+    }
+  }
+
+  /**
+   * Current tuning of every sounding voice
+   */
+  getSoundingTunings() {
+    return this.synth.voices
+      .filter(v => v.isActive)
+      .map(v => ({ midiNote: v.midiNote, frequency: v.frequency }));
+  }
+
+  /**
+   * Bring a newly selected external synth up to date
+   */
+  sendFullTuning() {
+    if (!this.synth) return;
+    if (this.elements.mtsMessage.value === 'bulk') {
+      this.sendTuning([]);
+    } else {
+      this.sendTuning(this.synth.getOutputTunings());
+    }
+  }
+
+  /**
+   * Fill the MIDI output dropdown from the available ports
+   */
+  populateMidiOutputs() {
+    if (!this.midiHandler) return;
+    
+    const ports = this.midiHandler.getOutputPorts();
+    this.elements.midiOutput.innerHTML = '<option value="">None</option>' + ports
+      .map(port => `<option value="${port.id}">${port.name}</option>`)
+      .join('');
+    
+    if (this.savedMidiOutput && ports.some(port => port.id === this.savedMidiOutput)) {
+      this.elements.midiOutput.value = this.savedMidiOutput;
+    }
+  }
+
   updateMIDIDeviceList() {
     const devices = this.midiHandler.getConnectedDevices();
     
@@ -607,14 +1909,359 @@ class PolyApp {
       this.elements.midiDeviceList.innerHTML = 
         '<div style="padding: 8px 0; color: #999;">No devices connected</div>';
     } else {
+      const presets = this.settingsManager.loadPresets();
+      const presetNumbers = Object.keys(presets).map(Number).sort((a, b) => a - b);
+      
       this.elements.midiDeviceList.innerHTML = devices
-        .map(device => `
-          <div class="midi-device">
-            🎹 ${device.name}${device.manufacturer ? ` (${device.manufacturer})` : ''}
+        .map((device, index) => `
+          <div class="midi-device${device.enabled ? '' : ' device-off'}" data-index="${index}">
+            <label>
+              <input type="checkbox" class="device-enabled"${device.enabled ? ' checked' : ''}
+                title="Play from this input">
+              🎹 ${device.name}${device.manufacturer ? ` (${device.manufacturer})` : ''}
+            </label>
+            <input type="text" class="channel-filter"
+              value="${MIDIHandler.formatChannelList(this.channelFilters[device.name])}"
+              title="MIDI channels this input plays, e.g. 1, 3-4 (or all)">
+            <br>
+            <select class="mapping-field device-profile" title="Preset loaded when this input is plugged in">
+              <option value="">No preset on connect</option>
+              ${presetNumbers.map(number => `<option value="${number}"${this.inputProfiles[device.name] === number ? ' selected' : ''}>
+                On connect: ${SettingsManager.describePreset(number)} (${presets[number].name})</option>`).join('')}
+            </select>
           </div>
         `)
         .join('');
     }
+    
+    if (this.qwertyInput) {
+      this.elements.midiDeviceList.innerHTML += `
+        <div class="midi-device">
+          ⌨️ Computer keyboard: ${this.qwertyInput.getStatus()}
+        </div>
+      `;
+    }
+    
+    // Listeners go on last, as adding the computer keyboard rewrites the list
+    const deviceFor = (element) => devices[parseInt(element.closest('[data-index]').dataset.index)];
+    this.elements.midiDeviceList.querySelectorAll('.device-enabled').forEach(checkbox => {
+      checkbox.addEventListener('change', () => this.setInputEnabled(deviceFor(checkbox).name, checkbox.checked));
+    });
+    this.elements.midiDeviceList.querySelectorAll('.channel-filter').forEach(input => {
+      input.addEventListener('change', () => this.setChannelFilter(deviceFor(input).name, input));
+    });
+    this.elements.midiDeviceList.querySelectorAll('.device-profile').forEach(select => {
+      select.addEventListener('change', () => this.setInputProfile(deviceFor(select).name, select.value));
+    });
+    
+    this.populateMidiOutputs();
+  }
+
+  /**
+   * Turn MIDI learn mode on or off
+   */
+  toggleLearnMode() {
+    this.learnMode = !this.learnMode;
+    this.elements.controlsSection.classList.toggle('learn-mode', this.learnMode);
+    this.elements.midiLearnBtn.textContent = this.learnMode ? '✓ Done' : 'MIDI Learn';
+    
+    if (this.learnMode) {
+      this.showSuccess('MIDI learn: click a control, then move a knob or press a key on your controller.');
+    } else {
+      this.midiLearn.cancelLearning();
+      this.elements.controlsSection.querySelectorAll('.learn-target')
+        .forEach(element => element.classList.remove('learn-target'));
+    }
+  }
+
+  /**
+   * Name of a control from its label, e.g. "filterFreq" -> "Filter Cutoff"
+   */
+  getControlLabel(id) {
+    const element = document.getElementById(id);
+    if (element && element.tagName === 'BUTTON') return element.title || element.textContent.trim();
+    const group = element ? element.closest('.control-group') : null;
+    const label = group ? group.querySelector('.control-label') : null;
+    return label ? label.firstChild.textContent.trim().replace(/:$/, '') : id;
+  }
+
+  /**
+   * Where a slider or menu is in its range, from 0 to 1 (0 for a button)
+   */
+  getControlValue(id) {
+    const element = document.getElementById(id);
+    if (!element) return null;
+    
+    if (element.tagName === 'BUTTON') return 0; // Buttons spring back
+    if (element.tagName === 'SELECT') {
+      return element.options.length > 1 ? element.selectedIndex / (element.options.length - 1) : 0;
+    }
+    const min = parseFloat(element.min);
+    const max = parseFloat(element.max);
+    return max > min ? (parseFloat(element.value) - min) / (max - min) : 0;
+  }
+
+  /**
+   * Move a slider or menu to a point in its range (0-1) as if the user had, or press a button
+   * @returns {number|undefined} Where the control landed (sliders snap to their step, menus to an option)
+   */
+  setControlValue(id, value) {
+    const element = document.getElementById(id);
+    if (!element) return undefined;
+    
+    if (element.tagName === 'BUTTON') {
+      // The top half of the range presses it. Nothing is returned, so a note or
+      // encoder reads the button as released again and the next press counts too
+      if (value >= 0.5) element.click();
+      return undefined;
+    }
+    if (element.tagName === 'SELECT') {
+      const index = Math.round(value * (element.options.length - 1));
+      if (index !== element.selectedIndex) {
+        element.selectedIndex = index;
+        element.dispatchEvent(new Event('change'));
+      }
+    } else {
+      const min = parseFloat(element.min);
+      const max = parseFloat(element.max);
+      const step = parseFloat(element.step) || 1;
+      const newValue = min + Math.round(value * (max - min) / step) * step;
+      if (Math.abs(parseFloat(element.value) - newValue) > step / 2) {
+        element.value = newValue;
+        element.dispatchEvent(new Event('input'));
+      }
+    }
+    return this.getControlValue(id);
+  }
+
+  /**
+   * Show the MIDI mappings with their mode and range, and which controllers can be exported
+   */
+  renderMidiMappings() {
+    const mappings = this.midiLearn.mappings;
+    const modeLabels = {
+      absolute: 'Absolute',
+      '14bit': '14-bit (CC + LSB)',
+      relative: 'Relative (1 up, 127 down)',
+      'relative-offset': 'Relative (65 up, 63 down)'
+    };
+    
+    if (mappings.length === 0) {
+      this.elements.midiMappingList.innerHTML =
+        '<div style="padding: 8px 0; color: #999;">No mappings - press MIDI Learn, click a control, then move a knob</div>';
+    } else {
+      this.elements.midiMappingList.innerHTML = mappings
+        .map((mapping, index) => `
+          <div class="midi-device" data-index="${index}">
+            ${this.midiLearn.describeSource(mapping)}${mapping.device ? ` (${mapping.device})` : ''}
+            → ${this.getControlLabel(mapping.target)}
+            <button class="mapping-remove" title="Remove mapping">✕</button>
+            <br>
+            <select class="mapping-field" data-field="mode"${mapping.type === 'note' ? ' disabled' : ''}>
+              ${MAPPING_MODES.map(mode => `<option value="${mode}"${mode === mapping.mode ? ' selected' : ''}>${modeLabels[mode]}</option>`).join('')}
+            </select>
+            <input type="number" class="mapping-field" data-field="min" min="0" max="100" style="width: 55px;"
+              value="${Math.round(mapping.min * 100)}" title="Control position at the bottom of the knob (%)">
+            to
+            <input type="number" class="mapping-field" data-field="max" min="0" max="100" style="width: 55px;"
+              value="${Math.round(mapping.max * 100)}" title="Control position at the top of the knob (%)">
+            %
+          </div>
+        `)
+        .join('');
+      
+      this.elements.midiMappingList.querySelectorAll('.mapping-field').forEach(field => {
+        field.addEventListener('change', () => {
+          const index = parseInt(field.closest('[data-index]').dataset.index);
+          const value = field.dataset.field === 'mode' ? field.value : parseFloat(field.value) / 100;
+          this.midiLearn.updateMapping(index, { [field.dataset.field]: value });
+          this.renderMidiMappings();
+          this.saveSettings();
+        });
+      });
+      this.elements.midiMappingList.querySelectorAll('.mapping-remove').forEach(button => {
+        button.addEventListener('click', () => {
+          this.midiLearn.removeMapping(parseInt(button.closest('[data-index]').dataset.index));
+          this.renderMidiMappings();
+          this.saveSettings();
+        });
+      });
+    }
+    
+    const devices = this.midiLearn.getDevices();
+    this.elements.mappingDevice.innerHTML = devices
+      .map(device => `<option value="${device || ''}">${device || 'Any controller'}</option>`)
+      .join('');
+    this.elements.exportMappingsBtn.disabled = devices.length === 0;
+  }
+
+  /**
+   * Save the current settings to the preset number chosen in the preset panel
+   */
+  savePreset() {
+    const bank = parseInt(this.elements.presetBank.value) || 0;
+    const program = parseInt(this.elements.presetProgram.value) || 1;
+    const number = bank * 128 + program - 1;
+    const settings = this.getSettings();
+    const name = this.elements.presetName.value.trim() || `${settings.referenceMode} / ${settings.retuneMode}`;
+    
+    if (this.settingsManager.savePreset(number, name, settings)) {
+      this.renderPresets();
+      this.showSuccess(`Saved "${name}" as ${SettingsManager.describePreset(number)}`);
+    } else {
+      this.showError('Could not save the preset - check the bank (0-16383) and program (1-128)');
+    }
+  }
+
+  /**
+   * Switch to a saved preset (from a program change or the preset list)
+   * Applied to the UI and synth as on startup, so sounding notes keep playing;
+   * the controller setup (inputs, outputs, mappings) stays as it is
+   * @param {number} number - bank * 128 + program
+   */
+  recallPreset(number) {
+    const preset = this.settingsManager.getPreset(number);
+    if (!preset) {
+      console.warn(`No preset at ${SettingsManager.describePreset(number)}`);
+      return;
+    }
+    
+    const settings = { ...this.getSettings(), ...preset.settings };
+    this.loadSettings(settings);
+    if (this.synth) {
+      this.applySynthSettings(this.synth, settings);
+    }
+    
+    // The visualizer works out ratios the same way as the synth, as at startup
+    this.setTuningSystem(this.elements.tuningSystem.value);
+    this.setEdo();
+    if (this.visualizer) {
+      this.visualizer.setReferenceMode(this.synth.engine.referenceMode);
+      this.visualizer.setSeriesDirection(this.synth.engine.seriesDirection);
+    }
+    this.saveSettings();
+    this.showSuccess(`${SettingsManager.describePreset(number)}: ${preset.name}`);
+  }
+
+  /**
+   * List the saved presets with buttons to recall or delete them
+   */
+  renderPresets() {
+    const presets = this.settingsManager.loadPresets();
+    const numbers = Object.keys(presets).map(Number).sort((a, b) => a - b);
+    
+    // The device list offers presets to load when a controller is plugged in
+    if (this.isInitialized) {
+      this.updateMIDIDeviceList();
+    }
+    
+    if (numbers.length === 0) {
+      this.elements.presetList.innerHTML =
+        '<div style="padding: 8px 0; color: #999;">No presets - set up a sound, pick a program number and save it</div>';
+      return;
+    }
+    
+    this.elements.presetList.innerHTML = numbers
+      .map(number => `
+        <div class="midi-device" data-number="${number}">
+          ${SettingsManager.describePreset(number)}: ${presets[number].name}
+          <button class="mapping-remove" title="Delete preset">✕</button>
+          <button class="preset-recall" title="Recall preset">▶</button>
+        </div>
+      `)
+      .join('');
+    
+    this.elements.presetList.querySelectorAll('.preset-recall').forEach(button => {
+      button.addEventListener('click', () => {
+        this.recallPreset(parseInt(button.closest('[data-number]').dataset.number));
+      });
+    });
+    this.elements.presetList.querySelectorAll('.mapping-remove').forEach(button => {
+      button.addEventListener('click', () => {
+        this.settingsManager.deletePreset(parseInt(button.closest('[data-number]').dataset.number));
+        this.renderPresets();
+      });
+    });
+  }
+
+  /**
+   * Download the selected controller's mappings as a JSON preset
+   */
+  exportMidiMappings() {
+    const device = this.elements.mappingDevice.value || null;
+    const preset = this.midiLearn.exportMappings(device);
+    const name = `${(device || 'any-controller').replace(/[^\w-]+/g, '-').toLowerCase()}-mappings.json`;
+    this.downloadBlob(new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' }), name);
+  }
+
+  /**
+   * Load a controller's mappings from an exported preset, replacing its current ones
+   * @param {File} file - Picked .json file
+   */
+  async importMidiMappings(file) {
+    try {
+      const preset = JSON.parse(await file.text());
+      const count = this.midiLearn.importMappings(preset);
+      this.renderMidiMappings();
+      this.saveSettings();
+      this.showSuccess(`Imported ${count} MIDI mapping${count === 1 ? '' : 's'}${preset.device ? ` for ${preset.device}` : ''}.`);
+    } catch (error) {
+      this.showError(`MIDI mapping import failed: ${error.message}`);
+      console.error('MIDI mapping import error:', error);
+    } finally {
+      this.elements.mappingFile.value = '';
+    }
+  }
+
+  /**
+   * Limit a MIDI input to the channels typed in its filter box, remembered by name
+   */
+  setChannelFilter(name, input) {
+    const channels = MIDIHandler.parseChannelList(input.value);
+    if (channels) {
+      this.channelFilters[name] = channels;
+    } else {
+      delete this.channelFilters[name];
+    }
+    this.midiHandler.setChannelFilter(name, channels);
+    input.value = MIDIHandler.formatChannelList(channels);
+    this.saveSettings();
+  }
+
+  /**
+   * Turn a MIDI input on or off, remembered by name for later sessions
+   */
+  setInputEnabled(name, enabled) {
+    this.disabledInputs = this.disabledInputs.filter(disabled => disabled !== name);
+    if (!enabled) {
+      this.disabledInputs.push(name);
+    }
+    this.midiHandler.setInputEnabled(name, enabled);
+    this.saveSettings();
+  }
+
+  /**
+   * Choose the preset loaded when a MIDI input is plugged in
+   * @param {string} value - Preset number, or '' for none
+   */
+  setInputProfile(name, value) {
+    if (value === '') {
+      delete this.inputProfiles[name];
+    } else {
+      this.inputProfiles[name] = parseInt(value);
+    }
+    this.saveSettings();
+  }
+
+  /**
+   * Load the preset chosen for an input that was just plugged in (or found at startup)
+   */
+  loadInputProfile(device) {
+    const number = this.inputProfiles[device.name];
+    if (number === undefined || !device.enabled) return;
+    
+    console.log(`${device.name} connected, loading its preset`);
+    this.recallPreset(number);
   }
 
   showError(message) {
@@ -1,6 +1,10 @@
-import { JustIntervals } from './just-intervals.js';
+import { TuningEngine } from './tuning-engine.js';
 import { BaseSynth } from './base-synth.js';
 
+// How aftertouch pressure responds to the key: 'soft' reacts to a light touch,
+// 'hard' needs a firm press, 's-curve' is gentle at both ends
+export const PRESSURE_CURVES = ['linear', 'soft', 'hard', 's-curve'];
+
 /**
  * Voice - Individual synthesizer voice
  * Represents one note in the polyphonic synth
@@ -17,28 +21,34 @@ class Voice {
     this.panner = null;  // Stereo panner
     this.lfo = null;  // LFO for vibrato
     this.lfoGain = null;  // LFO amount control
+    this.expressionGain = null;  // Pressure (aftertouch or MPE), after the envelope
     
     // State
     this.isActive = false;
     this.midiNote = null;
     this.frequency = null;
     this.noteOnTime = null;
-    
-    // Tuning tracking
-    this.tunedToBassNote = null;  // Which bass note was this tuned against?
-    this.tunedToBassFreq = null;
+    this.glideEndTime = 0;  // When the current smooth retune finishes (audio clock)
+    this.bendRatio = 1;  // Pitch wheel bend on top of the tuned frequency, as a multiplier
     
     // Vibrato state
     this.vibratoAmount = 0;  // Current mod wheel amount (0-1)
     
     // Stereo position
     this.panPosition = 0;  // -1 (left) to 1 (right)
+    
+    // Per-note expression (MPE), applied on top of the tuning through detune
+    this.noteBendCents = 0;  // This note's own pitch bend
+    this.carryCents = 0;  // The reference note's bend, when it carries the chord
+    this.pressureFilterCents = 0;
+    this.pressureVibrato = 0;  // Vibrato added by pressure, on top of the mod wheel
+    this.timbreCents = 0;
   }
 
   /**
    * Start playing this voice
    */
-  start(midiNote, frequency, velocity, params, bassNote, bassFreq) {
+  start(midiNote, frequency, velocity, params) {
     // If already playing, do a very quick crossfade
     const wasPlaying = this.isActive && this.oscillator;
     
@@ -47,6 +57,7 @@ class Voice {
       const oldOsc = this.oscillator;
       const oldGain = this.gainEnvelope;
       const oldFilter = this.filter;
+      const oldExpression = this.expressionGain;
       const now = this.audioContext.currentTime;
       
       // Quick fade out the old sound (5ms)
@@ -61,6 +72,7 @@ class Voice {
             oldOsc.disconnect();
             oldFilter.disconnect();
             oldGain.disconnect();
+            oldExpression.disconnect();
           } catch (e) {}
         }, 10);
       } catch (e) {}
@@ -99,14 +111,19 @@ class Voice {
     this.gainEnvelope = this.audioContext.createGain();
     this.gainEnvelope.gain.value = 0;
     
+    // Pressure scales the note after its envelope (full level until the controller sends any)
+    this.expressionGain = this.audioContext.createGain();
+    this.expressionGain.gain.value = 1;
+    
     // Create stereo panner
     this.panner = this.audioContext.createStereoPanner();
     this.panner.pan.value = this.panPosition;
     
-    // Connect the audio graph: Oscillator -> Filter -> Gain -> Panner -> Master
+    // Connect the audio graph: Oscillator -> Filter -> Gain -> Expression -> Panner -> Master
     this.oscillator.connect(this.filter);
     this.filter.connect(this.gainEnvelope);
-    this.gainEnvelope.connect(this.panner);
+    this.gainEnvelope.connect(this.expressionGain);
+    this.expressionGain.connect(this.panner);
     this.panner.connect(this.masterGain);
     
     // Start the oscillator
@@ -141,8 +158,13 @@ class Voice {
     this.midiNote = midiNote;
     this.frequency = frequency;
     this.noteOnTime = now;
-    this.tunedToBassNote = bassNote;
-    this.tunedToBassFreq = bassFreq;
+    this.bendRatio = 1;
+    this.noteBendCents = 0;
+    this.carryCents = 0;
+    this.pressureFilterCents = 0;
+    this.pressureVibrato = 0;
+    this.vibratoAmount = 0;
+    this.timbreCents = 0;
   }
 
   /**
@@ -158,16 +180,46 @@ class Voice {
     
     if (mode === 'instant') {
       this.oscillator.frequency.cancelScheduledValues(now);
-      this.oscillator.frequency.setValueAtTime(newFrequency, now);
+      this.oscillator.frequency.setValueAtTime(newFrequency * this.bendRatio, now);
     } else if (mode === 'smooth') {
       this.oscillator.frequency.cancelScheduledValues(now);
-      this.oscillator.frequency.setValueAtTime(this.frequency, now);
-      this.oscillator.frequency.exponentialRampToValueAtTime(newFrequency, now + glideTime);
+      this.oscillator.frequency.setValueAtTime(this.frequency * this.bendRatio, now);
+      this.oscillator.frequency.exponentialRampToValueAtTime(newFrequency * this.bendRatio, now + glideTime);
+      this.glideEndTime = now + glideTime;
     }
     
     this.frequency = newFrequency;
   }
 
+  /**
+   * Move this voice by a ratio, gliding linearly (used by drift correction)
+   * @param {number} ratio - Frequency multiplier
+   * @param {number} glideTime - Duration of the glide (seconds)
+   */
+  shift(ratio, glideTime) {
+    if (!this.oscillator || !this.isActive) return;
+    
+    const now = this.audioContext.currentTime;
+    const from = this.frequency * this.bendRatio;
+    this.frequency *= ratio;
+    
+    this.oscillator.frequency.cancelScheduledValues(now);
+    this.oscillator.frequency.setValueAtTime(from, now);
+    this.oscillator.frequency.linearRampToValueAtTime(this.frequency * this.bendRatio, now + glideTime);
+  }
+
+  /**
+   * Bend this voice with the pitch wheel, keeping its tuned frequency
+   * @param {number} bendRatio - Bend as a frequency multiplier
+   */
+  setBend(bendRatio) {
+    this.bendRatio = bendRatio;
+    if (!this.oscillator || !this.isActive) return;
+    
+    const now = this.audioContext.currentTime;
+    this.oscillator.frequency.setValueAtTime(this.frequency * bendRatio, now);
+  }
+
   /**
    * Release this voice (apply release envelope)
    */
@@ -195,6 +247,7 @@ class Voice {
     const oldOsc = this.oscillator;
     const oldGain = this.gainEnvelope;
     const oldFilter = this.filter;
+    const oldExpression = this.expressionGain;
     const oldPanner = this.panner;
     const oldLfo = this.lfo;
     const oldLfoGain = this.lfoGain;
@@ -203,6 +256,7 @@ class Voice {
       oldOsc.disconnect();
       oldGain.disconnect();
       oldFilter.disconnect();
+      oldExpression.disconnect();
       if (oldPanner) oldPanner.disconnect();
       if (oldLfo) oldLfo.disconnect();
       if (oldLfoGain) oldLfoGain.disconnect();
@@ -211,6 +265,7 @@ class Voice {
     this.oscillator = null;
     this.gainEnvelope = null;
     this.filter = null;
+    this.expressionGain = null;
     this.panner = null;
     this.lfo = null;
     this.lfoGain = null;
@@ -243,6 +298,7 @@ class Voice {
             this.oscillator.disconnect();
             this.filter.disconnect();
             this.gainEnvelope.disconnect();
+            this.expressionGain.disconnect();
             if (this.panner) this.panner.disconnect();
             if (this.lfo) this.lfo.disconnect();
             if (this.lfoGain) this.lfoGain.disconnect();
@@ -257,6 +313,7 @@ class Voice {
       this.oscillator = null;
       this.gainEnvelope = null;
       this.filter = null;
+      this.expressionGain = null;
       this.panner = null;
       this.lfo = null;
       this.lfoGain = null;
@@ -275,6 +332,20 @@ class Voice {
     if (!this.lfoGain || !this.oscillator) return;
     
     this.vibratoAmount = amount;
+    this.updateVibratoDepth();
+    
+    // Also vary LFO rate slightly with mod wheel for more organic feel
+    // Base rate + up to 2Hz additional
+    const baseRate = 0.5 + (Math.random() * 0.3);
+    const lfoRate = baseRate + (amount * 2.0);
+    this.lfo.frequency.setValueAtTime(lfoRate, this.audioContext.currentTime);
+  }
+
+  /**
+   * Set the LFO depth from the mod wheel plus any vibrato added by pressure
+   */
+  updateVibratoDepth() {
+    const amount = Math.min(1, this.vibratoAmount + this.pressureVibrato);
     
     // Map mod wheel amount to a very small frequency deviation
     // At max (amount=1.0): ±0.5 cents deviation (very subtle!)
@@ -287,12 +358,6 @@ class Voice {
     this.lfoGain.gain.cancelScheduledValues(now);
     this.lfoGain.gain.setValueAtTime(this.lfoGain.gain.value, now);
     this.lfoGain.gain.linearRampToValueAtTime(deviationHz, now + 0.05);
-    
-    // Also vary LFO rate slightly with mod wheel for more organic feel
-    // Base rate + up to 2Hz additional
-    const baseRate = 0.5 + (Math.random() * 0.3);
-    const lfoRate = baseRate + (amount * 2.0);
-    this.lfo.frequency.setValueAtTime(lfoRate, now);
   }
 
   /**
@@ -306,17 +371,67 @@ class Voice {
       this.panner.pan.setValueAtTime(this.panPosition, now);
     }
   }
+
+  /**
+   * Bend this note away from its tuned frequency (MPE per-note pitch bend)
+   * Detune leaves the frequency, and any retune glide on it, untouched
+   * @param {number} cents - This note's own bend
+   * @param {number} carryCents - Bend of the reference note carrying the chord (0 if none)
+   */
+  setNoteBend(cents, carryCents = this.carryCents) {
+    this.noteBendCents = cents;
+    this.carryCents = carryCents;
+    if (!this.oscillator) return;
+    
+    const now = this.audioContext.currentTime;
+    this.oscillator.detune.setValueAtTime(this.noteBendCents + this.carryCents, now);
+  }
+
+  /**
+   * Apply pressure (aftertouch or MPE) to this note
+   * @param {number} amount - 0.0 to 1.0, already shaped by the response curve
+   * @param {Object} depths - { filter, vibrato, amplitude }, each 0.0 to 1.0
+   */
+  setPressure(amount, depths) {
+    if (!this.oscillator) return;
+    
+    const now = this.audioContext.currentTime;
+    this.pressureFilterCents = amount * depths.filter * 2400; // Up to two octaves brighter
+    this.filter.detune.setValueAtTime(this.pressureFilterCents + this.timbreCents, now);
+    
+    // Louder as you press, but a light touch stays audible
+    this.expressionGain.gain.setValueAtTime(1 - depths.amplitude * 0.75 * (1 - amount), now);
+    
+    this.pressureVibrato = amount * depths.vibrato;
+    this.updateVibratoDepth();
+  }
+
+  /**
+   * Apply per-note timbre (MPE CC74) to the filter cutoff
+   * @param {number} amount - 0.0 to 1.0, where 0.5 (CC value 64) leaves the cutoff alone
+   */
+  setTimbre(amount) {
+    if (!this.oscillator) return;
+    
+    this.timbreCents = (amount - 0.5) * 4800; // Two octaves either way
+    const now = this.audioContext.currentTime;
+    this.filter.detune.setValueAtTime(this.pressureFilterCents + this.timbreCents, now);
+  }
 }
 
 /**
  * PolySynth - Polyphonic synthesizer with bass-driven just intonation
  * Each new note is tuned relative to the lowest currently playing note
+ * Tuning decisions come from TuningEngine; this class plays them on Web Audio voices
  */
 export class PolySynth extends BaseSynth {
   constructor(polyphony = 8) {
     super();
     
-    this.justIntervals = new JustIntervals();
+    // Reference selection and tuning (slot i of the engine is voice i)
+    this.engine = new TuningEngine(polyphony);
+    this.justIntervals = this.engine.justIntervals;
+    this.edo = this.engine.edo;
     
     // Voice pool
     this.maxVoices = polyphony;
@@ -325,14 +440,25 @@ export class PolySynth extends BaseSynth {
     // Pitch bend
     this.pitchBendRange = 200; // cents (default ±2 semitones)
     this.pitchBendAmount = 0; // -1.0 to +1.0
+    this.onNoteBend = null; // Optional callback, receives [{ midiNote, frequency }] when the wheel moves single voices
+    
+    // MPE input: each note's member channel bends and shapes that voice only
+    this.mpeBendRange = 48; // semitones (the MPE default for member channels)
+    this.carryChord = false; // The reference note's own bend moves the whole chord
     
-    // Last audible bass (used as reference for next note)
-    this.lastBassFrequency = null;
-    this.lastBassMidiNote = null;
+    // Aftertouch: channel pressure reaches every voice, poly and MPE pressure only their own
+    this.pressureCurve = 'linear';
+    this.pressureDepths = { filter: 1, vibrato: 0, amplitude: 0 }; // How far pressure moves each
+    this.channelPressure = null; // Last channel pressure (null until the controller sends any)
     
-    // Reference mode and tracking
-    this.referenceMode = 'bass'; // 'bass' or 'random'
-    this.currentReferenceVoice = null; // For random mode: sticky reference
+    // Drift correction is worked out by the engine and stepped here, gliding the voices
+    this.driftCorrectionInterval = 0.05; // seconds between correction steps
+    this.driftCorrectionTimer = null;
+    this.useDriftCorrectionTimer = true; // false when the caller steps correction itself (offline rendering)
+    this.onDriftCorrection = null; // Optional callback, receives { cents, step, offset } after each step
+    
+    // Local audio can be muted when an external synth plays the tuning (MTS output)
+    this.localAudio = true;
     
     // Stereo spread settings
     this.stereoSpread = 0; // 0.0 to 1.0
@@ -341,9 +467,11 @@ export class PolySynth extends BaseSynth {
 
   /**
    * Initialize the audio context and voice pool
+   * @param {BaseAudioContext} audioContext - Context to play into (e.g. an OfflineAudioContext);
+   *   a new AudioContext is created if omitted
    */
-  async init() {
-    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  async init(audioContext = null) {
+    this.audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
     
     // Create master gain
     this.masterGain = this.audioContext.createGain();
@@ -359,260 +487,183 @@ export class PolySynth extends BaseSynth {
   }
 
   /**
-   * Get the lowest currently active note (bass note)
+   * Turn the built-in audio output on or off
+   * Voices keep running silently, so tuning (and MTS output) is unaffected
    */
-  getLowestActiveVoice() {
-    const activeVoices = this.voices.filter(v => v.isActive);
-    if (activeVoices.length === 0) return null;
+  setLocalAudio(enabled) {
+    this.localAudio = enabled;
+    if (!this.masterGain) return;
     
-    return activeVoices.reduce((lowest, v) => 
-      v.midiNote < lowest.midiNote ? v : lowest
-    );
+    this.masterGain.disconnect();
+    if (enabled) {
+      this.masterGain.connect(this.audioContext.destination);
+    }
+    console.log(`Local audio ${enabled ? 'on' : 'off'}`);
   }
 
   /**
-   * Get the reference voice based on current reference mode
-   * Returns the voice that other notes should tune relative to
+   * Frequency every key would play right now (for bulk tuning dumps)
+   * @returns {Array} 128 frequencies in Hz (null for unmapped keys)
    */
-  getReferenceVoice() {
-    if (this.referenceMode === 'bass') {
-      return this.getLowestActiveVoice();
-    } else if (this.referenceMode === 'random') {
-      // If we have a current reference and it's still active, keep it
-      if (this.currentReferenceVoice && this.currentReferenceVoice.isActive) {
-        return this.currentReferenceVoice;
-      }
-      
-      // Otherwise, select a new random reference from active voices
-      const activeVoices = this.voices.filter(v => v.isActive);
-      if (activeVoices.length === 0) {
-        this.currentReferenceVoice = null;
-        return null;
-      }
-      
-      // Pick a random voice
-      const randomIndex = Math.floor(Math.random() * activeVoices.length);
-      this.currentReferenceVoice = activeVoices[randomIndex];
-      console.log(`Selected new random reference: ${this.justIntervals.getMidiNoteName(this.currentReferenceVoice.midiNote)}`);
-      return this.currentReferenceVoice;
-    } else if (this.referenceMode === 'lattice') {
-      // If we have a current reference and it's still active, keep it (sticky)
-      if (this.currentReferenceVoice && this.currentReferenceVoice.isActive) {
-        return this.currentReferenceVoice;
-      }
-      
-      // Otherwise, find the harmonic center
-      const harmonicCenter = this.findHarmonicCenter();
-      this.currentReferenceVoice = harmonicCenter;
-      if (harmonicCenter) {
-        console.log(`Selected harmonic center: ${this.justIntervals.getMidiNoteName(harmonicCenter.midiNote)}`);
-      }
-      return harmonicCenter;
-    }
-    
-    return this.getLowestActiveVoice(); // Fallback
+  getKeyboardFrequencies() {
+    return this.engine.getKeyboardFrequencies();
   }
 
   /**
-   * Find the harmonic center - the note with strongest harmonic relationships
-   * to all other active notes (Tonnetz-inspired algorithm)
+   * Get the voice playing the reference note (see TuningEngine.getReferenceNote)
    */
-  findHarmonicCenter() {
-    const activeVoices = this.voices.filter(v => v.isActive);
-    if (activeVoices.length === 0) return null;
-    if (activeVoices.length === 1) return activeVoices[0];
-    
-    let bestVoice = null;
-    let bestScore = -Infinity;
-    
-    // For each voice, calculate its harmonic "consonance score"
-    for (const candidate of activeVoices) {
-      let score = 0;
-      
-      // Score based on harmonic relationships to all other notes
-      for (const other of activeVoices) {
-        if (candidate === other) continue;
-        
-        // Calculate interval from candidate to other
-        const interval = other.midiNote - candidate.midiNote;
-        
-        // Add consonance score for this interval
-        score += this.getConsonanceScore(interval);
-      }
-      
-      if (score > bestScore) {
-        bestScore = score;
-        bestVoice = candidate;
-      }
-    }
-    
-    return bestVoice;
-  }
-
-  /**
-   * Get consonance score for an interval
-   * Higher scores = more consonant = better reference candidates
-   * Based on simple just intonation ratios
-   */
-  getConsonanceScore(interval) {
-    // Normalize to octave (0-11)
-    const mod12 = ((interval % 12) + 12) % 12;
-    
-    // Score based on consonance hierarchy
-    // Perfect consonances score highest, then imperfect, then dissonances
-    const scores = {
-      0: 10,   // Unison/Octave (1:1, 2:1) - perfect
-      7: 9,    // Perfect fifth (3:2) - perfect
-      5: 8,    // Perfect fourth (4:3) - perfect
-      4: 7,    // Major third (5:4) - imperfect consonance
-      3: 7,    // Minor third (6:5) - imperfect consonance
-      9: 6,    // Major sixth (5:3) - imperfect consonance
-      8: 6,    // Minor sixth (8:5) - imperfect consonance
-      2: 3,    // Major second (9:8) - mild dissonance
-      10: 3,   // Minor seventh (9:5) - mild dissonance
-      11: 2,   // Major seventh (15:8) - dissonance
-      1: 1,    // Minor second (16:15) - dissonance
-      6: 1     // Tritone (45:32 or 64:45) - dissonance
-    };
-    
-    return scores[mod12] || 0;
+  getReferenceVoice() {
+    const referenceNote = this.engine.getReferenceNote();
+    return referenceNote ? this.voices[this.engine.notes.indexOf(referenceNote)] : null;
   }
 
   /**
-   * Set reference mode: 'bass', 'random', or 'lattice'
+   * Set reference mode: 'bass', 'random', 'lattice', 'context' or 'series'
    */
   setReferenceMode(mode) {
-    if (mode !== 'bass' && mode !== 'random' && mode !== 'lattice') {
-      console.warn(`Invalid reference mode: ${mode}. Using 'bass'.`);
-      mode = 'bass';
+    this.engine.setReferenceMode(mode);
+  }
+
+  /**
+   * Fix the fundamental for series mode
+   * @param {number|null} frequency - Fundamental in Hz, or null to let the next note played fix it
+   */
+  setSeriesFundamental(frequency) {
+    this.engine.setSeriesFundamental(frequency);
+  }
+
+  /**
+   * Set whether series mode uses harmonics ('otonal') or subharmonics ('utonal')
+   */
+  setSeriesDirection(direction) {
+    this.engine.setSeriesDirection(direction);
+  }
+
+  /**
+   * Set the highest harmonic number series mode snaps to
+   */
+  setSeriesLimit(limit) {
+    this.engine.setSeriesLimit(limit);
+  }
+
+  /**
+   * Set the tuning system used for reference-relative intervals
+   * Applies to notes played (and voices retuned) from now on
+   * @param {string} id - Id of a registered tuning system
+   */
+  setTuningSystem(id) {
+    this.engine.setTuningSystem(id);
+  }
+
+  /**
+   * Play intervals as the nearest step of an N-EDO instead of exact ratios
+   * @param {number|null} divisions - Steps per octave (e.g. 53), or null for just intonation
+   */
+  setEdo(divisions) {
+    this.engine.setEdo(divisions);
+  }
+
+  /**
+   * Set how keys map onto EDO steps: 'nearest' or 'steps'
+   */
+  setEdoMapping(mapping) {
+    this.engine.setEdoMapping(mapping);
+  }
+
+  /**
+   * Set when drift correction runs: 'off', 'sustained' or 'silent'
+   * 'sustained' glides the sounding chord, 'silent' only moves the stored reference between notes
+   */
+  setDriftCorrectionMode(mode) {
+    this.engine.setDriftCorrectionMode(mode);
+    
+    clearInterval(this.driftCorrectionTimer);
+    this.driftCorrectionTimer = null;
+    if (this.engine.driftCorrectionMode !== 'off' && this.useDriftCorrectionTimer) {
+      this.driftCorrectionTimer = setInterval(
+        () => this.stepDriftCorrection(this.driftCorrectionInterval),
+        this.driftCorrectionInterval * 1000
+      );
     }
-    
-    this.referenceMode = mode;
-    
-    // Clear current reference when switching modes
-    this.currentReferenceVoice = null;
-    
-    console.log(`Reference mode set to: ${mode}`);
   }
 
   /**
-   * Find an available voice or steal one
-   * Returns { voice, stolenNote } where stolenNote is the midiNote that was stolen (if any)
+   * Set how fast drift correction glides, in cents per second
    */
-  allocateVoice(midiNote) {
-    // 1. Check if this note is already playing - retrigger it
-    let voice = this.voices.find(v => v.isActive && v.midiNote === midiNote);
-    if (voice) return { voice, stolenNote: null };
+  setDriftCorrectionRate(centsPerSecond) {
+    this.engine.setDriftCorrectionRate(centsPerSecond);
+  }
+
+  /**
+   * Set the pitch drift correction pulls toward
+   * @param {number|null} frequency - A4 of a 12-TET grid in Hz, or null for the tuning system's own start pitch
+   */
+  setDriftAnchorFrequency(frequency) {
+    this.engine.setDriftAnchorFrequency(frequency);
+  }
+
+  /**
+   * Glide every voice one drift correction step toward the anchor
+   * @param {number} elapsed - Seconds since the previous step
+   * @returns {number} Cents moved (0 if the trigger condition is not met)
+   */
+  stepDriftCorrection(elapsed) {
+    if (!this.audioContext) return 0;
     
-    // 2. Find an inactive voice
-    voice = this.voices.find(v => !v.isActive);
-    if (voice) return { voice, stolenNote: null };
+    // Let reference-change glides finish before moving the voices again
+    const now = this.audioContext.currentTime;
+    if (this.voices.some(v => v.isActive && v.glideEndTime > now)) return 0;
     
-    // 3. Steal the oldest voice
-    const oldestVoice = this.voices.reduce((oldest, v) => 
-      v.noteOnTime < oldest.noteOnTime ? v : oldest
-    );
+    const correction = this.engine.stepDriftCorrection(elapsed);
+    if (!correction) return 0;
     
-    return { voice: oldestVoice, stolenNote: oldestVoice.midiNote };
+    for (const voice of this.voices) {
+      if (voice.isActive) {
+        voice.shift(correction.ratio, elapsed);
+      }
+    }
+    
+    if (this.onDriftCorrection) {
+      this.onDriftCorrection({ cents: correction.cents, step: correction.step, offset: correction.offset });
+    }
+    
+    return correction.step;
   }
 
   /**
    * Play a note using just intonation based on the reference note
+   * Returns null if the key is not mapped in the current tuning system
    */
   noteOn(midiNote, velocity) {
-    // Get reference note for tuning
-    const referenceVoice = this.getReferenceVoice();
-    
-    let frequency;
-    let intervalInfo = null;
-    let usedStoredReference = false;
-    
-    if (!referenceVoice) {
-      // First note: use stored reference if available, otherwise equal temperament
-      if (this.lastBassFrequency !== null && this.lastBassMidiNote !== null) {
-        usedStoredReference = true;
-        // Calculate frequency based on interval from stored reference
-        if (midiNote === this.lastBassMidiNote) {
-          // Same note as stored reference, use it directly
-          frequency = this.lastBassFrequency;
-          console.log(`First note (reference): ${this.justIntervals.getMidiNoteName(midiNote)} at ${frequency.toFixed(2)} Hz (from stored reference)`);
-        } else {
-          // Different note, calculate interval from stored reference
-          const interval = midiNote - this.lastBassMidiNote;
-          frequency = this.justIntervals.getJustFrequency(
-            this.lastBassFrequency,
-            this.lastBassMidiNote,
-            midiNote
-          );
-          
-          const ratioString = this.justIntervals.getRatioString(interval);
-          const intervalName = this.justIntervals.getIntervalName(interval);
-          console.log(`First note (reference): ${this.justIntervals.getMidiNoteName(midiNote)} at ${frequency.toFixed(2)} Hz (${intervalName} from stored reference)`);
-          
-          // Create interval info for UI
-          intervalInfo = {
-            interval,
-            ratio: ratioString,
-            name: intervalName,
-            referenceMidi: this.lastBassMidiNote,
-            referenceFreq: this.lastBassFrequency,
-            referenceNote: this.justIntervals.getMidiNoteName(this.lastBassMidiNote)
-          };
-        }
-      } else {
-        // No previous reference, use equal temperament
-        frequency = this.justIntervals.midiToFrequency(midiNote);
-        console.log(`First note (reference): ${this.justIntervals.getMidiNoteName(midiNote)} at ${frequency.toFixed(2)} Hz (equal temperament)`);
-      }
-      
-      // This becomes the new reference, store it
-      this.lastBassFrequency = frequency;
-      this.lastBassMidiNote = midiNote;
-    } else {
-      // Calculate just intonation based on the reference note
-      const interval = midiNote - referenceVoice.midiNote;
-      frequency = this.justIntervals.getJustFrequency(
-        referenceVoice.frequency,
-        referenceVoice.midiNote,
-        midiNote
-      );
-      
-      const ratioString = this.justIntervals.getRatioString(interval);
-      const intervalName = this.justIntervals.getIntervalName(interval);
-      
-      intervalInfo = {
-        interval,
-        ratio: ratioString,
-        name: intervalName,
-        referenceMidi: referenceVoice.midiNote,
-        referenceFreq: referenceVoice.frequency,
-        referenceNote: this.justIntervals.getMidiNoteName(referenceVoice.midiNote)
-      };
-      
-      console.log(`Playing ${this.justIntervals.getMidiNoteName(midiNote)} at ${frequency.toFixed(2)} Hz`);
-      console.log(`  Interval: ${intervalName} (${ratioString}) from reference note ${intervalInfo.referenceNote} [${this.referenceMode} mode]`);
-    }
-    
-    // Allocate and start voice
-    const allocation = this.allocateVoice(midiNote);
-    const voice = allocation.voice;
-    const stolenNote = allocation.stolenNote;
+    const decision = this.engine.noteOn(midiNote);
+    if (!decision) return null;
     
-    voice.start(
-      midiNote, 
-      frequency, 
-      velocity, 
-      this.getVoiceParams(),
-      referenceVoice ? referenceVoice.midiNote : midiNote,
-      referenceVoice ? referenceVoice.frequency : frequency
-    );
+    const { slot, frequency, position, intervalInfo, usedStoredReference, stolenNote } = decision;
+    const voice = this.voices[slot];
+    if (voice.midiNote !== midiNote) {
+      this.sostenutoVoices.delete(voice); // Stolen: the pedal held the note, not the voice
+    }
+    if (this.softPedalDown) {
+      velocity = Math.max(1, Math.round(velocity * this.softPedalVelocityRatio));
+    }
+    voice.start(midiNote, frequency, velocity, this.getVoiceParams());
+    if (this.channelPressure !== null) {
+      voice.setPressure(this.shapePressure(this.channelPressure), this.pressureDepths);
+    }
+    if (this.pitchBendAmount !== 0) {
+      this.updateBends(); // The new note joins the bend (or, bending the newest, takes it over)
+    }
     
     // Update stereo panning for all voices
     this.updateAllVoicePanning();
+    if (this.carryChord) {
+      this.updateNoteBends();
+    }
     
     return {
       midiNote,
       frequency,
+      position,
       voice,  // Return the voice instance for sustain tracking
       noteName: this.justIntervals.getMidiNoteName(midiNote),
       velocity,
@@ -632,114 +683,155 @@ export class PolySynth extends BaseSynth {
   }
 
   /**
-   * Implementation of BaseSynth abstract method for sustain pedal
-   * Returns information about retuned notes if reference changed
-   * @param {number} midiNote - The MIDI note to release
-   * @param {Array} sustainedVoicesToRelease - Optional: specific voice instances to release (from sustain pedal)
+   * Play one performance event (from a MIDI file being rendered, or on a split zone's synth)
+   * Keys and pedals go through the same handling as live playing
+   * @param {Object} event - { type, note, velocity, down, amount, cents, ratio }
+   * @returns {Array} Notes retuned by a reference change or comma shift: [{ midiNote, newFrequency }]
    */
-  _releaseNote(midiNote, sustainedVoicesToRelease = null) {
-    let voicesToRelease;
-    
-    if (sustainedVoicesToRelease && sustainedVoicesToRelease.length > 0) {
-      // Only release the specific voices that were sustained
-      voicesToRelease = this.voices.filter(v => 
-        v.isActive && 
-        v.midiNote === midiNote && 
-        sustainedVoicesToRelease.includes(v)
-      );
-    } else {
-      // Normal note off: release all voices playing this note
-      voicesToRelease = this.voices.filter(v => v.isActive && v.midiNote === midiNote);
-    }
+  applyEvent(event) {
+    switch (event.type) {
+      case 'noteOn':
+        this.keysHeldDown.add(event.note);
+        this.noteOn(event.note, event.velocity);
+        break;
     
-    if (voicesToRelease.length === 0) {
-      return [];
-    }
+      case 'noteOff': {
+        const release = this.releaseKey(event.note);
+        return release ? release.retunedNotes : [];
+      }
     
-    // Get current reference BEFORE releasing
-    const currentReference = this.getReferenceVoice();
-    const wasReference = voicesToRelease.some(v => {
-      return currentReference && v.midiNote === currentReference.midiNote;
-    });
+      case 'sustain': {
+        const change = this.setSustainPedal(event.down);
+        return change ? change.retunedNotes : [];
+      }
+    
+      case 'sustainDepth':
+        this.setSustainPedalDepth(event.amount);
+        break;
     
-    // If releasing the reference, store its current audible frequency (with pitch bend)
-    if (wasReference && currentReference) {
-      const refFreq = this.getReferenceFrequencyWithBend();
-      if (refFreq) {
-        this.lastBassFrequency = refFreq;
-        this.lastBassMidiNote = currentReference.midiNote;
-        console.log(`Storing last reference (${this.referenceMode} mode): ${this.justIntervals.getMidiNoteName(currentReference.midiNote)} at ${refFreq.toFixed(2)} Hz`);
+      case 'sostenuto': {
+        const change = this.setSostenutoPedal(event.down);
+        return change ? change.retunedNotes : [];
       }
-    }
     
-    // Mark voices as inactive FIRST (so getReferenceVoice works correctly)
-    voicesToRelease.forEach(v => {
-      v.isActive = false;
-    });
+      case 'softPedal':
+        this.setSoftPedal(event.down);
+        break;
     
-    // In random/lattice mode, clear the current reference if we just released it
-    if ((this.referenceMode === 'random' || this.referenceMode === 'lattice') && wasReference) {
-      this.currentReferenceVoice = null;
-    }
+      case 'pitchBend':
+        this.applyPitchBend(event.amount);
+        break;
+    
+      case 'pitchBendRange':
+        this.setPitchBendRange(event.cents);
+        break;
+    
+      case 'commaShift':
+        return this.shiftByRatio(event.ratio);
     
-    // Then apply release envelopes
-    voicesToRelease.forEach(v => v.release(this.releaseTime));
+      case 'modWheel':
+        this.setVibratoAmount(event.amount);
+        break;
+    
+      case 'channelPressure':
+        this.applyChannelPressure(event.amount);
+        break;
     
-    // If reference changed and retune mode is enabled, retune remaining voices
-    if (wasReference && this.retuneMode !== 'static') {
-      return this.retuneToNewReference();
+      case 'polyPressure':
+        this.applyNotePressure(event.note, event.amount);
+        break;
     }
     
     return [];
   }
 
   /**
-   * Retune all active voices to the new reference note
-   * Returns array of {midiNote, newFrequency} for retuned notes
+   * Implementation of BaseSynth abstract method for sustain pedal
+   * Returns information about retuned notes if reference changed
+   * @param {number} midiNote - The MIDI note to release
+   * @param {Array} sustainedVoicesToRelease - Optional: specific voice instances to release (from sustain pedal)
    */
-  retuneToNewReference() {
-    const newReference = this.getReferenceVoice();
-    if (!newReference) return [];
-    
-    console.log(`Reference changed to ${this.justIntervals.getMidiNoteName(newReference.midiNote)} (${this.referenceMode} mode), retuning voices in ${this.retuneMode} mode`);
+  _releaseNote(midiNote, sustainedVoicesToRelease = null) {
+    // Only release the specific voices that were sustained, otherwise every voice playing this note
+    let slots = sustainedVoicesToRelease && sustainedVoicesToRelease.length > 0 ?
+      sustainedVoicesToRelease.map(v => this.voices.indexOf(v)) : null;
+    
+    // Voices held by the sostenuto pedal keep sounding - a held reference stays the reference
+    if (this.sostenutoVoices.size > 0) {
+      const candidates = slots || this.voices
+        .map((voice, slot) => slot)
+        .filter(slot => this.voices[slot].isActive && this.voices[slot].midiNote === midiNote);
+      slots = candidates.filter(slot => !this.sostenutoVoices.has(this.voices[slot]));
+    }
     
-    const retunedNotes = [];
+    const { released, retunes } = this.engine.noteOff(midiNote, slots, this.retuneMode !== 'static');
+    const releaseTime = this.getReleaseTime();
+    released.forEach(slot => this.voices[slot].release(releaseTime));
+    if (this.carryChord && released.length > 0) {
+      this.updateNoteBends(); // The chord follows the new reference's bend
+    }
+    if (this.pitchBendAmount !== 0 && released.length > 0) {
+      this.updateBends(); // A new reference or newest note may change which voices bend
+    }
     
-    for (const voice of this.voices) {
-      if (!voice.isActive || voice.midiNote === newReference.midiNote) continue;
-      
-      // Calculate new frequency based on new reference
-      const interval = voice.midiNote - newReference.midiNote;
-      const newFrequency = this.justIntervals.getJustFrequency(
-        newReference.frequency,
-        newReference.midiNote,
-        voice.midiNote
-      );
-      
-      // Retune the voice
+    // Retune the remaining voices to the new reference
+    return retunes.map(({ slot, midiNote, frequency }) => {
       if (this.retuneMode === 'instant') {
-        voice.retune(newFrequency, 'instant');
+        this.voices[slot].retune(frequency, 'instant');
       } else if (this.retuneMode === 'smooth') {
-        voice.retune(newFrequency, 'smooth', this.retuneSpeed);
+        this.voices[slot].retune(frequency, 'smooth', this.retuneSpeed);
       }
-      
-      // Update tuning tracking
-      voice.tunedToBassNote = newReference.midiNote;
-      voice.tunedToBassFreq = newReference.frequency;
-      
-      retunedNotes.push({ midiNote: voice.midiNote, newFrequency });
-      
-      console.log(`  Retuned ${this.justIntervals.getMidiNoteName(voice.midiNote)} to ${newFrequency.toFixed(2)} Hz`);
-    }
+      return { midiNote, newFrequency: frequency };
+    });
+  }
+
+  /**
+   * Shift every sounding voice and the stored reference by a comma (or any exact ratio)
+   * Smooth retune mode glides there; the other modes move at once, static included,
+   * as the shift was asked for
+   * @param {number[]} ratio - [numerator, denominator], e.g. [81, 80] or [80, 81]
+   * @returns {Array} [{ midiNote, newFrequency }] for every voice moved
+   */
+  shiftByRatio(ratio) {
+    const retunes = this.engine.shiftByRatio(ratio);
+    if (!retunes) return [];
     
-    return retunedNotes;
+    return retunes.map(({ slot, midiNote, frequency }) => {
+      if (this.retuneMode === 'smooth') {
+        this.voices[slot].retune(frequency, 'smooth', this.retuneSpeed);
+      } else {
+        this.voices[slot].retune(frequency, 'instant');
+      }
+      return { midiNote, newFrequency: frequency };
+    });
   }
 
   /**
-   * Set pitch bend range in cents
+   * Voices currently sounding (held by the sostenuto pedal when it goes down)
+   */
+  _getSoundingVoices() {
+    return this.voices.filter(v => v.isActive);
+  }
+
+  /**
+   * Set pitch bend range in cents (e.g. from RPN 0)
    */
   setPitchBendRange(cents) {
+    if (!Number.isFinite(cents) || cents < 0) {
+      console.warn(`Invalid pitch bend range: ${cents}. Using 200 cents.`);
+      cents = 200;
+    }
     this.pitchBendRange = cents;
+    this.applyPitchBend(this.pitchBendAmount);
+  }
+
+  /**
+   * Choose which voices the pitch wheel bends: 'chord', 'newest' or 'others'
+   * (every voice but the reference)
+   */
+  setBendTarget(target) {
+    this.engine.setBendTarget(target);
+    this.updateBends();
   }
 
   /**
@@ -748,21 +840,171 @@ export class PolySynth extends BaseSynth {
    */
   applyPitchBend(amount) {
     this.pitchBendAmount = amount;
-    const centsOffset = amount * this.pitchBendRange;
+    this.engine.setPitchBend(amount * this.pitchBendRange);
+    this.updateBends();
+  }
+
+  /**
+   * Bend each voice the bend target picks, and let go of the others
+   * Unless the whole chord bends, the voices that moved are passed to onNoteBend
+   */
+  updateBends() {
+    const moved = [];
+    this.voices.forEach((voice, slot) => {
+      const bendRatio = Math.pow(2, this.engine.getBendCents(slot) / 1200);
+      if (voice.isActive && bendRatio !== voice.bendRatio) {
+        voice.setBend(bendRatio);
+        moved.push({ midiNote: voice.midiNote, frequency: this.getOutputFrequency(voice) });
+      }
+    });
+    if (this.onNoteBend && this.engine.bendTarget !== 'chord' && moved.length > 0) {
+      this.onNoteBend(moved);
+    }
+  }
+
+  /**
+   * Frequency an external synth should play for a voice
+   * A whole-chord bend goes out on the pitch wheel, so only other bend targets are included
+   */
+  getOutputFrequency(voice) {
+    return this.engine.bendTarget === 'chord' ? voice.frequency : voice.frequency * voice.bendRatio;
+  }
+
+  /**
+   * Tuning an external synth should play for every sounding voice (see getOutputFrequency)
+   */
+  getOutputTunings() {
+    return this._getSoundingVoices().map(voice => ({ midiNote: voice.midiNote, frequency: this.getOutputFrequency(voice) }));
+  }
+
+  /**
+   * The voice sounding a note (the newest one, while a retriggered note fades)
+   */
+  getVoiceForNote(midiNote) {
+    const voices = this.voices.filter(v => v.isActive && v.midiNote === midiNote);
+    return voices.length > 0 ? voices[voices.length - 1] : null;
+  }
+
+  /**
+   * Bend one note (MPE per-note pitch bend), on top of its just frequency
+   * The shared reference is not moved, unless the reference note carries the chord
+   * @param {number} amount - Normalized bend (-1.0 to +1.0) across mpeBendRange
+   */
+  applyNoteBend(midiNote, amount) {
+    const voice = this.getVoiceForNote(midiNote);
+    if (!voice) return;
     
-    // Apply to all active voices
+    voice.noteBendCents = amount * this.mpeBendRange * 100;
+    this.updateNoteBends();
+  }
+
+  /**
+   * Apply each voice's own bend, plus the reference note's bend when it carries the chord
+   */
+  updateNoteBends() {
+    const refVoice = this.carryChord ? this.getReferenceVoice() : null;
+    const carryCents = refVoice ? refVoice.noteBendCents : 0;
     for (const voice of this.voices) {
-      if (voice.isActive && voice.oscillator) {
-        // Calculate the bent frequency
-        const bendRatio = Math.pow(2, centsOffset / 1200);
-        const bentFrequency = voice.frequency * bendRatio;
-        
-        const now = this.audioContext.currentTime;
-        voice.oscillator.frequency.setValueAtTime(bentFrequency, now);
+      if (voice.isActive) {
+        voice.setNoteBend(voice.noteBendCents, voice === refVoice ? 0 : carryCents);
+      }
+    }
+  }
+
+  /**
+   * Shape a pressure value with the response curve
+   * @param {number} amount - 0.0 to 1.0 as sent by the controller
+   */
+  shapePressure(amount) {
+    const x = Math.max(0, Math.min(1, amount));
+    switch (this.pressureCurve) {
+      case 'soft':
+        return Math.sqrt(x);
+      case 'hard':
+        return x * x;
+      case 's-curve':
+        return x * x * (3 - 2 * x);
+      default:
+        return x;
+    }
+  }
+
+  /**
+   * Apply channel pressure (aftertouch) to every sounding voice
+   * Notes started while it is held pick it up too
+   * @param {number} amount - 0.0 to 1.0
+   */
+  applyChannelPressure(amount) {
+    this.channelPressure = amount;
+    const shaped = this.shapePressure(amount);
+    for (const voice of this.voices) {
+      if (voice.isActive) {
+        voice.setPressure(shaped, this.pressureDepths);
       }
     }
   }
 
+  /**
+   * Apply pressure to one note (poly aftertouch or MPE channel pressure)
+   * @param {number} amount - 0.0 to 1.0
+   */
+  applyNotePressure(midiNote, amount) {
+    const voice = this.getVoiceForNote(midiNote);
+    if (voice) {
+      voice.setPressure(this.shapePressure(amount), this.pressureDepths);
+    }
+  }
+
+  /**
+   * Apply per-note timbre (MPE CC74) to the filter cutoff
+   * @param {number} amount - 0.0 to 1.0 (0.5 is neutral)
+   */
+  applyNoteTimbre(midiNote, amount) {
+    const voice = this.getVoiceForNote(midiNote);
+    if (voice) {
+      voice.setTimbre(amount);
+    }
+  }
+
+  /**
+   * Set the per-note bend range of MPE member channels, in semitones
+   */
+  setMpeBendRange(semitones) {
+    this.mpeBendRange = semitones;
+  }
+
+  /**
+   * Set the pressure response curve ('linear', 'soft', 'hard' or 's-curve')
+   */
+  setPressureCurve(curve) {
+    if (!PRESSURE_CURVES.includes(curve)) {
+      console.warn(`Invalid pressure curve: ${curve}. Using 'linear'.`);
+      curve = 'linear';
+    }
+    this.pressureCurve = curve;
+  }
+
+  /**
+   * Set how far pressure moves one destination
+   * @param {string} destination - 'filter' (cutoff), 'vibrato' (LFO depth) or 'amplitude'
+   * @param {number} depth - 0.0 to 1.0
+   */
+  setPressureDepth(destination, depth) {
+    if (!(destination in this.pressureDepths)) {
+      console.warn(`Invalid pressure destination: ${destination}`);
+      return;
+    }
+    this.pressureDepths[destination] = Math.max(0, Math.min(1, depth));
+  }
+
+  /**
+   * Choose whether the reference note's own bend moves the whole chord
+   */
+  setCarryChord(enabled) {
+    this.carryChord = enabled;
+    this.updateNoteBends();
+  }
+
   /**
    * Set vibrato amount for all voices (mod wheel control)
    * @param {number} amount - 0.0 to 1.0
@@ -779,12 +1021,7 @@ export class PolySynth extends BaseSynth {
    * Get the reference frequency with pitch bend applied
    */
   getReferenceFrequencyWithBend() {
-    const referenceVoice = this.getReferenceVoice();
-    if (!referenceVoice) return null;
-    
-    const centsOffset = this.pitchBendAmount * this.pitchBendRange;
-    const bendRatio = Math.pow(2, centsOffset / 1200);
-    return referenceVoice.frequency * bendRatio;
+    return this.engine.getReferenceFrequencyWithBend();
   }
 
   /**
@@ -871,9 +1108,7 @@ export class PolySynth extends BaseSynth {
   resetReference() {
     this.voices.forEach(v => v.stop());
     this.pitchBendAmount = 0; // Reset pitch bend
-    this.lastBassFrequency = null; // Clear stored reference
-    this.lastBassMidiNote = null;
-    this.currentReferenceVoice = null; // Clear random mode reference
+    this.engine.reset(); // Next note starts a new session
     console.log('All voices stopped');
   }
 
@@ -881,23 +1116,10 @@ export class PolySynth extends BaseSynth {
    * Get current synth state
    */
   getState() {
-    const activeVoices = this.voices.filter(v => v.isActive);
-    const referenceVoice = this.getReferenceVoice();
-    const bassVoice = this.getLowestActiveVoice(); // Keep for backwards compat
-    
     return {
-      activeVoiceCount: activeVoices.length,
+      ...this.engine.getState(),
+      activeVoiceCount: this.voices.filter(v => v.isActive).length,
       maxVoices: this.maxVoices,
-      activeNotes: activeVoices.map(v => ({
-        midiNote: v.midiNote,
-        frequency: v.frequency,
-        noteName: this.justIntervals.getMidiNoteName(v.midiNote)
-      })),
-      referenceMode: this.referenceMode,
-      referenceNote: referenceVoice ? referenceVoice.midiNote : null,
-      referenceFrequency: referenceVoice ? referenceVoice.frequency : null,
-      bassNote: bassVoice ? bassVoice.midiNote : null, // Backwards compat
-      bassFrequency: bassVoice ? bassVoice.frequency : null, // Backwards compat
       waveform: this.waveform,
       filterFrequency: this.filterFrequency,
       filterQ: this.filterQ
@@ -0,0 +1,189 @@
+/**
+ * QWERTY Keyboard Input
+ * Plays notes from the computer keyboard with the same callbacks as MIDIHandler,
+ * so it works without a MIDI device (or alongside one)
+ *
+ * Keys are read by position, so the layout is the same on AZERTY and other keyboards:
+ *   W E   T Y U   O P        black keys
+ *  A S D F G H J K L ; '     white keys, C to F an octave and a half up
+ * Z / X shift the octave, C / V lower and raise the velocity, Space holds the sustain pedal,
+ * [ / ] shift the tuning down and up a comma
+ */
+
+// KeyboardEvent.code -> semitones above the lowest C
+const NOTE_KEYS = {
+  KeyA: 0, KeyW: 1, KeyS: 2, KeyE: 3, KeyD: 4, KeyF: 5, KeyT: 6, KeyG: 7, KeyY: 8,
+  KeyH: 9, KeyU: 10, KeyJ: 11, KeyK: 12, KeyO: 13, KeyL: 14, KeyP: 15, Semicolon: 16, Quote: 17
+};
+
+export class QwertyInput {
+  constructor(onNoteOn, onNoteOff, onSustainPedal) {
+    this.onNoteOn = onNoteOn;
+    this.onNoteOff = onNoteOff;
+    this.onSustainPedal = onSustainPedal || (() => {}); // Optional callback
+    this.onChange = null; // Optional callback after the octave or velocity changes
+    this.onCommaShift = null; // Optional: (direction 1 up or -1 down) from ] and [
+
+    this.baseNote = 60; // A plays C4 at octave 0
+    this.octave = 0; // Octaves up (or down) from the base note
+    this.minOctave = -5;
+    this.maxOctave = 4;
+    this.velocity = 100;
+    this.velocityStep = 20;
+
+    this.heldKeys = new Map(); // KeyboardEvent.code -> MIDI note it started
+    this.sustainDown = false;
+    this.target = null; // Element the listeners are attached to (null while disabled)
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+  }
+
+  /**
+   * Start listening for key presses
+   * @param {EventTarget} target - Where to listen (the window by default)
+   */
+  enable(target = window) {
+    if (this.target) return;
+
+    this.target = target;
+    target.addEventListener('keydown', this.handleKeyDown);
+    target.addEventListener('keyup', this.handleKeyUp);
+    target.addEventListener('blur', this.handleBlur);
+    console.log('Computer keyboard input enabled');
+  }
+
+  /**
+   * Stop listening, releasing any held notes and the pedal
+   */
+  disable() {
+    if (!this.target) return;
+
+    this.releaseAll();
+    this.target.removeEventListener('keydown', this.handleKeyDown);
+    this.target.removeEventListener('keyup', this.handleKeyUp);
+    this.target.removeEventListener('blur', this.handleBlur);
+    this.target = null;
+  }
+
+  /**
+   * Whether a key press belongs to something else: a text field, a menu or a shortcut
+   */
+  isIgnored(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return true;
+
+    const element = event.target;
+    if (!element || !element.tagName) return false;
+    return ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) || element.isContentEditable;
+  }
+
+  handleKeyDown(event) {
+    if (this.isIgnored(event)) return;
+
+    if (event.code === 'Space') {
+      event.preventDefault(); // Don't scroll or press the focused button
+      if (!this.sustainDown) {
+        this.sustainDown = true;
+        this.onSustainPedal(true);
+      }
+      return;
+    }
+
+    if (event.repeat) {
+      if (event.code in NOTE_KEYS) event.preventDefault();
+      return;
+    }
+
+    switch (event.code) {
+      case 'KeyZ':
+        this.setOctave(this.octave - 1);
+        return;
+      case 'KeyX':
+        this.setOctave(this.octave + 1);
+        return;
+      case 'KeyC':
+        this.setVelocity(this.velocity - this.velocityStep);
+        return;
+      case 'KeyV':
+        this.setVelocity(this.velocity + this.velocityStep);
+        return;
+      case 'BracketLeft':
+      case 'BracketRight':
+        if (this.onCommaShift) this.onCommaShift(event.code === 'BracketRight' ? 1 : -1);
+        return;
+    }
+
+    if (!(event.code in NOTE_KEYS) || this.heldKeys.has(event.code)) return;
+
+    event.preventDefault();
+    const midiNote = this.baseNote + this.octave * 12 + NOTE_KEYS[event.code];
+    this.heldKeys.set(event.code, midiNote);
+    this.onNoteOn(midiNote, this.velocity);
+  }
+
+  handleKeyUp(event) {
+    if (event.code === 'Space' && this.sustainDown) {
+      event.preventDefault();
+      this.sustainDown = false;
+      this.onSustainPedal(false);
+      return;
+    }
+
+    // A key ends the note it started, even if the octave changed while it was held
+    const midiNote = this.heldKeys.get(event.code);
+    if (midiNote === undefined) return;
+
+    this.heldKeys.delete(event.code);
+    this.onNoteOff(midiNote);
+  }
+
+  /**
+   * Key ups are lost while the page is in the background, so let go of everything
+   */
+  handleBlur() {
+    this.releaseAll();
+  }
+
+  /**
+   * Release every held note, then the sustain pedal
+   */
+  releaseAll() {
+    const notes = Array.from(this.heldKeys.values());
+    this.heldKeys.clear();
+    notes.forEach(midiNote => this.onNoteOff(midiNote));
+
+    if (this.sustainDown) {
+      this.sustainDown = false;
+      this.onSustainPedal(false);
+    }
+  }
+
+  /**
+   * Set the octave shift (clamped so every key stays within MIDI notes 0-127)
+   */
+  setOctave(octave) {
+    this.octave = Math.max(this.minOctave, Math.min(this.maxOctave, octave));
+    console.log(`Computer keyboard octave: ${this.octave >= 0 ? '+' : ''}${this.octave}`);
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * Set the note velocity (1-127)
+   */
+  setVelocity(velocity) {
+    this.velocity = Math.max(1, Math.min(127, velocity));
+    console.log(`Computer keyboard velocity: ${this.velocity}`);
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * Describe the current range and velocity for display, e.g. "C4-F5, velocity 100"
+   */
+  getStatus() {
+    const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    const noteName = (midiNote) => `${names[midiNote % 12]}${Math.floor(midiNote / 12) - 1}`;
+    const lowest = this.baseNote + this.octave * 12;
+    return `${noteName(lowest)}-${noteName(lowest + 17)}, velocity ${this.velocity}`;
+  }
+}
@@ -0,0 +1,206 @@
+import { tuningSystems } from './tuning-systems.js';
+
+/**
+ * ScalaImporter - Reads Scala scale (.scl) and keyboard mapping (.kbm) files
+ * and registers them as reference-relative tuning systems
+ *
+ * File formats: https://www.huygens-fokker.org/scala/scl_format.html
+ */
+
+export class ScalaImporter {
+  constructor(registry = tuningSystems) {
+    this.registry = registry;
+  }
+
+  /**
+   * Parse the text of a .scl file
+   * @param {string} text - File contents
+   * @returns {Object} { description, degrees, ratios, names }
+   *   ratios has degrees + 1 entries; entry 0 is the implicit 1/1 and the last is the period
+   */
+  parseScl(text) {
+    const lines = this.getDataLines(text);
+
+    if (lines.length < 2) {
+      throw new Error('Invalid .scl file: missing description or note count');
+    }
+
+    const description = lines[0].text.trim();
+    const countLine = lines[1];
+    const degrees = parseInt(countLine.text.trim().split(/\s+/)[0], 10);
+    if (!Number.isInteger(degrees) || degrees < 1) {
+      throw new Error(`Invalid .scl file (line ${countLine.number}): note count must be a positive integer`);
+    }
+
+    const pitchLines = lines.slice(2, 2 + degrees);
+    if (pitchLines.length < degrees) {
+      throw new Error(`Invalid .scl file: expected ${degrees} pitches but found ${pitchLines.length}`);
+    }
+
+    const ratios = [[1, 1]];
+    const names = ['Unison'];
+
+    for (const line of pitchLines) {
+      const [value, ...label] = line.text.trim().split(/\s+/);
+      ratios.push(this.parsePitch(value, line.number));
+      names.push(label.join(' ').replace(/^!\s*/, '') || null);
+    }
+
+    return { description, degrees, ratios, names };
+  }
+
+  /**
+   * Parse one pitch value from a .scl file
+   * Values containing a period are cents, everything else is a ratio or integer
+   * @returns {Array|number} [numerator, denominator] pair or a size in cents
+   */
+  parsePitch(value, lineNumber) {
+    if (value.includes('.')) {
+      const cents = parseFloat(value);
+      if (!/^[-+]?\d*\.\d*$/.test(value) || !Number.isFinite(cents)) {
+        throw new Error(`Invalid .scl file (line ${lineNumber}): "${value}" is not a cents value`);
+      }
+      return cents;
+    }
+
+    const match = value.match(/^(\d+)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid .scl file (line ${lineNumber}): "${value}" is not a ratio or cents value`);
+    }
+
+    const numerator = parseInt(match[1], 10);
+    const denominator = match[2] !== undefined ? parseInt(match[2], 10) : 1;
+    if (numerator <= 0 || denominator <= 0) {
+      throw new Error(`Invalid .scl file (line ${lineNumber}): ratio "${value}" must be positive`);
+    }
+
+    return [numerator, denominator];
+  }
+
+  /**
+   * Parse the text of a .kbm file
+   * @param {string} text - File contents
+   * @returns {Object} { mapSize, firstNote, lastNote, middleNote, referenceNote,
+   *   referenceFrequency, octaveDegree, mapping } where mapping holds a degree or null per key
+   */
+  parseKbm(text) {
+    const lines = this.getDataLines(text).map(line => ({
+      number: line.number,
+      value: line.text.trim().split(/\s+/)[0]
+    })).filter(line => line.value !== '');
+
+    const headerFields = [
+      'mapSize', 'firstNote', 'lastNote', 'middleNote',
+      'referenceNote', 'referenceFrequency', 'octaveDegree'
+    ];
+    if (lines.length < headerFields.length) {
+      throw new Error(`Invalid .kbm file: expected ${headerFields.length} header lines but found ${lines.length}`);
+    }
+
+    const mapping = {};
+    headerFields.forEach((field, i) => {
+      const { number, value } = lines[i];
+      const parsed = field === 'referenceFrequency' ? parseFloat(value) : parseInt(value, 10);
+      const isValid = field === 'referenceFrequency' ?
+        Number.isFinite(parsed) && parsed > 0 :
+        /^\d+$/.test(value);
+      if (!isValid) {
+        throw new Error(`Invalid .kbm file (line ${number}): "${value}" is not a valid ${field}`);
+      }
+      mapping[field] = parsed;
+    });
+
+    if (mapping.firstNote > mapping.lastNote) {
+      throw new Error('Invalid .kbm file: first note is above last note');
+    }
+
+    const entries = lines.slice(headerFields.length, headerFields.length + mapping.mapSize);
+    mapping.mapping = [];
+    for (let i = 0; i < mapping.mapSize; i++) {
+      const entry = entries[i];
+      // Missing trailing entries are unmapped
+      if (!entry || entry.value.toLowerCase() === 'x') {
+        mapping.mapping.push(null);
+      } else if (/^\d+$/.test(entry.value)) {
+        mapping.mapping.push(parseInt(entry.value, 10));
+      } else {
+        throw new Error(`Invalid .kbm file (line ${entry.number}): "${entry.value}" is not a scale degree or "x"`);
+      }
+    }
+
+    // The reference note anchors the first note played, so it must have a degree
+    const { referenceNote, firstNote, lastNote, middleNote, mapSize } = mapping;
+    const referenceIndex = mapSize > 0 ? (((referenceNote - middleNote) % mapSize) + mapSize) % mapSize : null;
+    if (referenceNote < firstNote || referenceNote > lastNote ||
+        (referenceIndex !== null && mapping.mapping[referenceIndex] === null)) {
+      throw new Error('Invalid .kbm file: reference note is not mapped to a scale degree');
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Build a tuning system definition from parsed files
+   * @param {Object} scale - Result of parseScl
+   * @param {Object} keyboardMapping - Result of parseKbm (optional)
+   * @param {string} name - Display name (defaults to the scale description)
+   */
+  toTuningSystem(scale, keyboardMapping = null, name = null) {
+    return {
+      name: name || scale.description || `${scale.degrees}-note Scala scale`,
+      description: scale.description,
+      ratios: scale.ratios,
+      names: scale.names,
+      keyboardMapping
+    };
+  }
+
+  /**
+   * Parse Scala file contents and register the result as a tuning system
+   * @param {string} id - Tuning system id to register under
+   * @param {string} sclText - Contents of the .scl file
+   * @param {string} kbmText - Contents of the .kbm file (optional)
+   * @param {string} name - Display name (optional)
+   * @returns {Object} The registered tuning system
+   */
+  importScale(id, sclText, kbmText = null, name = null) {
+    const scale = this.parseScl(sclText);
+    const keyboardMapping = kbmText ? this.parseKbm(kbmText) : null;
+    const system = this.registry.register(id, this.toTuningSystem(scale, keyboardMapping, name));
+
+    console.log(`Imported Scala scale "${system.name}" (${system.degrees} degrees)`);
+    return system;
+  }
+
+  /**
+   * Import from File objects picked by the user
+   * @param {File[]} files - One .scl file and optionally one .kbm file
+   * @returns {Promise<Object>} The registered tuning system, plus the source texts
+   */
+  async importFiles(files) {
+    const sclFile = files.find(f => f.name.toLowerCase().endsWith('.scl'));
+    const kbmFile = files.find(f => f.name.toLowerCase().endsWith('.kbm'));
+
+    if (!sclFile) {
+      throw new Error('Choose a .scl file (optionally together with a .kbm file)');
+    }
+
+    const sclText = await sclFile.text();
+    const kbmText = kbmFile ? await kbmFile.text() : null;
+    const baseName = sclFile.name.replace(/\.scl$/i, '');
+    const id = `scala:${baseName}${kbmFile ? `+${kbmFile.name.replace(/\.kbm$/i, '')}` : ''}`;
+
+    const system = this.importScale(id, sclText, kbmText);
+    return { system, sclText, kbmText };
+  }
+
+  /**
+   * Split file text into non-comment lines, keeping 1-based line numbers
+   */
+  getDataLines(text) {
+    return text
+      .split(/\r?\n/)
+      .map((line, i) => ({ number: i + 1, text: line }))
+      .filter(line => !line.text.startsWith('!'));
+  }
+}
@@ -1,10 +1,20 @@
 /**
  * SettingsManager - Persist synth settings to localStorage
+ * Also keeps a numbered bank of presets that MIDI program changes recall
  */
 
+// Settings that belong to the controller setup rather than the sound, so presets leave them alone
+// (a preset changing the split would also cut off the notes of a zone it removes)
+const RIG_SETTINGS = [
+  'outputMode', 'midiOutput', 'mtsMessage', 'mpeChannels', 'mpeBendRange',
+  'splitMode', 'splitPoint', 'splitChannel', 'channelFilters', 'disabledInputs', 'inputProfiles',
+  'mpeInput', 'midiMappings'
+];
+
 export class SettingsManager {
   constructor(storageKey = 'just-interval-synth-settings') {
     this.storageKey = storageKey;
+    this.presetKey = `${storageKey}-presets`;
   }
 
   /**
@@ -49,6 +59,79 @@ export class SettingsManager {
     }
   }
 
+  /**
+   * Load the preset bank
+   * Preset numbers are bank * 128 + program (both 0-based), so bank 0 holds numbers 0-127
+   * @returns {Object} number -> { name, settings }
+   */
+  loadPresets() {
+    try {
+      const json = localStorage.getItem(this.presetKey);
+      if (json) {
+        return JSON.parse(json);
+      }
+    } catch (e) {
+      console.warn('Failed to load presets:', e);
+    }
+    return {};
+  }
+
+  /**
+   * Get one preset, or null if nothing is saved at that number
+   */
+  getPreset(number) {
+    return this.loadPresets()[number] || null;
+  }
+
+  /**
+   * Save settings as a numbered preset, replacing any preset already there
+   * @param {number} number - bank * 128 + program
+   * @param {string} name - Shown when the preset is recalled
+   * @param {Object} settings - Full settings; the controller setup is left out
+   * @returns {boolean} True if saved
+   */
+  savePreset(number, name, settings) {
+    if (!Number.isInteger(number) || number < 0 || number > 16383 * 128 + 127) {
+      console.warn(`Invalid preset number: ${number}`);
+      return false;
+    }
+
+    const sound = { ...settings };
+    RIG_SETTINGS.forEach(key => delete sound[key]);
+
+    const presets = this.loadPresets();
+    presets[number] = { name, settings: sound };
+    return this.savePresets(presets);
+  }
+
+  /**
+   * Delete a preset
+   */
+  deletePreset(number) {
+    const presets = this.loadPresets();
+    delete presets[number];
+    this.savePresets(presets);
+  }
+
+  savePresets(presets) {
+    try {
+      localStorage.setItem(this.presetKey, JSON.stringify(presets));
+      return true;
+    } catch (e) {
+      console.warn('Failed to save presets:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Name a preset number as a controller shows it, e.g. "Program 5" or "Bank 2, Program 5"
+   */
+  static describePreset(number) {
+    const bank = Math.floor(number / 128);
+    const program = number % 128 + 1;
+    return bank === 0 ? `Program ${program}` : `Bank ${bank}, Program ${program}`;
+  }
+
   /**
    * Get default settings for monosynth
    */
@@ -72,8 +155,19 @@ export class SettingsManager {
   static getPolyDefaults() {
     return {
       waveform: 'sine',
-      referenceMode: 'harmonic',
+      referenceMode: 'lattice',
+      tuningSystem: '5-limit',
+      seriesFundamental: null,
+      seriesDirection: 'otonal',
+      seriesLimit: 32,
+      edo: null,
+      edoMapping: 'nearest',
       retuneMode: 'smooth',
+      driftCorrection: 'off',
+      driftCorrectionRate: 2,
+      driftAnchor: null,
+      commaShift: '81/80',
+      commaShiftCustom: '',
       attack: 20,
       decay: 200,
       sustain: 70,
@@ -82,8 +176,29 @@ export class SettingsManager {
       filterQ: 5,
       filterEnv: 3000,
       volume: 40,
+      outputMode: 'local',
+      midiOutput: null,
+      mtsMessage: 'realtime',
+      mpeChannels: 15,
+      mpeBendRange: 48,
       stereoSpread: 69,
-      spreadMode: 'harmonic'
+      spreadMode: 'harmonic',
+      splitMode: 'none',
+      splitPoint: 60,
+      splitChannel: 1,
+      channelFilters: {},
+      disabledInputs: [],
+      inputProfiles: {},
+      mpeInput: false,
+      pitchBendRange: 200,
+      bendTarget: 'chord',
+      mpeInputBendRange: 48,
+      carryChord: false,
+      pressureCurve: 'linear',
+      pressureFilter: 100,
+      pressureVibrato: 0,
+      pressureAmplitude: 0,
+      midiMappings: []
     };
   }
 }
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSynth, playMidi, getVoices, getFrequency } from './helpers/midi-rig.js';
+import { close } from './helpers/assertions.js';
+
+const filterCents = (synth, note) => getVoices(synth, note)[0].filter.detune.getFinalValue();
+
+const triad = [
+  [0, 0x90, 60, 100],
+  [0, 0x90, 64, 100],
+  [0, 0x90, 67, 100]
+];
+
+test('channel pressure opens the filter of every voice without retuning', async () => {
+  const synth = await createSynth();
+  playMidi(synth, triad);
+  const frequencies = [60, 64, 67].map(note => getFrequency(synth, note));
+
+  const retunes = playMidi(synth, [[0.5, 0xD0, 127]]);
+  assert.deepEqual(retunes, []);
+  for (const note of [60, 64, 67]) {
+    close(filterCents(synth, note), 2400, `note ${note}`);
+  }
+  assert.deepEqual([60, 64, 67].map(note => getFrequency(synth, note)), frequencies);
+});
+
+test('poly aftertouch reaches only its own voice', async () => {
+  const synth = await createSynth();
+  playMidi(synth, [...triad, [0.5, 0xA0, 64, 127]]);
+
+  close(filterCents(synth, 64), 2400, 'E');
+  assert.equal(filterCents(synth, 60), 0);
+  assert.equal(filterCents(synth, 67), 0);
+});
+
+test('pressure can swell the volume and deepen the vibrato', async () => {
+  const synth = await createSynth();
+  synth.setPressureDepth('filter', 0);
+  synth.setPressureDepth('amplitude', 1);
+  synth.setPressureDepth('vibrato', 1);
+  playMidi(synth, [[0, 0x90, 60, 100], [0.1, 0xD0, 0]]);
+
+  const [voice] = getVoices(synth, 60);
+  close(voice.expressionGain.gain.getFinalValue(), 0.25, 'light touch');
+  close(voice.lfoGain.gain.getFinalValue(), 0, 'no vibrato');
+  assert.equal(voice.filter.detune.getFinalValue(), 0);
+
+  playMidi(synth, [[0.2, 0xD0, 127]]);
+  close(voice.expressionGain.gain.getFinalValue(), 1, 'full press');
+  close(voice.lfoGain.gain.getFinalValue(), getFrequency(synth, 60) * 0.005, 'full vibrato');
+});
+
+test('the response curve shapes the pressure', async () => {
+  const synth = await createSynth();
+  synth.setPressureCurve('hard');
+  playMidi(synth, [...triad, [0.5, 0xA0, 60, 64], [0.5, 0xA0, 64, 127]]);
+
+  close(filterCents(synth, 60), Math.pow(64 / 127, 2) * 2400, 'half press');
+  close(filterCents(synth, 64), 2400, 'full press');
+
+  synth.setPressureCurve('wobbly');
+  assert.equal(synth.pressureCurve, 'linear');
+});
+
+test('a note started while channel pressure is held picks it up', async () => {
+  const synth = await createSynth();
+  playMidi(synth, [[0, 0x90, 60, 100], [0.1, 0xD0, 127], [0.2, 0x90, 67, 100]]);
+
+  close(filterCents(synth, 67), 2400, 'G');
+});
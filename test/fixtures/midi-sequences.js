@@ -0,0 +1,61 @@
+/**
+ * MIDI fixtures: timed channel 1 messages, [time (seconds), status, data1, data2]
+ * Note numbers: 45 = A2, 48 = C3, 55 = G3, 60 = C4, 62 = D4, 64 = E4, 67 = G4, 69 = A4
+ */
+
+const on = (time, note, velocity = 100) => [time, 0x90, note, velocity];
+const off = (time, note) => [time, 0x80, note, 0];
+const pedal = (time, down) => [time, 0xB0, 64, down ? 127 : 0];
+
+// C4 E4 G4, then all released
+export const majorTriad = [
+  on(0, 60), on(0.1, 64), on(0.2, 67),
+  off(1, 60), off(1, 64), off(1, 67)
+];
+
+// C3 D4 A4, then the bass is lifted: A4 (a 5:3 sixth above C) becomes a 3:2 fifth above D
+export const bassReleaseUnderDyad = [
+  on(0, 48), on(0.1, 62), on(0.2, 69),
+  off(1, 48)
+];
+
+// A2 G3 C4 E4, then the A2 is lifted: the lowest note and the harmonic center differ
+export const referenceReleaseUnderChord = [
+  on(0, 45), on(0.1, 55), on(0.2, 60), on(0.3, 64),
+  off(1, 45)
+];
+
+// The bass of bassReleaseUnderDyad is let go under the pedal: it sounds until the pedal lifts
+export const sustainedBassRelease = [
+  pedal(0, true),
+  on(0.1, 48), on(0.2, 62), on(0.3, 69),
+  off(0.5, 48),
+  pedal(1, false)
+];
+
+// A key still held when the pedal lifts keeps sounding until it is let go
+export const keyHeldThroughPedalUp = [
+  pedal(0, true),
+  on(0.1, 60), on(0.2, 64), off(0.3, 64),
+  pedal(1, false),
+  off(2, 60)
+];
+
+// A note released under the pedal, struck again and held while the pedal lifts
+export const restruckUnderPedal = [
+  pedal(0, true),
+  on(0.1, 60), off(0.2, 60),
+  on(0.5, 60, 80),
+  pedal(1, false),
+  off(2, 60)
+];
+
+// Controllers that repeat the pedal state, and note ons with velocity 0 as note offs
+export const repeatedPedalMessages = [
+  pedal(0, true), pedal(0.05, true),
+  on(0.1, 60), [0.2, 0x90, 60, 0],
+  pedal(1, false), pedal(1.05, false)
+];
+
+// Nine notes into eight voices: the ninth steals the oldest
+export const ninthNoteSteals = Array.from({ length: 9 }, (_, i) => on(i * 0.1, 60 + i));
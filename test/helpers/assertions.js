@@ -0,0 +1,13 @@
+import assert from 'node:assert/strict';
+
+/**
+ * Shared assertions for the test suite
+ */
+
+/**
+ * Assert that two numbers agree to within rounding error
+ * @param {number} tolerance - Largest difference accepted
+ */
+export function close(actual, expected, message, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
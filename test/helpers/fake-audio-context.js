@@ -0,0 +1,162 @@
+/**
+ * FakeAudioContext - Just enough of the Web Audio API to run PolySynth in Node
+ * Audio params record every automation call, so tests can check what a voice
+ * was told to play and when. currentTime only moves when a test sets it.
+ */
+
+export class FakeAudioParam {
+  constructor(value = 0) {
+    this.value = value;
+    this.events = []; // { type, value, time } in the order they were scheduled
+  }
+
+  schedule(type, value, time) {
+    this.events.push({ type, value, time });
+    this.value = value;
+    return this;
+  }
+
+  setValueAtTime(value, time) {
+    return this.schedule('setValueAtTime', value, time);
+  }
+
+  linearRampToValueAtTime(value, time) {
+    return this.schedule('linearRampToValueAtTime', value, time);
+  }
+
+  exponentialRampToValueAtTime(value, time) {
+    return this.schedule('exponentialRampToValueAtTime', value, time);
+  }
+
+  setTargetAtTime(value, time) {
+    return this.schedule('setTargetAtTime', value, time);
+  }
+
+  cancelScheduledValues(time) {
+    this.events = this.events.filter(event => event.time < time);
+    return this;
+  }
+
+  /**
+   * Value the automation gives at a time, following the ramps
+   * (setTargetAtTime is treated as reaching its target immediately)
+   */
+  getValueAtTime(time) {
+    const events = this.events.slice().sort((a, b) => a.time - b.time);
+    let value = events.length > 0 ? events[0].value : this.value;
+    let previousTime = 0;
+
+    for (const event of events) {
+      if (event.time <= time) {
+        value = event.value;
+        previousTime = event.time;
+        continue;
+      }
+
+      // The next event is in the future: a ramp toward it is part way there
+      const progress = (time - previousTime) / (event.time - previousTime);
+      if (event.type === 'linearRampToValueAtTime') {
+        return value + (event.value - value) * progress;
+      }
+      if (event.type === 'exponentialRampToValueAtTime') {
+        return value * Math.pow(event.value / value, progress);
+      }
+      return value;
+    }
+
+    return value;
+  }
+
+  /**
+   * Value the automation ends on
+   */
+  getFinalValue() {
+    return this.getValueAtTime(Infinity);
+  }
+}
+
+export class FakeAudioNode {
+  constructor(context) {
+    this.context = context;
+    this.connections = [];
+  }
+
+  connect(destination) {
+    this.connections.push(destination);
+    return destination;
+  }
+
+  disconnect() {
+    this.connections = [];
+  }
+}
+
+export class FakeOscillatorNode extends FakeAudioNode {
+  constructor(context) {
+    super(context);
+    this.type = 'sine';
+    this.frequency = new FakeAudioParam(440);
+    this.detune = new FakeAudioParam(0);
+    this.startTime = null;
+    this.stopTime = null;
+  }
+
+  start(time = this.context.currentTime) {
+    this.startTime = time;
+  }
+
+  stop(time = this.context.currentTime) {
+    this.stopTime = time;
+  }
+}
+
+export class FakeGainNode extends FakeAudioNode {
+  constructor(context) {
+    super(context);
+    this.gain = new FakeAudioParam(1);
+  }
+}
+
+export class FakeBiquadFilterNode extends FakeAudioNode {
+  constructor(context) {
+    super(context);
+    this.type = 'lowpass';
+    this.frequency = new FakeAudioParam(350);
+    this.detune = new FakeAudioParam(0);
+    this.Q = new FakeAudioParam(1);
+  }
+}
+
+export class FakeStereoPannerNode extends FakeAudioNode {
+  constructor(context) {
+    super(context);
+    this.pan = new FakeAudioParam(0);
+  }
+}
+
+export class FakeAudioContext {
+  constructor(sampleRate = 44100) {
+    this.sampleRate = sampleRate;
+    this.currentTime = 0;
+    this.destination = new FakeAudioNode(this);
+    this.oscillators = []; // Every oscillator created, in order
+  }
+
+  createOscillator() {
+    const oscillator = new FakeOscillatorNode(this);
+    this.oscillators.push(oscillator);
+    return oscillator;
+  }
+
+  createGain() {
+    return new FakeGainNode(this);
+  }
+
+  createBiquadFilter() {
+    return new FakeBiquadFilterNode(this);
+  }
+
+  createStereoPanner() {
+    return new FakeStereoPannerNode(this);
+  }
+}
@@ -0,0 +1,91 @@
+import { PolySynth } from '../../polysynth.js';
+import { MIDIHandler } from '../../midi-handler.js';
+import { FakeAudioContext } from './fake-audio-context.js';
+
+/**
+ * Helpers for driving PolySynth from MIDI fixtures in Node
+ */
+
+/**
+ * Create a PolySynth playing into a FakeAudioContext
+ * @param {Object} options - { polyphony, referenceMode, retuneMode, retuneSpeed }
+ */
+export async function createSynth(options = {}) {
+  const synth = new PolySynth(options.polyphony || 8);
+  await synth.init(new FakeAudioContext());
+  synth.setReferenceMode(options.referenceMode || 'bass');
+  synth.setRetuneMode(options.retuneMode || 'instant');
+  if (options.retuneSpeed !== undefined) {
+    synth.setRetuneSpeed(options.retuneSpeed);
+  }
+  return synth;
+}
+
+/**
+ * Play a fixture through MIDIHandler's message parsing and PolySynth.applyEvent(), whose key and
+ * pedal handling the app shares (BaseSynth.releaseKey(), setSustainPedal() and setSostenutoPedal())
+ * @param {PolySynth} synth - Synth created by createSynth()
+ * @param {Array} fixture - Timed MIDI messages: [[time, status, data1, data2], ...]
+ * @param {Object} options - { mpe: true } to read channels 2-16 as MPE member channels
+ * @returns {Array} Retunes, in order: [{ time, midiNote, newFrequency }]
+ */
+export function playMidi(synth, fixture, options = {}) {
+  const retunes = [];
+  let time = 0;
+
+  const apply = (event) => {
+    synth.audioContext.currentTime = time;
+    for (const retune of synth.applyEvent(event)) {
+      retunes.push({ time, ...retune });
+    }
+  };
+
+  const handler = new MIDIHandler(
+    (note, velocity) => apply({ type: 'noteOn', note, velocity }),
+    (note) => apply({ type: 'noteOff', note }),
+    (down) => apply({ type: 'sustain', down }),
+    (amount) => apply({ type: 'pitchBend', amount }),
+    (amount) => apply({ type: 'modWheel', amount })
+  );
+  handler.onChannelPressure = (amount) => apply({ type: 'channelPressure', amount });
+  handler.onSustainDepth = (amount) => apply({ type: 'sustainDepth', amount });
+  handler.onSostenutoPedal = (down) => apply({ type: 'sostenuto', down });
+  handler.onSoftPedal = (down) => apply({ type: 'softPedal', down });
+  handler.onPolyPressure = (note, amount) => apply({ type: 'polyPressure', note, amount });
+  handler.onPitchBendRange = (cents) => apply({ type: 'pitchBendRange', cents });
+  if (options.mpe) {
+    handler.setMpeInput(true);
+    handler.onNoteBend = (note, amount) => synth.applyNoteBend(note, amount);
+    handler.onNotePressure = (note, amount) => synth.applyNotePressure(note, amount);
+    handler.onNoteTimbre = (note, amount) => synth.applyNoteTimbre(note, amount);
+  }
+
+  for (const [messageTime, ...data] of fixture) {
+    time = messageTime;
+    handler.handleMIDIMessage({ data });
+  }
+
+  return retunes;
+}
+
+/**
+ * Voices that are sounding a note (more than one only while a retriggered note fades)
+ */
+export function getVoices(synth, midiNote) {
+  return synth.voices.filter(v => v.isActive && v.midiNote === midiNote);
+}
+
+/**
+ * Frequency the synth has assigned to a sounding note, or null if it isn't sounding
+ */
+export function getFrequency(synth, midiNote) {
+  const note = synth.getState().activeNotes.find(n => n.midiNote === midiNote);
+  return note ? note.frequency : null;
+}
+
+/**
+ * Sounding notes, lowest first
+ */
+export function getSoundingNotes(synth) {
+  return synth.getState().activeNotes.map(n => n.midiNote).sort((a, b) => a - b);
+}
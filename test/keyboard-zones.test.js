@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeyboardZones } from '../keyboard-zones.js';
+
+test('with no split every note plays the main synth', () => {
+  const zones = new KeyboardZones();
+  assert.deepEqual(zones.getZonesForNote(0, 36), ['main']);
+  assert.deepEqual(zones.getZonesForNote(9, 96), ['main']);
+  assert.deepEqual(zones.getZonesForNote(null, 60), ['main']);
+});
+
+test('a key split sends notes below the split point to the second synth', () => {
+  const zones = new KeyboardZones();
+  zones.setLayout('keys', { splitPoint: 55 });
+
+  assert.deepEqual(zones.getZonesForNote(0, 54), ['lower']);
+  assert.deepEqual(zones.getZonesForNote(0, 55), ['main']);
+  assert.deepEqual(zones.getZonesForNote(null, 48), ['lower']);
+  assert.deepEqual(zones.getZonesForChannel(0), ['lower', 'main']);
+});
+
+test('a channel split sends one channel to the second synth', () => {
+  const zones = new KeyboardZones();
+  zones.setLayout('channel', { splitChannel: 0 });
+
+  assert.deepEqual(zones.getZonesForNote(0, 72), ['lower']);
+  assert.deepEqual(zones.getZonesForNote(1, 36), ['main']);
+  assert.deepEqual(zones.getZonesForChannel(0), ['lower']);
+  // Keyboards without a channel play the main synth
+  assert.deepEqual(zones.getZonesForNote(null, 36), ['main']);
+});
+
+test('a layer plays every note on both synths', () => {
+  const zones = new KeyboardZones();
+  zones.setLayout('layer');
+  assert.deepEqual(zones.getZonesForNote(3, 60), ['main', 'lower']);
+  assert.deepEqual(zones.getZoneNames(), ['main', 'lower']);
+});
+
+test('unknown modes and out of range values fall back to safe ones', () => {
+  const zones = new KeyboardZones();
+  zones.setLayout('keys', { splitPoint: 200, splitChannel: -3 });
+  assert.equal(zones.splitPoint, 127);
+  assert.equal(zones.splitChannel, 0);
+
+  zones.setLayout('zigzag');
+  assert.equal(zones.mode, 'none');
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIDIHandler } from '../midi-handler.js';
+
+// Record what the handler sends, in order
+const createHandler = () => {
+  const sent = [];
+  const handler = new MIDIHandler(
+    (note, velocity, channel) => sent.push(['on', note, velocity, channel]),
+    (note, channel) => sent.push(['off', note, channel]),
+    (down, channel) => sent.push(['pedal', down, channel]),
+    (amount, channel) => sent.push(['bend', amount, channel]),
+    (amount, channel) => sent.push(['mod', amount, channel])
+  );
+  return { handler, sent };
+};
+
+test('callbacks are told the channel of each message', () => {
+  const { handler, sent } = createHandler();
+  handler.handleMIDIMessage({ data: [0x90, 60, 100] });
+  handler.handleMIDIMessage({ data: [0x93, 64, 0] });
+  handler.handleMIDIMessage({ data: [0xB1, 64, 127] });
+  handler.handleMIDIMessage({ data: [0xEF, 0, 0x40] });
+
+  assert.deepEqual(sent, [['on', 60, 100, 0], ['off', 64, 3], ['pedal', true, 1], ['bend', 0, 15]]);
+});
+
+test('a channel filter drops other channels from that input only', () => {
+  const { handler, sent } = createHandler();
+  handler.connectedDevices = [{ id: 'in-1', name: 'Keys' }, { id: 'in-2', name: 'Pads' }];
+  handler.setChannelFilter('Keys', [0, 2]);
+  handler.handleMIDIMessage({ data: [0x90, 60, 100] }, 'in-1');
+  handler.handleMIDIMessage({ data: [0x91, 61, 100] }, 'in-1');
+  handler.handleMIDIMessage({ data: [0xB1, 64, 127] }, 'in-1');
+  handler.handleMIDIMessage({ data: [0x91, 62, 100] }, 'in-2');
+
+  assert.deepEqual(sent, [['on', 60, 100, 0], ['on', 62, 100, 1]]);
+
+  handler.setChannelFilter('Keys', null);
+  handler.handleMIDIMessage({ data: [0x91, 61, 100] }, 'in-1');
+  assert.deepEqual(sent.at(-1), ['on', 61, 100, 1]);
+});
+
+test('a note held when its channel is filtered out still ends', () => {
+  const { handler, sent } = createHandler();
+  handler.connectedDevices = [{ id: 'in-1', name: 'Keys' }];
+  handler.handleMIDIMessage({ data: [0x91, 60, 100] }, 'in-1');
+  handler.setChannelFilter('Keys', [0]);
+  handler.handleMIDIMessage({ data: [0x91, 60, 0] }, 'in-1');
+  handler.handleMIDIMessage({ data: [0x81, 60, 0] }, 'in-1'); // No longer held
+
+  assert.deepEqual(sent, [['on', 60, 100, 1], ['off', 60, 1]]);
+});
+
+test('channel lists are read and written as 1-16 with ranges', () => {
+  assert.deepEqual(MIDIHandler.parseChannelList('1, 3-4'), [0, 2, 3]);
+  assert.deepEqual(MIDIHandler.parseChannelList(' 16 2 '), [1, 15]);
+  assert.equal(MIDIHandler.parseChannelList(''), null);
+  assert.equal(MIDIHandler.parseChannelList('All'), null);
+  assert.equal(MIDIHandler.parseChannelList('0, 17'), null);
+
+  assert.equal(MIDIHandler.formatChannelList([0, 2, 3]), '1, 3-4');
+  assert.equal(MIDIHandler.formatChannelList(null), 'all');
+});
+
+test('a message taken by onMessage is not played', () => {
+  const { handler, sent } = createHandler();
+  handler.connectedDevices = [{ id: 'in-1', name: 'Knobs' }];
+  const seen = [];
+  handler.onMessage = (data, device) => {
+    seen.push(device);
+    return data[1] === 74;
+  };
+  handler.handleMIDIMessage({ data: [0xB0, 74, 10] }, 'in-1');
+  handler.handleMIDIMessage({ data: [0xB0, 64, 127] }, 'in-1');
+
+  assert.deepEqual(seen, ['Knobs', 'Knobs']);
+  assert.deepEqual(sent, [['pedal', true, 0]]);
+});
+
+test('channel and poly aftertouch are decoded', () => {
+  const { handler, sent } = createHandler();
+  handler.onChannelPressure = (amount, channel) => sent.push(['pressure', amount, channel]);
+  handler.onPolyPressure = (note, amount, channel) => sent.push(['poly', note, amount, channel]);
+  handler.handleMIDIMessage({ data: [0xD2, 127] });
+  handler.handleMIDIMessage({ data: [0xA0, 64, 0] });
+
+  assert.deepEqual(sent, [['pressure', 1, 2], ['poly', 64, 0, 0]]);
+});
+
+test('program changes use the bank last selected on their channel', () => {
+  const { handler, sent } = createHandler();
+  handler.onProgramChange = (program, bank, channel) => sent.push(['program', program, bank, channel]);
+  handler.handleMIDIMessage({ data: [0xC0, 4] });
+  handler.handleMIDIMessage({ data: [0xB1, 0, 1] });
+  handler.handleMIDIMessage({ data: [0xB1, 32, 2] });
+  handler.handleMIDIMessage({ data: [0xC1, 0] });
+  handler.handleMIDIMessage({ data: [0xC0, 5] });
+
+  assert.deepEqual(sent, [['program', 4, 0, 0], ['program', 0, 130, 1], ['program', 5, 0, 0]]);
+});
+
+// A MIDIAccess with the given inputs, as the browser reports them
+const createAccess = (...names) => ({
+  inputs: new Map(names.map((name, i) => [`port-${i}`, {
+    id: `port-${i}`, type: 'input', name, manufacturer: '', state: 'connected', onmidimessage: null
+  }]))
+});
+
+test('repeated connection events list each input once', () => {
+  const { handler } = createHandler();
+  const connected = [];
+  handler.onDeviceConnected = device => connected.push(device.name);
+  handler.midiAccess = createAccess('Keys', 'Pads');
+
+  handler.connectToInputs();
+  handler.handleStateChange({ port: handler.midiAccess.inputs.get('port-1') });
+  handler.handleStateChange({ port: handler.midiAccess.inputs.get('port-1') });
+
+  assert.deepEqual(handler.getConnectedDevices().map(device => device.name), ['Keys', 'Pads']);
+  assert.deepEqual(connected, ['Keys', 'Pads']);
+});
+
+test('an input turned off by name is listed but not listened to', () => {
+  const { handler } = createHandler();
+  handler.setDisabledInputs(['Pads']);
+  handler.midiAccess = createAccess('Keys', 'Pads');
+  handler.connectToInputs();
+
+  const [keys, pads] = handler.midiAccess.inputs.values();
+  assert.deepEqual(handler.getConnectedDevices().map(device => device.enabled), [true, false]);
+  assert.equal(typeof keys.onmidimessage, 'function');
+  assert.equal(pads.onmidimessage, null);
+
+  handler.setInputEnabled('Pads', true);
+  assert.equal(typeof pads.onmidimessage, 'function');
+});
+
+test('notes held on an input end when it is unplugged or turned off', () => {
+  const { handler, sent } = createHandler();
+  handler.midiAccess = createAccess('Keys', 'Pads');
+  handler.connectToInputs();
+  const [keys, pads] = handler.midiAccess.inputs.values();
+  keys.onmidimessage({ data: [0x90, 60, 100] });
+  pads.onmidimessage({ data: [0x92, 36, 100] });
+  pads.onmidimessage({ data: [0x92, 38, 100] });
+  pads.onmidimessage({ data: [0x82, 38, 0] });
+  sent.length = 0;
+
+  pads.state = 'disconnected';
+  handler.handleStateChange({ port: pads });
+  assert.deepEqual(sent, [['off', 36, 2]]);
+
+  handler.setInputEnabled('Keys', false);
+  assert.deepEqual(sent, [['off', 36, 2], ['off', 60, 0]]);
+  assert.equal(keys.onmidimessage, null);
+});
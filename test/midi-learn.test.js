@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MidiLearn } from '../midi-learn.js';
+import { close } from './helpers/assertions.js';
+
+// A learner driving fake controls that hold any value from 0 to 1
+const createLearn = () => {
+  const controls = { filterFreq: 0.5, referenceMode: 0 };
+  const learn = new MidiLearn();
+  learn.onChange = (target, value) => {
+    controls[target] = value;
+    return value;
+  };
+  learn.getValue = (target) => controls[target];
+  return { learn, controls };
+};
+
+test('the first control change after picking a control is bound to it', () => {
+  const { learn, controls } = createLearn();
+  learn.startLearning('filterFreq');
+  assert.equal(learn.handleMessage([0xB0, 74, 10], 'Knobs'), true);
+  assert.equal(controls.filterFreq, 0.5); // Learning doesn't move the control
+
+  learn.handleMessage([0xB0, 74, 127], 'Knobs');
+  close(controls.filterFreq, 1, 'cutoff');
+  assert.deepEqual(learn.getMappings(), [
+    { device: 'Knobs', channel: 0, type: 'cc', number: 74, target: 'filterFreq', mode: 'absolute', min: 0, max: 1 }
+  ]);
+});
+
+test('unmapped messages are left for the synth', () => {
+  const { learn } = createLearn();
+  learn.startLearning('filterFreq');
+  learn.handleMessage([0xB0, 74, 0]);
+
+  assert.equal(learn.handleMessage([0xB0, 1, 64]), false);
+  assert.equal(learn.handleMessage([0xB1, 74, 64]), false);
+  assert.equal(learn.handleMessage([0x90, 60, 100]), false);
+  assert.equal(learn.handleMessage([0xB0, 74, 64], 'Other device'), true);
+});
+
+test('min and max scale the knob to part of the control\'s range, and can invert it', () => {
+  const { learn, controls } = createLearn();
+  learn.setMappings([{ channel: 0, type: 'cc', number: 7, target: 'filterFreq', min: 0.2, max: 0.6 }]);
+  learn.handleMessage([0xB0, 7, 127]);
+  close(controls.filterFreq, 0.6, 'top');
+
+  learn.updateMapping(0, { min: 1, max: 0 });
+  learn.handleMessage([0xB0, 7, 127]);
+  close(controls.filterFreq, 0, 'inverted top');
+});
+
+test('a learned CC followed by its LSB becomes a 14-bit control', () => {
+  const { learn, controls } = createLearn();
+  learn.startLearning('filterFreq');
+  learn.handleMessage([0xB0, 1, 64]);
+  learn.handleMessage([0xB0, 33, 0]);
+  assert.equal(learn.mappings[0].mode, '14bit');
+
+  learn.handleMessage([0xB0, 1, 64]);
+  learn.handleMessage([0xB0, 33, 64]);
+  close(controls.filterFreq, (64 * 128 + 64) / 16383, 'fine value');
+});
+
+test('relative encoders step from where the control is', () => {
+  const { learn, controls } = createLearn();
+  learn.setMappings([
+    { channel: 0, type: 'cc', number: 20, target: 'filterFreq', mode: 'relative' },
+    { channel: 0, type: 'cc', number: 21, target: 'filterFreq', mode: 'relative-offset' }
+  ]);
+
+  learn.handleMessage([0xB0, 20, 2]);
+  close(controls.filterFreq, 0.5 + 2 / 127, 'two up');
+  learn.handleMessage([0xB0, 20, 127]);
+  close(controls.filterFreq, 0.5 + 1 / 127, 'one down');
+  learn.handleMessage([0xB0, 21, 61]);
+  close(controls.filterFreq, 0.5 - 2 / 127, 'three down');
+
+  controls.filterFreq = 1; // Moved with the mouse
+  learn.handleMessage([0xB0, 20, 5]);
+  close(controls.filterFreq, 1, 'stops at the top');
+});
+
+test('encoders keep moving a control that rounds away small steps', () => {
+  const { learn, controls } = createLearn();
+  // A menu with three options only lands on 0, 0.5 or 1
+  learn.onChange = (target, value) => {
+    controls[target] = Math.round(value * 2) / 2;
+    return controls[target];
+  };
+  learn.setMappings([{ channel: 0, type: 'cc', number: 20, target: 'referenceMode', mode: 'relative' }]);
+
+  for (let i = 0; i < 40; i++) learn.handleMessage([0xB0, 20, 1]);
+  assert.equal(controls.referenceMode, 0.5);
+});
+
+test('a mapped key toggles the control and is not played', () => {
+  const { learn, controls } = createLearn();
+  learn.startLearning('referenceMode');
+  learn.handleMessage([0x90, 36, 100]);
+  assert.equal(learn.handleMessage([0x80, 36, 0]), true);
+
+  learn.handleMessage([0x99, 36, 100]);
+  assert.equal(controls.referenceMode, 0); // Other channel
+  learn.handleMessage([0x90, 36, 100]);
+  learn.handleMessage([0x90, 36, 0]);
+  assert.equal(controls.referenceMode, 1);
+  learn.handleMessage([0x90, 36, 100]);
+  assert.equal(controls.referenceMode, 0);
+});
+
+test('a key held before learning starts still gets its note off', () => {
+  const { learn } = createLearn();
+  assert.equal(learn.handleMessage([0x90, 60, 100]), false);
+  learn.startLearning('filterFreq');
+  assert.equal(learn.handleMessage([0x80, 60, 0]), false);
+  assert.equal(learn.handleMessage([0x90, 60, 0]), false);
+  assert.deepEqual(learn.getMappings(), []);
+});
+
+test('mappings export and import per controller', () => {
+  const { learn } = createLearn();
+  learn.setMappings([
+    { device: 'Knobs', channel: 0, type: 'cc', number: 74, target: 'filterFreq' },
+    { device: 'Pads', channel: 9, type: 'note', number: 36, target: 'referenceMode' }
+  ]);
+  const preset = learn.exportMappings('Knobs');
+  assert.deepEqual(preset.mappings.map(m => m.number), [74]);
+
+  const other = new MidiLearn();
+  other.setMappings([{ device: 'Knobs', channel: 0, type: 'cc', number: 1, target: 'volume' }]);
+  assert.equal(other.importMappings(JSON.parse(JSON.stringify(preset))), 1);
+  assert.deepEqual(other.getMappings().map(m => m.number), [74]);
+
+  assert.throws(() => other.importMappings({ mappings: [] }), /Not a MIDI mapping file/);
+});
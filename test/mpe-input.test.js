@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSynth, playMidi, getVoices, getFrequency } from './helpers/midi-rig.js';
+import { close } from './helpers/assertions.js';
+
+const detune = (synth, note) => getVoices(synth, note)[0].oscillator.detune.getFinalValue();
+
+// C on channel 2, E on channel 3, G on channel 4
+const triad = [
+  [0, 0x91, 60, 100],
+  [0, 0x92, 64, 100],
+  [0, 0x93, 67, 100]
+];
+
+test('a member channel bends only its own note, leaving the tuning alone', async () => {
+  const synth = await createSynth();
+  playMidi(synth, [...triad, [0.5, 0xE2, 0, 0x50]], { mpe: true }); // E bent up a quarter of 48 semitones
+
+  close(detune(synth, 64), 1200, 'E');
+  assert.equal(detune(synth, 60), 0);
+  assert.equal(detune(synth, 67), 0);
+  assert.equal(synth.pitchBendAmount, 0);
+  close(getFrequency(synth, 64) / getFrequency(synth, 60), 5 / 4, 'E over C is still just');
+});
+
+test('the master channel still bends the whole synth', async () => {
+  const synth = await createSynth();
+  playMidi(synth, [...triad, [0.5, 0xE0, 0, 0x60]], { mpe: true });
+
+  assert.equal(synth.pitchBendAmount, 0.5);
+  assert.equal(detune(synth, 64), 0);
+});
+
+test('expression sent before the note on is applied to the new note', async () => {
+  const synth = await createSynth();
+  synth.setPressureDepth('filter', 0);
+  synth.setPressureDepth('amplitude', 1);
+  playMidi(synth, [
+    [0, 0xE5, 0, 0x30], // Bend down a quarter
+    [0, 0xD5, 127],
+    [0, 0xB5, 74, 127],
+    [0, 0x95, 62, 100]
+  ], { mpe: true });
+
+  const [voice] = getVoices(synth, 62);
+  close(detune(synth, 62), -1200, 'bend');
+  close(voice.expressionGain.gain.getFinalValue(), 1, 'pressure');
+  close(voice.filter.detune.getFinalValue(), 127 / 127 * 4800 - 2400, 'timbre');
+});
+
+test('pressure and timbre reach only their own voice', async () => {
+  const synth = await createSynth();
+  playMidi(synth, [...triad, [0.5, 0xD2, 64], [0.5, 0xB3, 74, 0]], { mpe: true });
+
+  const [e] = getVoices(synth, 64);
+  const [g] = getVoices(synth, 67);
+  const [c] = getVoices(synth, 60);
+  close(e.filter.detune.getFinalValue(), 64 / 127 * 2400, 'E pressure');
+  close(g.filter.detune.getFinalValue(), -2400, 'G timbre');
+  assert.equal(c.filter.detune.getFinalValue(), 0);
+});
+
+test('the reference note\'s bend can carry the whole chord', async () => {
+  const synth = await createSynth();
+  synth.setCarryChord(true);
+  playMidi(synth, [...triad, [0.5, 0xE1, 0, 0x50], [0.6, 0xE2, 0, 0x30]], { mpe: true });
+
+  close(detune(synth, 60), 1200, 'C (reference)');
+  close(detune(synth, 64), 1200 - 1200, 'E carried up, bent down on its own');
+  close(detune(synth, 67), 1200, 'G carried');
+
+  // Releasing the reference hands the chord to the new one
+  playMidi(synth, [[1, 0x81, 60, 0]], { mpe: true });
+  close(detune(synth, 67), -1200, 'G follows E');
+});
+
+test('without MPE input every channel bends the whole synth', async () => {
+  const synth = await createSynth();
+  playMidi(synth, [...triad, [0.5, 0xE2, 0, 0x60]]);
+
+  assert.equal(synth.pitchBendAmount, 0.5);
+  assert.equal(detune(synth, 64), 0);
+});
@@ -0,0 +1,249 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MTSOutput } from '../mts-output.js';
+import { MPEOutput } from '../mpe-output.js';
+import { createSynth, playMidi, getVoices, getFrequency, getSoundingNotes } from './helpers/midi-rig.js';
+import { close } from './helpers/assertions.js';
+import * as fixtures from './fixtures/midi-sequences.js';
+
+test('voices play the frequencies the engine chose', async () => {
+  const synth = await createSynth();
+  playMidi(synth, fixtures.majorTriad.slice(0, 3));
+
+  const c = getFrequency(synth, 60);
+  close(getFrequency(synth, 64) / c, 5 / 4, 'E over C');
+  close(getFrequency(synth, 67) / c, 3 / 2, 'G over C');
+  for (const note of [60, 64, 67]) {
+    const [voice] = getVoices(synth, note);
+    close(voice.oscillator.frequency.getFinalValue(), getFrequency(synth, note), `oscillator of ${note}`);
+  }
+});
+
+test('released notes fade out and free their voices', async () => {
+  const synth = await createSynth();
+  playMidi(synth, fixtures.majorTriad);
+
+  assert.deepEqual(getSoundingNotes(synth), []);
+  assert.equal(synth.getState().activeVoiceCount, 0);
+  const released = synth.audioContext.oscillators.filter(o => o.stopTime !== null);
+  assert.ok(released.length >= 3);
+  released.forEach(o => close(o.stopTime, 1 + synth.getReleaseTime(), 'stop time'));
+});
+
+test('bass mode: lifting the bass retunes the upper notes to the new bass', async () => {
+  const synth = await createSynth({ referenceMode: 'bass' });
+  const retunes = playMidi(synth, fixtures.bassReleaseUnderDyad);
+
+  assert.equal(synth.getState().referenceNote, 62);
+  assert.deepEqual(retunes.map(r => r.midiNote), [69]);
+  close(getFrequency(synth, 69) / getFrequency(synth, 62), 3 / 2, 'A over D');
+});
+
+test('lattice mode: the harmonic center becomes the reference, not the bass', async () => {
+  const synth = await createSynth({ referenceMode: 'lattice' });
+  playMidi(synth, fixtures.referenceReleaseUnderChord);
+
+  assert.equal(synth.getState().referenceNote, 60);
+  close(getFrequency(synth, 64) / getFrequency(synth, 60), 5 / 4, 'E over C');
+  close(getFrequency(synth, 60) / getFrequency(synth, 55), 4 / 3, 'C over G');
+});
+
+test('bass mode on the same chord follows the lowest note', async () => {
+  const synth = await createSynth({ referenceMode: 'bass' });
+  playMidi(synth, fixtures.referenceReleaseUnderChord);
+
+  assert.equal(synth.getState().referenceNote, 55);
+});
+
+test('random mode: the new reference comes from the engine\'s random source', async () => {
+  const synth = await createSynth({ referenceMode: 'random' });
+  synth.engine.random = () => 0; // Always the first sounding note
+  const retunes = playMidi(synth, fixtures.bassReleaseUnderDyad);
+
+  assert.equal(synth.getState().referenceNote, 62);
+  assert.deepEqual(retunes.map(r => r.midiNote), [69]);
+
+  synth.resetReference();
+  synth.engine.random = () => 0.99; // Always the last sounding note
+  playMidi(synth, fixtures.bassReleaseUnderDyad.slice(0, 3));
+  const a = getFrequency(synth, 69);
+  const [retune] = playMidi(synth, fixtures.bassReleaseUnderDyad.slice(3));
+  assert.equal(synth.getState().referenceNote, 69);
+  assert.equal(retune.midiNote, 62);
+  close(getFrequency(synth, 69), a, 'A4 kept');
+  close(getFrequency(synth, 69) / getFrequency(synth, 62), 3 / 2, 'A over D');
+});
+
+test('static retune mode leaves sounding notes alone', async () => {
+  const synth = await createSynth({ retuneMode: 'static' });
+  playMidi(synth, fixtures.bassReleaseUnderDyad.slice(0, 3));
+  const [voice] = getVoices(synth, 69);
+  const before = voice.oscillator.frequency.events.length;
+  const frequency = getFrequency(synth, 69);
+
+  const retunes = playMidi(synth, fixtures.bassReleaseUnderDyad.slice(3));
+  assert.deepEqual(retunes, []);
+  assert.equal(voice.oscillator.frequency.events.length, before);
+  close(getFrequency(synth, 69), frequency, 'A4');
+});
+
+test('instant retune mode jumps at the moment of release', async () => {
+  const synth = await createSynth({ retuneMode: 'instant' });
+  const [retune] = playMidi(synth, fixtures.bassReleaseUnderDyad);
+  const [voice] = getVoices(synth, 69);
+  const last = voice.oscillator.frequency.events.at(-1);
+
+  assert.equal(last.type, 'setValueAtTime');
+  assert.equal(last.time, 1);
+  close(last.value, retune.newFrequency, 'A4');
+});
+
+test('smooth retune mode glides exponentially over the retune speed', async () => {
+  const synth = await createSynth({ retuneMode: 'smooth', retuneSpeed: 0.5 });
+  playMidi(synth, fixtures.bassReleaseUnderDyad.slice(0, 3));
+  const from = getFrequency(synth, 69);
+
+  const [retune] = playMidi(synth, fixtures.bassReleaseUnderDyad.slice(3));
+  const [voice] = getVoices(synth, 69);
+  const frequency = voice.oscillator.frequency;
+
+  assert.equal(frequency.events.at(-1).type, 'exponentialRampToValueAtTime');
+  close(frequency.getValueAtTime(1), from, 'start of glide');
+  close(frequency.getValueAtTime(1.25), Math.sqrt(from * retune.newFrequency), 'middle of glide');
+  close(frequency.getValueAtTime(1.5), retune.newFrequency, 'end of glide');
+  assert.equal(voice.glideEndTime, 1.5);
+});
+
+test('the ninth note steals the oldest voice', async () => {
+  const synth = await createSynth();
+  playMidi(synth, fixtures.ninthNoteSteals.slice(0, 8));
+  const [oldest] = getVoices(synth, 60);
+
+  playMidi(synth, fixtures.ninthNoteSteals.slice(8));
+  assert.equal(oldest.midiNote, 68);
+  assert.deepEqual(getSoundingNotes(synth), [61, 62, 63, 64, 65, 66, 67, 68]);
+});
+
+test('a retriggered note reuses its voice and is not a steal', async () => {
+  const synth = await createSynth();
+  playMidi(synth, fixtures.majorTriad.slice(0, 3));
+  const [voice] = getVoices(synth, 64);
+
+  const noteInfo = synth.noteOn(64, 90);
+  assert.equal(noteInfo.stolenNote, null);
+  assert.equal(noteInfo.voice, voice);
+  assert.equal(synth.getState().activeVoiceCount, 3);
+});
+
+test('pitch bend moves every voice and is kept when a reference is stored', async () => {
+  const synth = await createSynth();
+  playMidi(synth, [[0, 0x90, 60, 100], [0.1, 0xE0, 0, 0x60]]); // Bend up half way
+  const c = getFrequency(synth, 60);
+  const [voice] = getVoices(synth, 60);
+  close(voice.oscillator.frequency.getFinalValue(), c * Math.pow(2, 100 / 1200), 'bent C');
+
+  playMidi(synth, [[0.2, 0x80, 60, 0]]);
+  close(synth.engine.lastBassFrequency, c * Math.pow(2, 100 / 1200), 'stored C');
+});
+
+// Frequency a voice is sounding, bend included
+const sounding = (synth, note) => getVoices(synth, note)[0].oscillator.frequency.getFinalValue();
+
+test('bending the newest note leaves the rest of the chord in tune', async () => {
+  const synth = await createSynth();
+  synth.setBendTarget('newest');
+  playMidi(synth, [...fixtures.majorTriad.slice(0, 3), [0.5, 0xE0, 0, 0x60]]);
+
+  close(sounding(synth, 67), getFrequency(synth, 67) * Math.pow(2, 100 / 1200), 'G');
+  close(sounding(synth, 60), getFrequency(synth, 60), 'C');
+  close(sounding(synth, 64), getFrequency(synth, 64), 'E');
+
+  playMidi(synth, [[0.6, 0x90, 72, 100]]); // The bend moves on to the new note
+  close(sounding(synth, 72), getFrequency(synth, 72) * Math.pow(2, 100 / 1200), 'C5');
+  close(sounding(synth, 67), getFrequency(synth, 67), 'G let go');
+});
+
+test('bending against the reference keeps the reference where it is', async () => {
+  const synth = await createSynth();
+  synth.setBendTarget('others');
+  playMidi(synth, [...fixtures.majorTriad.slice(0, 3), [0.5, 0xE0, 0, 0x60]]);
+  const c = getFrequency(synth, 60);
+
+  close(sounding(synth, 60), c, 'C');
+  close(sounding(synth, 64), getFrequency(synth, 64) * Math.pow(2, 100 / 1200), 'E');
+  close(sounding(synth, 67), getFrequency(synth, 67) * Math.pow(2, 100 / 1200), 'G');
+
+  playMidi(synth, [[1, 0x80, 60, 0]]);
+  close(synth.engine.lastBassFrequency, c, 'stored C');
+  close(sounding(synth, 64), getFrequency(synth, 64), 'E is the reference now');
+});
+
+test('external synths bend only the notes the bend target picks', async () => {
+  const synth = await createSynth();
+  const mtsSent = [];
+  const mts = new MTSOutput(message => mtsSent.push(message));
+  const mpeSent = [];
+  const mpe = new MPEOutput(message => mpeSent.push(message));
+  synth.onNoteBend = (tunings) => {
+    mts.sendNoteTunings(tunings);
+    tunings.forEach(({ midiNote, frequency }) => mpe.retune(midiNote, frequency));
+  };
+  // Keys retuned by MTS, and channels bent by MPE, since the last check
+  const moved = () => {
+    const keys = mtsSent.flatMap(m => Array.from({ length: m[6] }, (_, i) => m[7 + 4 * i]));
+    const channels = mpeSent.map(m => m[0] & 0x0F);
+    mtsSent.length = 0;
+    mpeSent.length = 0;
+    return { keys, channels };
+  };
+  const channel = note => mpe.notes.get(note).channel;
+
+  synth.setBendTarget('newest');
+  playMidi(synth, fixtures.majorTriad.slice(0, 3));
+  [60, 64, 67].forEach(note => mpe.noteOn(note, getFrequency(synth, note), 100));
+  moved();
+
+  playMidi(synth, [[0.5, 0xE0, 0, 0x60]]);
+  close(mts.mtsToFrequency(mtsSent[0].slice(8, 11)), sounding(synth, 67), 'G retuned', 1e-3);
+  assert.deepEqual(moved(), { keys: [67], channels: [channel(67)] });
+  close(mpe.notes.get(67).frequency, sounding(synth, 67), 'G on its channel');
+
+  synth.setBendTarget('others');
+  assert.deepEqual(moved(), { keys: [64], channels: [channel(64)] }); // E joins G
+  close(mpe.notes.get(64).frequency, getFrequency(synth, 64) * Math.pow(2, 100 / 1200), 'E on its channel');
+
+  playMidi(synth, [[0.6, 0xE0, 0, 0x40]]); // Wheel back to the middle
+  assert.deepEqual(moved(), { keys: [64, 67], channels: [channel(64), channel(67)] });
+  close(mpe.notes.get(67).frequency, getFrequency(synth, 67), 'G back in tune');
+});
+
+test('RPN 0 sets the pitch bend range, in semitones and cents', async () => {
+  const synth = await createSynth();
+  playMidi(synth, [
+    [0, 0x90, 60, 100],
+    [0.1, 0xB0, 101, 0], [0.1, 0xB0, 100, 0], [0.1, 0xB0, 6, 12], [0.1, 0xB0, 38, 50],
+    [0.2, 0xE0, 0, 0x60] // Half way up
+  ]);
+
+  assert.equal(synth.pitchBendRange, 1250);
+  close(sounding(synth, 60), getFrequency(synth, 60) * Math.pow(2, 625 / 1200), 'C');
+});
+
+test('a comma shift follows the retune mode', async () => {
+  const oscillatorAt = (synth, note, time) => getVoices(synth, note)[0].oscillator.frequency.getValueAtTime(time);
+
+  const smooth = await createSynth();
+  smooth.setRetuneMode('smooth');
+  playMidi(smooth, fixtures.majorTriad.slice(0, 3));
+  const e = getFrequency(smooth, 64);
+  smooth.shiftByRatio([80, 81]);
+  close(getFrequency(smooth, 64), e * 80 / 81, 'E tuned');
+  close(oscillatorAt(smooth, 64, 0.2), e, 'E as the glide starts');
+  close(oscillatorAt(smooth, 64, 0.2 + smooth.retuneSpeed), e * 80 / 81, 'E after the glide');
+
+  const still = await createSynth();
+  still.setRetuneMode('static');
+  playMidi(still, fixtures.majorTriad.slice(0, 3));
+  still.shiftByRatio([81, 80]);
+  close(oscillatorAt(still, 64, 0.2), e * 81 / 80, 'E jumps');
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QwertyInput } from '../qwerty-input.js';
+
+// Record what the input sends, in order
+const createInput = () => {
+  const sent = [];
+  const input = new QwertyInput(
+    (note, velocity) => sent.push(['on', note, velocity]),
+    (note) => sent.push(['off', note]),
+    (down) => sent.push(['pedal', down])
+  );
+  return { input, sent };
+};
+
+const key = (code, options = {}) => ({ code, repeat: false, target: null, preventDefault() {}, ...options });
+
+test('keys play notes by position, starting from C4', () => {
+  const { input, sent } = createInput();
+  input.handleKeyDown(key('KeyA'));
+  input.handleKeyDown(key('KeyW'));
+  input.handleKeyDown(key('Quote'));
+  input.handleKeyUp(key('KeyW'));
+
+  assert.deepEqual(sent, [['on', 60, 100], ['on', 61, 100], ['on', 77, 100], ['off', 61]]);
+});
+
+test('auto-repeat and modifier shortcuts do not play notes', () => {
+  const { input, sent } = createInput();
+  input.handleKeyDown(key('KeyA'));
+  input.handleKeyDown(key('KeyA', { repeat: true }));
+  input.handleKeyDown(key('KeyS', { ctrlKey: true }));
+  input.handleKeyDown(key('KeyD', { target: { tagName: 'INPUT' } }));
+
+  assert.deepEqual(sent, [['on', 60, 100]]);
+});
+
+test('octave and velocity keys change the next notes, held notes end where they started', () => {
+  const { input, sent } = createInput();
+  input.handleKeyDown(key('KeyA'));
+  input.handleKeyDown(key('KeyX'));
+  input.handleKeyDown(key('KeyV'));
+  input.handleKeyDown(key('KeyS'));
+  input.handleKeyUp(key('KeyA'));
+
+  assert.deepEqual(sent, [['on', 60, 100], ['on', 74, 120], ['off', 60]]);
+});
+
+test('the octave stays within the MIDI note range', () => {
+  const { input } = createInput();
+  input.setOctave(10);
+  assert.ok(input.baseNote + input.octave * 12 + 17 <= 127);
+  input.setOctave(-10);
+  assert.ok(input.baseNote + input.octave * 12 >= 0);
+});
+
+test('space holds the sustain pedal', () => {
+  const { input, sent } = createInput();
+  input.handleKeyDown(key('Space'));
+  input.handleKeyDown(key('Space', { repeat: true }));
+  input.handleKeyUp(key('Space'));
+
+  assert.deepEqual(sent, [['pedal', true], ['pedal', false]]);
+});
+
+test('losing focus releases held notes and the pedal', () => {
+  const { input, sent } = createInput();
+  input.handleKeyDown(key('Space'));
+  input.handleKeyDown(key('KeyA'));
+  input.handleBlur();
+  input.handleKeyUp(key('KeyA'));
+
+  assert.deepEqual(sent, [['pedal', true], ['on', 60, 100], ['off', 60], ['pedal', false]]);
+});
+
+test('bracket keys shift the tuning by a comma, once per press', () => {
+  const { input } = createInput();
+  const shifts = [];
+  input.onCommaShift = direction => shifts.push(direction);
+  input.handleKeyDown(key('BracketRight'));
+  input.handleKeyDown(key('BracketRight', { repeat: true }));
+  input.handleKeyDown(key('BracketLeft'));
+
+  assert.deepEqual(shifts, [1, -1]);
+});
@@ -0,0 +1,54 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SettingsManager } from '../settings-manager.js';
+
+// Just enough of localStorage for SettingsManager
+beforeEach(() => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+});
+
+test('presets are saved by number without the controller setup', () => {
+  const manager = new SettingsManager();
+  const settings = { ...SettingsManager.getPolyDefaults(), referenceMode: 'lattice', retuneMode: 'smooth', outputMode: 'mts' };
+
+  assert.equal(manager.savePreset(128 + 4, 'Pad', settings), true);
+  const preset = manager.getPreset(132);
+
+  assert.equal(preset.name, 'Pad');
+  assert.equal(preset.settings.referenceMode, 'lattice');
+  assert.equal(preset.settings.retuneMode, 'smooth');
+  assert.equal('outputMode' in preset.settings, false);
+  assert.equal('midiMappings' in preset.settings, false);
+  assert.equal('splitMode' in preset.settings, false);
+  assert.equal(manager.loadSettings(), null); // The current settings are separate
+});
+
+test('presets can be replaced and deleted', () => {
+  const manager = new SettingsManager();
+  manager.savePreset(0, 'Pad', { referenceMode: 'lattice' });
+  manager.savePreset(0, 'Percussive', { referenceMode: 'bass' });
+  manager.savePreset(1, 'Drone', { referenceMode: 'series' });
+
+  assert.equal(manager.getPreset(0).name, 'Percussive');
+  manager.deletePreset(0);
+  assert.equal(manager.getPreset(0), null);
+  assert.deepEqual(Object.keys(manager.loadPresets()), ['1']);
+});
+
+test('preset numbers outside the bank are refused', () => {
+  const manager = new SettingsManager();
+  assert.equal(manager.savePreset(-1, 'Nope', {}), false);
+  assert.equal(manager.savePreset(1.5, 'Nope', {}), false);
+  assert.deepEqual(manager.loadPresets(), {});
+});
+
+test('preset numbers are named as a controller shows them', () => {
+  assert.equal(SettingsManager.describePreset(0), 'Program 1');
+  assert.equal(SettingsManager.describePreset(127), 'Program 128');
+  assert.equal(SettingsManager.describePreset(2 * 128 + 4), 'Bank 2, Program 5');
+});
@@ -0,0 +1,232 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSynth, playMidi, getVoices, getFrequency, getSoundingNotes } from './helpers/midi-rig.js';
+import { close } from './helpers/assertions.js';
+import * as fixtures from './fixtures/midi-sequences.js';
+
+// Play the part of a fixture from one time up to (not including) another
+const playBetween = (synth, fixture, from, to = Infinity) =>
+  playMidi(synth, fixture.filter(([time]) => time >= from && time < to));
+
+test('a bass let go under the pedal stays the reference until the pedal lifts', async () => {
+  const synth = await createSynth();
+  const duringPedal = playBetween(synth, fixtures.sustainedBassRelease, 0, 1);
+
+  assert.deepEqual(duringPedal, []);
+  assert.deepEqual(getSoundingNotes(synth), [48, 62, 69]);
+  assert.equal(synth.getState().referenceNote, 48);
+
+  const atPedalUp = playBetween(synth, fixtures.sustainedBassRelease, 1);
+  assert.deepEqual(getSoundingNotes(synth), [62, 69]);
+  assert.equal(synth.getState().referenceNote, 62);
+  assert.deepEqual(atPedalUp.map(r => [r.time, r.midiNote]), [[1, 69]]);
+  close(getFrequency(synth, 69) / getFrequency(synth, 62), 3 / 2, 'A over D');
+});
+
+test('the pedal does not change which frequencies are chosen', async () => {
+  const withPedal = await createSynth();
+  playMidi(withPedal, fixtures.sustainedBassRelease);
+  const withoutPedal = await createSynth();
+  playMidi(withoutPedal, fixtures.bassReleaseUnderDyad);
+
+  for (const note of [62, 69]) {
+    close(getFrequency(withPedal, note), getFrequency(withoutPedal, note), `note ${note}`);
+  }
+});
+
+test('a key still held when the pedal lifts keeps sounding', async () => {
+  const synth = await createSynth();
+  playBetween(synth, fixtures.keyHeldThroughPedalUp, 0, 2);
+
+  assert.deepEqual(getSoundingNotes(synth), [60]);
+  assert.equal(synth.sustainedNotes.size, 0);
+
+  playBetween(synth, fixtures.keyHeldThroughPedalUp, 2);
+  assert.deepEqual(getSoundingNotes(synth), []);
+});
+
+test('a note struck again under the pedal keeps its voice and its tuning', async () => {
+  const synth = await createSynth();
+  playBetween(synth, fixtures.restruckUnderPedal, 0, 0.5);
+  const [voice] = getVoices(synth, 60);
+  const frequency = getFrequency(synth, 60);
+
+  playBetween(synth, fixtures.restruckUnderPedal, 0.5, 2);
+  assert.deepEqual(getVoices(synth, 60), [voice]);
+  close(getFrequency(synth, 60), frequency, 'C4');
+
+  playBetween(synth, fixtures.restruckUnderPedal, 2);
+  assert.deepEqual(getSoundingNotes(synth), []);
+});
+
+test('repeated pedal messages and velocity 0 note ons are handled like single events', async () => {
+  const synth = await createSynth();
+  playBetween(synth, fixtures.repeatedPedalMessages, 0, 1);
+
+  assert.equal(synth.sustainPedalDown, true);
+  assert.deepEqual(getSoundingNotes(synth), [60]);
+  assert.deepEqual(Array.from(synth.sustainedNotes), [60]);
+
+  playBetween(synth, fixtures.repeatedPedalMessages, 1);
+  assert.equal(synth.sustainPedalDown, false);
+  assert.deepEqual(getSoundingNotes(synth), []);
+});
+
+test('the shared key and pedal handling reports only pedal changes and the notes they let go', async () => {
+  const synth = await createSynth();
+  synth.keysHeldDown.add(48);
+  synth.noteOn(48, 100);
+  synth.keysHeldDown.add(62);
+  synth.noteOn(62, 100);
+  synth.keysHeldDown.add(69);
+  synth.noteOn(69, 100);
+
+  assert.deepEqual(synth.setSustainPedal(true), { releasedNotes: [], retunedNotes: [] });
+  assert.equal(synth.setSustainPedal(true), null);
+  assert.equal(synth.releaseKey(48), null);
+  assert.equal(synth.releaseKey(62), null);
+  assert.deepEqual(getSoundingNotes(synth), [48, 62, 69]);
+
+  synth.keysHeldDown.add(62); // Struck again before the pedal lifts
+  const { releasedNotes, retunedNotes } = synth.setSustainPedal(false);
+  assert.deepEqual(releasedNotes, [48]);
+  assert.deepEqual(retunedNotes.map(r => r.midiNote), [69]);
+  assert.equal(synth.setSustainPedal(false), null);
+
+  const release = synth.releaseKey(62);
+  assert.deepEqual(release.retunedNotes, []);
+  assert.equal(synth.releaseKey(62), null);
+  assert.deepEqual(getSoundingNotes(synth), [69]);
+});
+
+test('the sostenuto pedal reports the notes it let go', async () => {
+  const synth = await createSynth();
+  synth.noteOn(48, 100);
+  synth.noteOn(62, 100);
+
+  synth.setSostenutoPedal(true);
+  assert.equal(synth.setSostenutoPedal(true), null);
+  assert.equal(synth.releaseKey(48), null);
+  synth.keysHeldDown.add(62);
+
+  const { releasedNotes } = synth.setSostenutoPedal(false);
+  assert.deepEqual(releasedNotes, [48]);
+  assert.deepEqual(getSoundingNotes(synth), [62]);
+});
+
+test('lifting the pedal with nothing sustained changes nothing', async () => {
+  const synth = await createSynth();
+  playMidi(synth, fixtures.majorTriad.slice(0, 3));
+  const frequencies = [60, 64, 67].map(note => getFrequency(synth, note));
+
+  const retunes = playMidi(synth, [[0.5, 0xB0, 64, 127], [0.6, 0xB0, 64, 0]]);
+  assert.deepEqual(retunes, []);
+  assert.deepEqual([60, 64, 67].map(note => getFrequency(synth, note)), frequencies);
+});
+
+test('a sustained voice that was stolen is not released again at pedal up', async () => {
+  const synth = await createSynth({ polyphony: 2 });
+  playMidi(synth, [
+    [0, 0xB0, 64, 127],
+    [0.1, 0x90, 60, 100], [0.2, 0x80, 60, 0], // C4 sustained
+    [0.3, 0x90, 64, 100],
+    [0.4, 0x90, 67, 100] // Steals C4's voice
+  ]);
+  assert.deepEqual(getSoundingNotes(synth), [64, 67]);
+
+  playMidi(synth, [[1, 0xB0, 64, 0]]);
+  assert.deepEqual(getSoundingNotes(synth), [64, 67]);
+});
+
+test('sostenuto holds only the notes sounding when it went down', async () => {
+  const synth = await createSynth();
+  playMidi(synth, [
+    [0, 0x90, 48, 100],
+    [0.1, 0xB0, 66, 127], // C3 held
+    [0.2, 0x80, 48, 0],
+    [0.3, 0x90, 64, 100],
+    [0.4, 0x80, 64, 0] // Struck after the pedal, so it ends
+  ]);
+  assert.deepEqual(getSoundingNotes(synth), [48]);
+
+  playMidi(synth, [[0.5, 0xB0, 66, 0]]);
+  assert.deepEqual(getSoundingNotes(synth), []);
+});
+
+test('a reference held by sostenuto stays the reference through the sustain pedal', async () => {
+  const synth = await createSynth();
+  playMidi(synth, [
+    [0, 0x90, 48, 100],
+    [0, 0x90, 62, 100],
+    [0.1, 0xB0, 66, 127],
+    [0.2, 0xB0, 64, 127],
+    [0.3, 0x80, 48, 0],
+    [0.3, 0x90, 69, 100],
+    [0.4, 0x80, 69, 0]
+  ]);
+  const retunes = playMidi(synth, [[0.5, 0xB0, 64, 0]]);
+
+  assert.deepEqual(retunes, []);
+  assert.deepEqual(getSoundingNotes(synth), [48, 62]);
+  assert.equal(synth.getState().referenceNote, 48);
+
+  const atSostenutoUp = playMidi(synth, [[1, 0xB0, 66, 0]]);
+  assert.deepEqual(getSoundingNotes(synth), [62]);
+  assert.equal(synth.getState().referenceNote, 62);
+  assert.deepEqual(atSostenutoUp, []); // D is the new reference, nothing else sounds
+});
+
+test('the sustain pedal takes over notes when sostenuto lifts first', async () => {
+  const synth = await createSynth();
+  playMidi(synth, [
+    [0, 0x90, 60, 100],
+    [0.1, 0xB0, 66, 127],
+    [0.2, 0xB0, 64, 127],
+    [0.3, 0x80, 60, 0],
+    [0.4, 0xB0, 66, 0]
+  ]);
+  assert.deepEqual(getSoundingNotes(synth), [60]);
+  assert.deepEqual(Array.from(synth.sustainedNotes), [60]);
+
+  playMidi(synth, [[0.5, 0xB0, 64, 0]]);
+  assert.deepEqual(getSoundingNotes(synth), []);
+});
+
+test('the soft pedal darkens and softens only notes struck while it is down', async () => {
+  const synth = await createSynth();
+  playMidi(synth, [
+    [0, 0x90, 60, 100],
+    [0.1, 0xB0, 67, 127],
+    [0.2, 0x90, 64, 100],
+    [0.3, 0xB0, 67, 0],
+    [0.4, 0x90, 67, 100]
+  ]);
+  const startFilter = note => getVoices(synth, note)[0].filter.frequency.events[0].value;
+  const peakGain = note => getVoices(synth, note)[0].gainEnvelope.gain.events[1].value;
+
+  close(startFilter(64), startFilter(60) / 2, 'filter');
+  close(peakGain(64), Math.round(100 * 0.7) / 127 * 0.6, 'velocity');
+  assert.equal(startFilter(67), startFilter(60));
+  assert.equal(peakGain(67), peakGain(60));
+});
+
+test('half-pedaling shortens and lengthens release tails without holding notes', async () => {
+  const releaseEnd = async (pedalValue) => {
+    const synth = await createSynth();
+    playMidi(synth, [[0, 0x90, 60, 100], [0.1, 0xB0, 64, pedalValue]]);
+    const [voice] = getVoices(synth, 60);
+    const gain = voice.gainEnvelope.gain;
+    playMidi(synth, [[1, 0x80, 60, 0]]);
+    assert.deepEqual(getSoundingNotes(synth), []);
+    return gain.events.at(-1).time - 1;
+  };
+
+  // The tail runs from half the release time (0.3 s) to five times it, in equal ratios
+  const expected = value => 0.3 * 0.5 * Math.pow(10, value / 127 / 0.5);
+  const up = await releaseEnd(0);
+  close(up, 0.15, 'pedal up');
+  const quarter = await releaseEnd(32);
+  close(quarter, expected(32), 'quarter pedal');
+  assert.ok(quarter > 0.3, 'quarter pedal rings longer than the release time');
+  close(await releaseEnd(63), expected(63), 'just short of holding');
+});
@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TuningEngine } from '../tuning-engine.js';
+import { close } from './helpers/assertions.js';
+
+test('the first note is 12-TET and later notes are just intervals from the bass', () => {
+  const engine = new TuningEngine();
+  const c = engine.noteOn(60);
+  const e = engine.noteOn(64);
+  const g = engine.noteOn(67);
+
+  close(c.frequency, 440 * Math.pow(2, -9 / 12), 'C4');
+  close(e.frequency / c.frequency, 5 / 4, 'E over C');
+  close(g.frequency / c.frequency, 3 / 2, 'G over C');
+  assert.equal(e.intervalInfo.ratio, '5:4');
+  assert.equal(engine.getState().referenceNote, 60);
+});
+
+test('releasing the bass stores it and retunes the remaining notes to the new bass', () => {
+  const engine = new TuningEngine();
+  const c = engine.noteOn(48);
+  const d = engine.noteOn(62);
+  engine.noteOn(69);
+
+  const { released, retunes } = engine.noteOff(48);
+  assert.deepEqual(released, [0]);
+  assert.deepEqual(retunes.map(r => r.midiNote), [69]);
+  close(retunes[0].frequency / d.frequency, 3 / 2, 'A over D');
+  assert.equal(engine.lastBassMidiNote, 48);
+  close(engine.lastBassFrequency, c.frequency, 'stored reference');
+  assert.equal(engine.getState().referenceNote, 62);
+});
+
+test('retune can be turned off for a release', () => {
+  const engine = new TuningEngine();
+  engine.noteOn(48);
+  engine.noteOn(62);
+  const a = engine.noteOn(69);
+
+  const { retunes } = engine.noteOff(48, null, false);
+  assert.deepEqual(retunes, []);
+  close(engine.notes[a.slot].frequency, a.frequency, 'A4 unchanged');
+});
+
+test('a new phrase starts from the stored reference', () => {
+  const engine = new TuningEngine();
+  const c = engine.noteOn(60);
+  engine.noteOff(60);
+
+  const g = engine.noteOn(67);
+  assert.equal(g.usedStoredReference, true);
+  close(g.frequency / c.frequency, 3 / 2, 'G from stored C');
+});
+
+test('a reference released while bent is stored at its bent pitch', () => {
+  const engine = new TuningEngine();
+  const c = engine.noteOn(60);
+  engine.setPitchBend(100);
+  engine.noteOff(60);
+
+  close(engine.lastBassFrequency, c.frequency * Math.pow(2, 100 / 1200), 'stored bent C');
+  assert.equal(engine.lastBassPosition, null);
+});
+
+test('a reference the bend target leaves alone is stored at its own pitch', () => {
+  const engine = new TuningEngine();
+  engine.setBendTarget('others');
+  const c = engine.noteOn(60);
+  engine.noteOn(64);
+  engine.setPitchBend(100);
+
+  assert.equal(engine.getBendCents(c.slot), 0);
+  engine.noteOff(60);
+  close(engine.lastBassFrequency, c.frequency, 'stored C');
+  assert.notEqual(engine.lastBassPosition, null);
+});
+
+test('random mode keeps its reference until it is released', () => {
+  const engine = new TuningEngine();
+  engine.setReferenceMode('random');
+  engine.random = () => 0.99; // Always the last sounding note
+
+  engine.noteOn(60);
+  engine.noteOn(64);
+  engine.noteOn(67);
+  assert.equal(engine.getState().referenceNote, 60);
+
+  engine.noteOff(60);
+  assert.equal(engine.getState().referenceNote, 67);
+});
+
+test('lattice mode picks the harmonic center when the reference is released', () => {
+  const engine = new TuningEngine();
+  engine.setReferenceMode('lattice');
+  [45, 55, 60, 64].forEach(note => engine.noteOn(note));
+
+  engine.noteOff(45);
+  assert.equal(engine.getState().referenceNote, 60);
+});
+
+test('context mode keeps its candidate choice when the remaining notes are retuned', () => {
+  const engine = new TuningEngine();
+  engine.setReferenceMode('context');
+  engine.noteOn(48);
+  const cSharp = engine.noteOn(61);
+  const d = engine.noteOn(62);
+  const g = engine.noteOn(67);
+
+  // From C# the main ratio would move D to 16:15; 135:128 leaves it in tune with G
+  const { retunes } = engine.noteOff(48);
+  assert.deepEqual(retunes.map(r => r.midiNote), [62, 67]);
+  close(retunes[0].frequency / cSharp.frequency, 135 / 128, 'D over C#');
+  close(retunes[0].frequency, d.frequency, 'D4 unmoved');
+  close(retunes[1].frequency, g.frequency, 'G4 unmoved');
+});
+
+test('series mode snaps notes to harmonics of the first note', () => {
+  const engine = new TuningEngine();
+  engine.setReferenceMode('series');
+  const fundamental = engine.noteOn(36);
+  const seventh = engine.noteOn(70);
+
+  assert.equal(seventh.harmonic, 7);
+  close(seventh.frequency, fundamental.frequency * 7, '7th harmonic');
+});
+
+test('the oldest note is stolen when every slot is busy', () => {
+  const engine = new TuningEngine(2);
+  engine.noteOn(60);
+  engine.noteOn(64);
+
+  const decision = engine.noteOn(67);
+  assert.equal(decision.stolenNote, 60);
+  assert.equal(decision.slot, 0);
+});
+
+test('reset starts a new session', () => {
+  const engine = new TuningEngine();
+  engine.noteOn(62);
+  engine.noteOff(62);
+  engine.reset();
+
+  const c = engine.noteOn(60);
+  assert.equal(c.usedStoredReference, false);
+  assert.equal(engine.getState().initialReference.midiNote, 60);
+});
+
+test('a comma shift moves the notes and the stored reference without counting as drift', () => {
+  const engine = new TuningEngine();
+  const c = engine.noteOn(60);
+  const e = engine.noteOn(64);
+  const retunes = engine.shiftByRatio([81, 80]);
+
+  assert.deepEqual(retunes.map(r => r.midiNote), [60, 64]);
+  close(retunes[1].frequency, e.frequency * 81 / 80, 'E');
+  const state = engine.getState();
+  assert.equal(state.commaShift, '81/80');
+  assert.equal(state.referenceDrift.ratio, '1/1');
+
+  engine.noteOff(60);
+  engine.noteOff(64);
+  close(engine.lastBassFrequency, e.frequency * 81 / 80, 'stored E');
+  const g = engine.noteOn(67);
+  close(g.frequency / c.frequency, (5 / 4) * (6 / 5) * (81 / 80), 'G from the shifted E');
+});
+
+test('drift correction leaves a comma shift in place', () => {
+  const engine = new TuningEngine();
+  engine.setDriftCorrectionMode('sustained');
+  engine.noteOn(60);
+  engine.shiftByRatio([80, 81]);
+
+  close(engine.getAnchorOffset(), 0, 'offset');
+  assert.equal(engine.stepDriftCorrection(1), null);
+});
+
+test('a comma shift must be a ratio of positive whole numbers', () => {
+  const engine = new TuningEngine();
+  engine.noteOn(60);
+  assert.equal(engine.shiftByRatio([81, 0]), null);
+  assert.equal(engine.shiftByRatio([1.5, 1]), null);
+  assert.equal(engine.getState().commaShift, '1/1');
+});
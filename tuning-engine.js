@@ -0,0 +1,1052 @@
+import { JustIntervals } from './just-intervals.js';
+import { EdoTemperament } from './edo-temperament.js';
+
+// Which notes the pitch wheel bends: 'chord' (all of them), 'newest' (the last one
+// played) or 'others' (all but the reference, to slide an interval against it)
+export const BEND_TARGETS = ['chord', 'newest', 'others'];
+
+/**
+ * TuningEngine - Reference selection and tuning decisions, with no audio or DOM
+ * Takes note on/off events and returns the frequency chosen for each note and any
+ * retunes that follow. PolySynth drives its voices from it; Node scripts can use it
+ * directly for analysis and tests.
+ *
+ * Notes live in a fixed pool of slots (one per voice), so slot i always means voice i.
+ */
+
+export class TuningEngine {
+  constructor(polyphony = 8) {
+    this.justIntervals = new JustIntervals();
+    this.edo = new EdoTemperament(this.justIntervals); // Inactive until an EDO is chosen
+    this.random = Math.random; // Used by 'random' mode; replace for repeatable results
+
+    // Note slots - what each voice is playing and how it is tuned
+    this.notes = Array.from({ length: polyphony }, () => ({
+      isActive: false,
+      midiNote: null,
+      frequency: null,
+      position: null, // Exact monzo relative to the session's initial reference (null if not rational)
+      harmonic: null, // Harmonic number in 'series' mode (null otherwise)
+      harmonicDirection: null, // 'otonal' or 'utonal' in 'series' mode
+      order: 0 // When the note started (for stealing the oldest)
+    }));
+    this.noteCount = 0;
+
+    // Pitch bend, in cents (a bent reference is stored with its bend on release)
+    this.bendCents = 0;
+    this.bendTarget = 'chord'; // One of BEND_TARGETS
+
+    // Last audible bass (used as reference for next note)
+    this.lastBassFrequency = null;
+    this.lastBassMidiNote = null;
+    this.lastBassPosition = null;
+
+    // First note of the session - every note position is an exact ratio from it
+    this.initialReference = null; // { midiNote, frequency }
+
+    // Reference mode and tracking
+    this.referenceMode = 'bass'; // 'bass', 'random', 'lattice', 'context' or 'series'
+    this.currentReferenceNote = null; // For random/lattice mode: sticky reference
+
+    // Context mode: distance charged for an interval that is not a simple fraction
+    this.contextImpureDistance = 12;
+
+    // Series mode: notes snap to harmonics (or subharmonics) of a fixed fundamental
+    this.seriesFundamental = null; // { midiNote, frequency, position, source: 'played' | 'chosen' }
+    this.seriesDirection = 'otonal'; // 'otonal' (harmonics) or 'utonal' (subharmonics)
+    this.seriesLimit = 32; // Highest harmonic number used
+
+    // Drift correction: move all notes together back toward the anchor
+    this.driftCorrectionMode = 'off'; // 'off', 'sustained' (while notes sound) or 'silent' (only between notes)
+    this.driftCorrectionRate = 2; // cents per second
+    this.driftAnchorFrequency = null; // A4 of the 12-TET anchor in Hz (null = the tuning system's own start pitch)
+    this.driftCorrectionCents = 0; // Total correction applied this session
+
+    // Comma shifts: deliberate transpositions of everything sounding, kept apart from drift
+    this.commaShift = {}; // Monzo of every shift this session
+  }
+
+  /**
+   * Notes that are currently sounding
+   */
+  getActiveNotes() {
+    return this.notes.filter(n => n.isActive);
+  }
+
+  /**
+   * Get the lowest currently active note (bass note)
+   */
+  getLowestActiveNote() {
+    const activeNotes = this.getActiveNotes();
+    if (activeNotes.length === 0) return null;
+
+    return activeNotes.reduce((lowest, n) =>
+      n.midiNote < lowest.midiNote ? n : lowest
+    );
+  }
+
+  /**
+   * Get the reference note based on current reference mode
+   * Returns the note slot that other notes should tune relative to
+   */
+  getReferenceNote() {
+    if (this.referenceMode === 'bass' || this.referenceMode === 'context') {
+      // Context mode measures candidates from the bass but scores them against every note
+      return this.getLowestActiveNote();
+    } else if (this.referenceMode === 'random') {
+      // If we have a current reference and it's still active, keep it
+      if (this.currentReferenceNote && this.currentReferenceNote.isActive) {
+        return this.currentReferenceNote;
+      }
+
+      // Otherwise, select a new random reference from active notes
+      const activeNotes = this.getActiveNotes();
+      if (activeNotes.length === 0) {
+        this.currentReferenceNote = null;
+        return null;
+      }
+
+      // Pick a random note
+      const randomIndex = Math.floor(this.random() * activeNotes.length);
+      this.currentReferenceNote = activeNotes[randomIndex];
+      console.log(`Selected new random reference: ${this.justIntervals.getMidiNoteName(this.currentReferenceNote.midiNote)}`);
+      return this.currentReferenceNote;
+    } else if (this.referenceMode === 'series') {
+      // The fundamental is fixed - it is only a note while someone plays it
+      return this.notes.find(n => n.isActive && n.harmonic === 1) || null;
+    } else if (this.referenceMode === 'lattice') {
+      // If we have a current reference and it's still active, keep it (sticky)
+      if (this.currentReferenceNote && this.currentReferenceNote.isActive) {
+        return this.currentReferenceNote;
+      }
+
+      // Otherwise, find the harmonic center
+      const harmonicCenter = this.findHarmonicCenter();
+      this.currentReferenceNote = harmonicCenter;
+      if (harmonicCenter) {
+        console.log(`Selected harmonic center: ${this.justIntervals.getMidiNoteName(harmonicCenter.midiNote)}`);
+      }
+      return harmonicCenter;
+    }
+
+    return this.getLowestActiveNote(); // Fallback
+  }
+
+  /**
+   * Find the harmonic center - the note with strongest harmonic relationships
+   * to all other active notes (Tonnetz-inspired algorithm)
+   */
+  findHarmonicCenter() {
+    const activeNotes = this.getActiveNotes();
+    if (activeNotes.length === 0) return null;
+    if (activeNotes.length === 1) return activeNotes[0];
+
+    let bestNote = null;
+    let bestScore = -Infinity;
+
+    // For each note, calculate its harmonic "consonance score"
+    for (const candidate of activeNotes) {
+      let score = 0;
+
+      // Score based on harmonic relationships to all other notes
+      for (const other of activeNotes) {
+        if (candidate === other) continue;
+
+        // Calculate interval from candidate to other
+        const interval = other.midiNote - candidate.midiNote;
+
+        // Add consonance score for this interval
+        score += this.getConsonanceScore(interval);
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestNote = candidate;
+      }
+    }
+
+    return bestNote;
+  }
+
+  /**
+   * Get consonance score for an interval
+   * Higher scores = more consonant = better reference candidates
+   * Based on simple just intonation ratios
+   */
+  getConsonanceScore(interval) {
+    // Normalize to octave (0-11)
+    const mod12 = ((interval % 12) + 12) % 12;
+
+    // Score based on consonance hierarchy
+    // Perfect consonances score highest, then imperfect, then dissonances
+    const scores = {
+      0: 10,   // Unison/Octave (1:1, 2:1) - perfect
+      7: 9,    // Perfect fifth (3:2) - perfect
+      5: 8,    // Perfect fourth (4:3) - perfect
+      4: 7,    // Major third (5:4) - imperfect consonance
+      3: 7,    // Minor third (6:5) - imperfect consonance
+      9: 6,    // Major sixth (5:3) - imperfect consonance
+      8: 6,    // Minor sixth (8:5) - imperfect consonance
+      2: 3,    // Major second (9:8) - mild dissonance
+      10: 3,   // Minor seventh (9:5) - mild dissonance
+      11: 2,   // Major seventh (15:8) - dissonance
+      1: 1,    // Minor second (16:15) - dissonance
+      6: 1     // Tritone (45:32 or 64:45) - dissonance
+    };
+
+    return scores[mod12] || 0;
+  }
+
+  /**
+   * Set reference mode: 'bass', 'random', 'lattice', 'context' or 'series'
+   */
+  setReferenceMode(mode) {
+    if (mode === 'harmonic') {
+      mode = 'lattice'; // Name used by older saved settings
+    }
+
+    const modes = ['bass', 'random', 'lattice', 'context', 'series'];
+    if (!modes.includes(mode)) {
+      console.warn(`Invalid reference mode: ${mode}. Using 'bass'.`);
+      mode = 'bass';
+    }
+
+    // Entering series mode: the next note played fixes the fundamental, unless one was chosen
+    if (mode === 'series' && this.referenceMode !== 'series' &&
+        this.seriesFundamental && this.seriesFundamental.source === 'played') {
+      this.seriesFundamental = null;
+    }
+
+    this.referenceMode = mode;
+
+    // Clear current reference when switching modes
+    this.currentReferenceNote = null;
+
+    console.log(`Reference mode set to: ${mode}`);
+  }
+
+  /**
+   * Fix the fundamental for series mode
+   * @param {number|null} frequency - Fundamental in Hz, or null to let the next note played fix it
+   */
+  setSeriesFundamental(frequency) {
+    if (frequency === null) {
+      this.seriesFundamental = null;
+      console.log('Series fundamental: next note played');
+      return;
+    }
+
+    if (!(Number.isFinite(frequency) && frequency > 0)) {
+      console.warn(`Invalid series fundamental: ${frequency}. The next note played will fix it.`);
+      this.seriesFundamental = null;
+      return;
+    }
+
+    // Keys are read relative to the nearest 12-TET key
+    const midiNote = Math.round(69 + 12 * Math.log2(frequency / 440));
+
+    // A chosen fundamental starts the session if nothing has been played yet
+    let position = null;
+    if (!this.initialReference) {
+      this.initialReference = { midiNote, frequency };
+      position = {};
+    }
+
+    this.seriesFundamental = { midiNote, frequency, position, source: 'chosen' };
+    console.log(`Series fundamental: ${frequency.toFixed(2)} Hz (near ${this.justIntervals.getMidiNoteName(midiNote)})`);
+  }
+
+  /**
+   * Set whether series mode uses harmonics ('otonal') or subharmonics ('utonal')
+   */
+  setSeriesDirection(direction) {
+    if (direction !== 'otonal' && direction !== 'utonal') {
+      console.warn(`Invalid series direction: ${direction}. Using 'otonal'.`);
+      direction = 'otonal';
+    }
+    this.seriesDirection = direction;
+  }
+
+  /**
+   * Set the highest harmonic number series mode snaps to
+   */
+  setSeriesLimit(limit) {
+    this.seriesLimit = Math.max(1, Math.round(limit));
+  }
+
+  /**
+   * Find the harmonic (or subharmonic) of the fundamental nearest a key
+   * Keys are read as 12-TET pitches relative to the fundamental's key
+   * @param {number} midiNote - The note being played
+   * @returns {Object} { harmonic, frequency }
+   */
+  getNearestHarmonic(midiNote) {
+    const fundamental = this.seriesFundamental;
+    const nominal = Math.pow(2, (midiNote - fundamental.midiNote) / 12);
+    const target = this.seriesDirection === 'otonal' ? nominal : 1 / nominal;
+
+    // Nearest on a log scale, so compare the whole numbers either side
+    const candidates = [Math.floor(target), Math.ceil(target)]
+      .map(n => Math.max(1, Math.min(this.seriesLimit, n)));
+    const harmonic = candidates.reduce((best, n) =>
+      Math.abs(Math.log2(n / target)) < Math.abs(Math.log2(best / target)) ? n : best
+    );
+
+    const frequency = this.seriesDirection === 'otonal' ?
+      fundamental.frequency * harmonic :
+      fundamental.frequency / harmonic;
+
+    return { harmonic, frequency };
+  }
+
+  /**
+   * Choose the candidate ratio for a new note that best agrees with every active note
+   * Used in 'context' mode: each candidate's score is the sum of its harmonic distances
+   * (3-5-7 lattice) to all sounding notes, so a D over C can become 10:9 when F and A sound
+   * @param {number} midiNote - The note being played
+   * @param {Object} referenceNote - Note slot the candidates are measured from
+   * @returns {Object} { interval, chosen, candidates, reason }
+   */
+  chooseContextualRatio(midiNote, referenceNote) {
+    const interval = this.justIntervals.getInterval(referenceNote.midiNote, midiNote);
+    const candidates = this.justIntervals.getCandidateRatios(interval);
+
+    // A retriggered note replaces its own slot, so it does not count as context
+    const contextNotes = this.notes.filter(n => n.isActive && n.midiNote !== midiNote);
+
+    const scored = candidates.map(candidate => {
+      const frequency = referenceNote.frequency * candidate.value;
+      const distances = contextNotes.map(n => {
+        const distance = this.justIntervals.getHarmonicDistanceBetween(frequency, n.frequency);
+        return {
+          midiNote: n.midiNote,
+          distance: distance === null ? this.contextImpureDistance : distance
+        };
+      });
+      const totalDistance = distances.reduce((sum, d) => sum + d.distance, 0);
+
+      return { ...candidate, frequency, distance: totalDistance, distances };
+    });
+
+    // Ties keep the tuning system's main ratio, which comes first
+    const chosen = scored.reduce((best, c) => c.distance < best.distance - 1e-9 ? c : best);
+
+    let reason;
+    if (scored.length === 1) {
+      reason = 'only candidate';
+    } else {
+      const noteNames = contextNotes.map(n => this.justIntervals.getMidiNoteName(n.midiNote)).join(', ');
+      const rejected = scored
+        .filter(c => c !== chosen)
+        .map(c => `${c.ratioString} (${c.distance.toFixed(1)})`)
+        .join(', ');
+      reason = `closest to ${noteNames}: distance ${chosen.distance.toFixed(1)} vs ${rejected}`;
+    }
+
+    return { interval, chosen, candidates: scored, reason };
+  }
+
+  /**
+   * Exact position of a note tuned from a reference
+   * @param {Object|null} referencePosition - Monzo of the reference
+   * @param {Array|null} fraction - Exact interval from the reference
+   * @returns {Object|null} Monzo, or null if either side is not exact
+   */
+  getPositionFromReference(referencePosition, fraction) {
+    if (!referencePosition || !fraction) return null;
+    return this.justIntervals.multiplyMonzos(referencePosition, this.justIntervals.ratioToMonzo(fraction));
+  }
+
+  /**
+   * Exact drift of the current reference: its position divided by the interval the
+   * tuning table gives from the initial reference's key (81/80 after a syntonic comma pump)
+   * @returns {Object|null} { monzo, ratio, cents }, or null if not exact
+   */
+  getReferenceDrift() {
+    const referenceNote = this.getReferenceNote();
+    if (!referenceNote || !referenceNote.position || !this.initialReference) return null;
+
+    const interval = this.justIntervals.getInterval(this.initialReference.midiNote, referenceNote.midiNote);
+    const expected = interval === null ? null : this.justIntervals.getIntervalFraction(interval);
+    if (!expected) return null;
+
+    const shifted = this.justIntervals.multiplyMonzos(this.justIntervals.ratioToMonzo(expected), this.commaShift);
+    const monzo = this.justIntervals.divideMonzos(referenceNote.position, shifted);
+    return {
+      monzo,
+      ratio: this.justIntervals.formatMonzo(monzo),
+      cents: this.justIntervals.monzoToCents(monzo)
+    };
+  }
+
+  /**
+   * Set the tuning system used for reference-relative intervals
+   * Applies to notes played (and retuned) from now on
+   * @param {string} id - Id of a registered tuning system
+   */
+  setTuningSystem(id) {
+    this.justIntervals.setTuningSystem(id);
+    console.log(`Tuning system set to: ${this.justIntervals.getTuningSystem()}`);
+  }
+
+  /**
+   * Play intervals as the nearest step of an N-EDO instead of exact ratios
+   * Applies to notes played (and retuned) from now on
+   * @param {number|null} divisions - Steps per octave (e.g. 53), or null for just intonation
+   */
+  setEdo(divisions) {
+    this.edo.setDivisions(divisions);
+    console.log(`Tuning: ${this.edo.isActive() ? `${this.edo.divisions}-EDO` : 'just intonation'}`);
+  }
+
+  /**
+   * Set how keys map onto EDO steps: 'nearest' (step nearest the just ratio) or 'steps' (one key per step)
+   */
+  setEdoMapping(mapping) {
+    this.edo.setMapping(mapping);
+    console.log(`EDO keyboard mapping: ${this.edo.mapping}`);
+  }
+
+  /**
+   * Frequency of a key tuned from a reference, in just intonation or the active EDO
+   * @returns {number|null} Frequency (Hz), or null if a key is unmapped
+   */
+  getTunedFrequency(referenceFreq, referenceMidi, targetMidi) {
+    if (this.edo.isActive()) {
+      return this.edo.getFrequency(referenceFreq, referenceMidi, targetMidi);
+    }
+    return this.justIntervals.getJustFrequency(referenceFreq, referenceMidi, targetMidi);
+  }
+
+  /**
+   * Describe the interval between two keys for display
+   * Under an EDO the ratio reads as steps and the just ratio they approximate (e.g. "17\53 ≈ 5:4")
+   * @returns {Object} { interval, ratio, name, edoSteps } where edoSteps is null in just intonation
+   */
+  describeInterval(referenceMidi, targetMidi) {
+    let interval = this.justIntervals.getInterval(referenceMidi, targetMidi);
+    if (!this.edo.isActive()) {
+      return {
+        interval,
+        ratio: this.justIntervals.getRatioString(interval),
+        name: this.justIntervals.getIntervalName(interval),
+        edoSteps: null
+      };
+    }
+
+    const edoSteps = this.edo.getSteps(referenceMidi, targetMidi);
+    if (this.edo.mapping === 'steps') {
+      // Keys no longer follow the tuning system, so name the interval the steps approximate
+      interval = this.edo.getApproximatedRatio(edoSteps).interval;
+    }
+    return {
+      interval,
+      ratio: `${this.edo.formatSteps(edoSteps)} ≈ ${this.justIntervals.getRatioString(interval)}`,
+      name: this.justIntervals.getIntervalName(interval),
+      edoSteps
+    };
+  }
+
+  /**
+   * Exact fraction for an interval, or null when it is tempered (or unmapped)
+   */
+  getExactFraction(interval) {
+    if (this.edo.isActive() || interval === null) return null;
+    return this.justIntervals.getIntervalFraction(interval);
+  }
+
+  /**
+   * Frequency every key would play right now (for bulk tuning dumps)
+   * Sounding keys report their note, the rest are tuned from the current reference
+   * @returns {Array} 128 frequencies in Hz (null for unmapped keys)
+   */
+  getKeyboardFrequencies() {
+    const referenceNote = this.getReferenceNote();
+    const reference = referenceNote ||
+      (this.lastBassFrequency !== null ? { midiNote: this.lastBassMidiNote, frequency: this.lastBassFrequency } : null);
+
+    const frequencies = [];
+    for (let midiNote = 0; midiNote < 128; midiNote++) {
+      const note = this.notes.find(n => n.isActive && n.midiNote === midiNote);
+      if (note) {
+        frequencies.push(note.frequency);
+      } else if (this.referenceMode === 'series' && this.seriesFundamental) {
+        frequencies.push(this.getNearestHarmonic(midiNote).frequency);
+      } else if (reference) {
+        frequencies.push(this.getTunedFrequency(reference.frequency, reference.midiNote, midiNote));
+      } else {
+        frequencies.push(this.justIntervals.getInitialFrequency(midiNote));
+      }
+    }
+    return frequencies;
+  }
+
+  /**
+   * Set when drift correction runs: 'off', 'sustained' or 'silent'
+   * 'sustained' moves the sounding chord, 'silent' only moves the stored reference between notes
+   */
+  setDriftCorrectionMode(mode) {
+    if (mode !== 'off' && mode !== 'sustained' && mode !== 'silent') {
+      console.warn(`Invalid drift correction mode: ${mode}. Using 'off'.`);
+      mode = 'off';
+    }
+
+    this.driftCorrectionMode = mode;
+    console.log(`Drift correction: ${mode}`);
+  }
+
+  /**
+   * Set how fast drift correction moves, in cents per second
+   */
+  setDriftCorrectionRate(centsPerSecond) {
+    this.driftCorrectionRate = Math.max(0, centsPerSecond);
+  }
+
+  /**
+   * Set the pitch drift correction pulls toward
+   * @param {number|null} frequency - A4 of a 12-TET grid in Hz, or null for the
+   *   tuning system's own start pitch (12-TET, or the keyboard mapping's reference)
+   */
+  setDriftAnchorFrequency(frequency) {
+    if (frequency !== null && !(Number.isFinite(frequency) && frequency > 0)) {
+      console.warn(`Invalid drift anchor frequency: ${frequency}. Using the tuning system's start pitch.`);
+      frequency = null;
+    }
+    this.driftAnchorFrequency = frequency;
+  }
+
+  /**
+   * Frequency a key would have as the first note of a session on the anchor
+   */
+  getAnchorFrequency(midiNote) {
+    if (this.driftAnchorFrequency === null) {
+      return this.justIntervals.getInitialFrequency(midiNote);
+    }
+    return this.driftAnchorFrequency * Math.pow(2, (midiNote - 69) / 12);
+  }
+
+  /**
+   * How far the current reference sits from where the tuning table puts it
+   * relative to the anchored initial reference (the drift correction removes)
+   * @returns {number|null} Cents, or null if there is nothing to compare
+   */
+  getAnchorOffset() {
+    if (!this.initialReference) return null;
+
+    // Between notes the stored reference stands in for the reference note
+    const referenceNote = this.getReferenceNote();
+    const midiNote = referenceNote ? referenceNote.midiNote : this.lastBassMidiNote;
+    const frequency = referenceNote ? referenceNote.frequency : this.lastBassFrequency;
+    if (midiNote === null || frequency === null) return null;
+
+    const initialMidi = this.initialReference.midiNote;
+    const target = this.getTunedFrequency(this.getAnchorFrequency(initialMidi), initialMidi, midiNote);
+    if (!target) return null;
+
+    // Comma shifts were meant, so correction leaves them in place
+    return 1200 * Math.log2(frequency / target) - this.justIntervals.monzoToCents(this.commaShift);
+  }
+
+  /**
+   * Move every note (and the stored reference) one step toward the anchor
+   * All notes share the same ratio, so the intervals between them stay pure
+   * @param {number} elapsed - Seconds since the previous step
+   * @returns {Object|null} { step, ratio, cents, offset } (step and totals in cents),
+   *   or null if the trigger condition is not met
+   */
+  stepDriftCorrection(elapsed) {
+    if (this.driftCorrectionMode === 'off') return null;
+
+    // A series fundamental is fixed, so there is no drift to correct
+    if (this.referenceMode === 'series') return null;
+
+    const sounding = this.notes.some(n => n.isActive);
+    if (this.driftCorrectionMode === 'sustained' ? !sounding : sounding) return null;
+
+    const offset = this.getAnchorOffset();
+    if (offset === null || Math.abs(offset) < 1e-6) return null;
+
+    const step = -Math.sign(offset) * Math.min(Math.abs(offset), this.driftCorrectionRate * elapsed);
+    const ratio = Math.pow(2, step / 1200);
+
+    for (const note of this.getActiveNotes()) {
+      note.frequency *= ratio;
+    }
+
+    // The stored reference moves too, so the next note starts from the corrected pitch
+    if (this.lastBassFrequency !== null) {
+      this.lastBassFrequency *= ratio;
+    }
+
+    this.driftCorrectionCents += step;
+
+    return { step, ratio, cents: this.driftCorrectionCents, offset: offset + step };
+  }
+
+  /**
+   * Transpose every sounding note and the stored reference by an exact ratio, e.g. [81, 80]
+   * up a syntonic comma or [80, 81] down one. Notes played next follow from the moved
+   * reference, and the shift is not counted as drift
+   * @param {number[]} ratio - [numerator, denominator], positive integers
+   * @returns {Array|null} Retunes [{ slot, midiNote, frequency }], or null if the ratio is not valid
+   */
+  shiftByRatio([numerator, denominator]) {
+    if (!Number.isInteger(numerator) || !Number.isInteger(denominator) || numerator < 1 || denominator < 1) {
+      console.warn(`Invalid comma shift: ${numerator}/${denominator}`);
+      return null;
+    }
+
+    const value = numerator / denominator;
+    const monzo = this.justIntervals.ratioToMonzo([numerator, denominator]);
+    const shiftPosition = (position) => position ? this.justIntervals.multiplyMonzos(position, monzo) : position;
+
+    const retunes = [];
+    this.notes.forEach((note, slot) => {
+      if (!note.isActive) return;
+      note.frequency *= value;
+      note.position = shiftPosition(note.position);
+      retunes.push({ slot, midiNote: note.midiNote, frequency: note.frequency });
+    });
+
+    if (this.lastBassFrequency !== null) {
+      this.lastBassFrequency *= value;
+      this.lastBassPosition = shiftPosition(this.lastBassPosition);
+    }
+    if (this.seriesFundamental) {
+      this.seriesFundamental.frequency *= value;
+      this.seriesFundamental.position = shiftPosition(this.seriesFundamental.position);
+    }
+
+    this.commaShift = this.justIntervals.multiplyMonzos(this.commaShift, monzo);
+    console.log(`Comma shift ${numerator}/${denominator}: ${this.justIntervals.formatMonzo(this.commaShift)} in total`);
+    return retunes;
+  }
+
+  /**
+   * Set the current pitch bend
+   * @param {number} cents - Bend applied to the notes chosen by the bend target
+   */
+  setPitchBend(cents) {
+    this.bendCents = cents;
+  }
+
+  /**
+   * Choose which notes the pitch bend moves (one of BEND_TARGETS)
+   */
+  setBendTarget(target) {
+    if (!BEND_TARGETS.includes(target)) {
+      console.warn(`Invalid bend target: ${target}. Using 'chord'.`);
+      target = 'chord';
+    }
+    this.bendTarget = target;
+  }
+
+  /**
+   * Bend on one note slot, in cents (0 if the bend target leaves it alone)
+   */
+  getBendCents(slot) {
+    const note = this.notes[slot];
+    if (!note.isActive || this.bendCents === 0) return 0;
+
+    switch (this.bendTarget) {
+      case 'newest':
+        return this.getActiveNotes().every(n => n.order <= note.order) ? this.bendCents : 0;
+      case 'others':
+        return this.getReferenceNote() === note ? 0 : this.bendCents;
+      default:
+        return this.bendCents;
+    }
+  }
+
+  /**
+   * Get the reference frequency with pitch bend applied
+   */
+  getReferenceFrequencyWithBend() {
+    const referenceNote = this.getReferenceNote();
+    if (!referenceNote) return null;
+
+    const bendCents = this.getBendCents(this.notes.indexOf(referenceNote));
+    return referenceNote.frequency * Math.pow(2, bendCents / 1200);
+  }
+
+  /**
+   * Find a free slot or steal one
+   * Returns { slot, stolenNote } where stolenNote is the midiNote that was stolen (if any)
+   */
+  allocateSlot(midiNote) {
+    // 1. Check if this note is already playing - retrigger it
+    let slot = this.notes.findIndex(n => n.isActive && n.midiNote === midiNote);
+    if (slot !== -1) return { slot, stolenNote: null };
+
+    // 2. Find an inactive slot
+    slot = this.notes.findIndex(n => !n.isActive);
+    if (slot !== -1) return { slot, stolenNote: null };
+
+    // 3. Steal the oldest note
+    slot = this.notes.reduce((oldest, n, i) =>
+      n.order < this.notes[oldest].order ? i : oldest
+    , 0);
+
+    return { slot, stolenNote: this.notes[slot].midiNote };
+  }
+
+  /**
+   * Decide the tuning of a new note and give it a slot
+   * Returns null if the key is not mapped in the current tuning system, otherwise
+   * { slot, midiNote, frequency, position, harmonic, intervalInfo, usedStoredReference, stolenNote }
+   */
+  noteOn(midiNote) {
+    // Get reference note for tuning
+    const referenceNote = this.getReferenceNote();
+
+    let frequency;
+    let position = null;
+    let intervalInfo = null;
+    let usedStoredReference = false;
+    let harmonic = null;
+
+    if (this.referenceMode === 'series' && this.seriesFundamental) {
+      // Snap to the nearest harmonic of the fixed fundamental
+      const fundamental = this.seriesFundamental;
+      const otonal = this.seriesDirection === 'otonal';
+      ({ harmonic, frequency } = this.getNearestHarmonic(midiNote));
+
+      position = this.getPositionFromReference(fundamental.position, otonal ? [harmonic, 1] : [1, harmonic]);
+
+      const interval = midiNote - fundamental.midiNote;
+      intervalInfo = {
+        interval,
+        ratio: otonal ? `${harmonic}:1` : `1:${harmonic}`,
+        name: this.justIntervals.getIntervalName(interval, harmonic, this.seriesDirection),
+        harmonic,
+        referenceMidi: fundamental.midiNote,
+        referenceFreq: fundamental.frequency,
+        referenceNote: this.justIntervals.getMidiNoteName(fundamental.midiNote)
+      };
+
+      console.log(`Playing ${this.justIntervals.getMidiNoteName(midiNote)} at ${frequency.toFixed(2)} Hz`);
+      console.log(`  ${intervalInfo.name} (${intervalInfo.ratio}) of ${fundamental.frequency.toFixed(2)} Hz [series mode]`);
+    } else if (!referenceNote) {
+      // First note: use stored reference if available, otherwise equal temperament
+      if (this.lastBassFrequency !== null && this.lastBassMidiNote !== null) {
+        usedStoredReference = true;
+        // Calculate frequency based on interval from stored reference
+        if (midiNote === this.lastBassMidiNote) {
+          // Same note as stored reference, use it directly
+          frequency = this.lastBassFrequency;
+          position = this.lastBassPosition;
+          console.log(`First note (reference): ${this.justIntervals.getMidiNoteName(midiNote)} at ${frequency.toFixed(2)} Hz (from stored reference)`);
+        } else {
+          // Different note, calculate interval from stored reference
+          frequency = this.getTunedFrequency(
+            this.lastBassFrequency,
+            this.lastBassMidiNote,
+            midiNote
+          );
+
+          if (frequency !== null) {
+            const { interval, ratio: ratioString, name: intervalName, edoSteps } =
+              this.describeInterval(this.lastBassMidiNote, midiNote);
+            position = this.getPositionFromReference(this.lastBassPosition, this.getExactFraction(interval));
+
+            console.log(`First note (reference): ${this.justIntervals.getMidiNoteName(midiNote)} at ${frequency.toFixed(2)} Hz (${intervalName} from stored reference)`);
+
+            // Create interval info for UI
+            intervalInfo = {
+              interval,
+              ratio: ratioString,
+              name: intervalName,
+              edoSteps,
+              referenceMidi: this.lastBassMidiNote,
+              referenceFreq: this.lastBassFrequency,
+              referenceNote: this.justIntervals.getMidiNoteName(this.lastBassMidiNote)
+            };
+          }
+        }
+      } else {
+        // No previous reference, use equal temperament (or the keyboard mapping's reference pitch)
+        frequency = this.justIntervals.getInitialFrequency(midiNote);
+        position = {}; // 1/1 - this note starts the session
+      }
+
+      if (frequency === null) {
+        console.log(`Ignoring ${this.justIntervals.getMidiNoteName(midiNote)}: key is not mapped in the current tuning system`);
+        return null;
+      }
+
+      if (!usedStoredReference) {
+        const source = this.justIntervals.keyboardMapping ? 'keyboard mapping reference' : 'equal temperament';
+        console.log(`First note (reference): ${this.justIntervals.getMidiNoteName(midiNote)} at ${frequency.toFixed(2)} Hz (${source})`);
+      }
+
+      if (!this.initialReference) {
+        this.initialReference = { midiNote, frequency };
+      }
+
+      // This becomes the new reference, store it
+      this.lastBassFrequency = frequency;
+      this.lastBassMidiNote = midiNote;
+      this.lastBassPosition = position;
+    } else {
+      // Calculate just intonation (or the nearest EDO step) based on the reference note
+      frequency = this.getTunedFrequency(
+        referenceNote.frequency,
+        referenceNote.midiNote,
+        midiNote
+      );
+
+      if (frequency === null) {
+        console.log(`Ignoring ${this.justIntervals.getMidiNoteName(midiNote)}: key is not mapped in the current tuning system`);
+        return null;
+      }
+
+      const description = this.describeInterval(referenceNote.midiNote, midiNote);
+      const { interval, edoSteps, name: intervalName } = description;
+      let ratioString = description.ratio;
+      let fraction = this.getExactFraction(interval);
+      let candidate = null;
+
+      // Context mode: pick among the candidate ratios using every sounding note
+      // (tempered notes are never simple fractions, so there is nothing to score under an EDO)
+      if (this.referenceMode === 'context' && !this.edo.isActive()) {
+        const choice = this.chooseContextualRatio(midiNote, referenceNote);
+        frequency = choice.chosen.frequency;
+        ratioString = choice.chosen.ratioString;
+        fraction = choice.chosen.fraction;
+        candidate = {
+          ratio: choice.chosen.ratioString,
+          distance: choice.chosen.distance,
+          reason: choice.reason,
+          alternatives: choice.candidates
+            .filter(c => c !== choice.chosen)
+            .map(c => ({ ratio: c.ratioString, distance: c.distance }))
+        };
+      }
+
+      position = this.getPositionFromReference(referenceNote.position, fraction);
+
+      intervalInfo = {
+        interval,
+        ratio: ratioString,
+        name: intervalName,
+        referenceMidi: referenceNote.midiNote,
+        referenceFreq: referenceNote.frequency,
+        referenceNote: this.justIntervals.getMidiNoteName(referenceNote.midiNote),
+        edoSteps, // null unless an EDO is active
+        candidate // null unless in context mode
+      };
+
+      console.log(`Playing ${this.justIntervals.getMidiNoteName(midiNote)} at ${frequency.toFixed(2)} Hz`);
+      console.log(`  Interval: ${intervalName} (${ratioString}) from reference note ${intervalInfo.referenceNote} [${this.referenceMode} mode]`);
+      if (candidate) {
+        console.log(`  Chose ${candidate.ratio}: ${candidate.reason}`);
+      }
+    }
+
+    // Series mode without a fundamental: this note becomes it
+    if (this.referenceMode === 'series' && !this.seriesFundamental) {
+      this.seriesFundamental = { midiNote, frequency, position, source: 'played' };
+      harmonic = 1;
+      console.log(`Series fundamental: ${this.justIntervals.getMidiNoteName(midiNote)} at ${frequency.toFixed(2)} Hz`);
+    }
+
+    // Allocate a slot and record the decision
+    const { slot, stolenNote } = this.allocateSlot(midiNote);
+    Object.assign(this.notes[slot], {
+      isActive: true,
+      midiNote,
+      frequency,
+      position,
+      harmonic,
+      harmonicDirection: harmonic === null ? null : this.seriesDirection,
+      order: ++this.noteCount
+    });
+
+    return {
+      slot,
+      midiNote,
+      frequency,
+      position,
+      harmonic,
+      intervalInfo,
+      usedStoredReference,
+      stolenNote // null if no note was stolen
+    };
+  }
+
+  /**
+   * Release a note, keeping track of the reference it leaves behind
+   * @param {number} midiNote - The MIDI note to release
+   * @param {Array} slots - Optional: only release these slots (e.g. the ones the sustain pedal held)
+   * @param {boolean} retune - Whether the remaining notes follow a new reference
+   * @returns {Object} { released: slot numbers, retunes: see retuneToNewReference() }
+   */
+  noteOff(midiNote, slots = null, retune = true) {
+    const released = [];
+    this.notes.forEach((n, i) => {
+      if (n.isActive && n.midiNote === midiNote && (!slots || slots.includes(i))) {
+        released.push(i);
+      }
+    });
+
+    if (released.length === 0) {
+      return { released, retunes: [] };
+    }
+
+    // Get current reference BEFORE releasing
+    const currentReference = this.getReferenceNote();
+    const wasReference = released.some(i => {
+      return currentReference && this.notes[i].midiNote === currentReference.midiNote;
+    });
+
+    // If releasing the reference, store its current audible frequency (with pitch bend)
+    if (wasReference && currentReference) {
+      const refFreq = this.getReferenceFrequencyWithBend();
+      if (refFreq) {
+        this.lastBassFrequency = refFreq;
+        this.lastBassMidiNote = currentReference.midiNote;
+        // A bent reference is no longer an exact ratio from the start
+        this.lastBassPosition = refFreq === currentReference.frequency ? currentReference.position : null;
+        console.log(`Storing last reference (${this.referenceMode} mode): ${this.justIntervals.getMidiNoteName(currentReference.midiNote)} at ${refFreq.toFixed(2)} Hz`);
+      }
+    }
+
+    // Mark notes as inactive FIRST (so getReferenceNote works correctly)
+    released.forEach(i => this.clearSlot(i));
+
+    // In random/lattice mode, clear the current reference if we just released it
+    if ((this.referenceMode === 'random' || this.referenceMode === 'lattice') && wasReference) {
+      this.currentReferenceNote = null;
+    }
+
+    // If reference changed and retuning is enabled, retune remaining notes
+    // (series notes are tuned to the fundamental, which never changes)
+    if (wasReference && retune && this.referenceMode !== 'series') {
+      return { released, retunes: this.retuneToNewReference() };
+    }
+
+    return { released, retunes: [] };
+  }
+
+  /**
+   * Retune all active notes to the new reference note
+   * Returns array of { slot, midiNote, frequency, previousFrequency, position } for retuned notes
+   */
+  retuneToNewReference() {
+    const newReference = this.getReferenceNote();
+    if (!newReference) return [];
+
+    console.log(`Reference changed to ${this.justIntervals.getMidiNoteName(newReference.midiNote)} (${this.referenceMode} mode)`);
+
+    const retunes = [];
+
+    this.notes.forEach((note, slot) => {
+      if (!note.isActive || note.midiNote === newReference.midiNote) return;
+
+      // Calculate new frequency and exact position based on new reference
+      let frequency = this.getTunedFrequency(
+        newReference.frequency,
+        newReference.midiNote,
+        note.midiNote
+      );
+      if (frequency === null) return;
+
+      const interval = this.justIntervals.getInterval(newReference.midiNote, note.midiNote);
+      let fraction = this.getExactFraction(interval);
+
+      // Context mode chooses among the candidate ratios here too, as it does for new notes
+      if (this.referenceMode === 'context' && !this.edo.isActive()) {
+        const { chosen } = this.chooseContextualRatio(note.midiNote, newReference);
+        frequency = chosen.frequency;
+        fraction = chosen.fraction;
+      }
+
+      const position = this.getPositionFromReference(newReference.position, fraction);
+
+      retunes.push({ slot, midiNote: note.midiNote, frequency, previousFrequency: note.frequency, position });
+      note.frequency = frequency;
+      note.position = position;
+
+      console.log(`  Retuned ${this.justIntervals.getMidiNoteName(note.midiNote)} to ${frequency.toFixed(2)} Hz`);
+    });
+
+    return retunes;
+  }
+
+  /**
+   * Mark a slot as free
+   */
+  clearSlot(slot) {
+    Object.assign(this.notes[slot], {
+      isActive: false,
+      midiNote: null,
+      frequency: null,
+      position: null,
+      harmonic: null,
+      harmonicDirection: null
+    });
+  }
+
+  /**
+   * Forget every note and the stored reference - the next note starts a new session
+   */
+  reset() {
+    this.notes.forEach((_, slot) => this.clearSlot(slot));
+    this.bendCents = 0;
+    this.lastBassFrequency = null; // Clear stored reference
+    this.lastBassMidiNote = null;
+    this.lastBassPosition = null;
+    this.initialReference = null; // Next note starts a new session
+    if (this.seriesFundamental && this.seriesFundamental.source === 'played') {
+      this.seriesFundamental = null; // Next note fixes a new one
+    } else if (this.seriesFundamental) {
+      // A chosen fundamental starts the new session
+      const { midiNote, frequency } = this.seriesFundamental;
+      this.initialReference = { midiNote, frequency };
+      this.seriesFundamental.position = {};
+    }
+    this.driftCorrectionCents = 0;
+    this.commaShift = {};
+    this.currentReferenceNote = null; // Clear random mode reference
+  }
+
+  /**
+   * Get the current tuning state
+   */
+  getState() {
+    const activeNotes = this.getActiveNotes();
+    const referenceNote = this.getReferenceNote();
+    const bassNote = this.getLowestActiveNote(); // Keep for backwards compat
+
+    // In series mode the fundamental is the reference whether or not it sounds
+    const reference = this.referenceMode === 'series' && this.seriesFundamental ?
+      this.seriesFundamental : referenceNote;
+
+    return {
+      activeNotes: activeNotes.map(n => ({
+        midiNote: n.midiNote,
+        frequency: n.frequency,
+        noteName: this.justIntervals.getMidiNoteName(n.midiNote),
+        position: n.position, // Monzo relative to the initial reference, or null
+        positionRatio: n.position ? this.justIntervals.formatMonzo(n.position) : null,
+        harmonic: n.harmonic, // Harmonic number in series mode, or null
+        harmonicDirection: n.harmonicDirection
+      })),
+      initialReference: this.initialReference,
+      referenceDrift: this.getReferenceDrift(),
+      driftCorrectionCents: this.driftCorrectionCents,
+      commaShift: this.justIntervals.formatMonzo(this.commaShift), // e.g. '81/80' ('1/1' = none)
+      referenceMode: this.referenceMode,
+      tuningSystem: this.justIntervals.getTuningSystem(),
+      edo: this.edo.divisions, // null in just intonation
+      edoMapping: this.edo.mapping,
+      referenceNote: reference ? reference.midiNote : null,
+      referenceFrequency: reference ? reference.frequency : null,
+      seriesFundamental: this.seriesFundamental,
+      seriesDirection: this.seriesDirection,
+      seriesLimit: this.seriesLimit,
+      bassNote: bassNote ? bassNote.midiNote : null, // Backwards compat
+      bassFrequency: bassNote ? bassNote.frequency : null // Backwards compat
+    };
+  }
+}
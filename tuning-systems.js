@@ -0,0 +1,199 @@
+/**
+ * Tuning Systems - Registry of reference-relative interval tables
+ * Each system maps a scale degree interval to a frequency ratio
+ */
+
+export const DEFAULT_TUNING_SYSTEM = '5-limit';
+
+export class TuningSystemRegistry {
+  constructor() {
+    this.systems = new Map(); // id -> { id, name, description, ratios, degrees, names, keyboardMapping, candidates }
+  }
+
+  /**
+   * Register a tuning system (or replace an existing one with the same id)
+   * @param {string} id - Unique identifier (e.g., '7-limit')
+   * @param {Object} definition - { name, description, ratios, names, keyboardMapping, candidates }
+   *   ratios maps each degree 0..N to a [numerator, denominator] pair or a size in cents;
+   *   entry N is the period (2:1 for the 12-degree presets).
+   *   candidates optionally maps a degree to alternative [numerator, denominator] pairs
+   *   that context-sensitive tuning may choose instead of the main ratio
+   * @returns {Object} The registered system
+   */
+  register(id, definition) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('Tuning system id must be a non-empty string');
+    }
+
+    const ratios = definition && definition.ratios;
+    if (!ratios) {
+      throw new Error(`Tuning system "${id}" has no ratios`);
+    }
+
+    const degrees = Object.keys(ratios).length - 1;
+    if (degrees < 1) {
+      throw new Error(`Tuning system "${id}" needs at least one degree besides the unison`);
+    }
+
+    for (let degree = 0; degree <= degrees; degree++) {
+      const ratio = ratios[degree];
+      const isRatio = Array.isArray(ratio) && ratio.length === 2 && ratio[0] > 0 && ratio[1] > 0;
+      const isCents = typeof ratio === 'number' && Number.isFinite(ratio);
+      if (!isRatio && !isCents) {
+        throw new Error(`Tuning system "${id}" has an invalid ratio for degree ${degree}`);
+      }
+    }
+
+    const system = {
+      id,
+      name: definition.name || id,
+      description: definition.description || '',
+      ratios,
+      degrees,
+      names: definition.names || null,
+      keyboardMapping: definition.keyboardMapping || null,
+      candidates: definition.candidates || null
+    };
+
+    this.systems.set(id, system);
+    return system;
+  }
+
+  /**
+   * Remove a tuning system
+   */
+  unregister(id) {
+    return this.systems.delete(id);
+  }
+
+  /**
+   * Get a tuning system by id
+   * @returns {Object|null} The system, or null if not registered
+   */
+  get(id) {
+    return this.systems.get(id) || null;
+  }
+
+  /**
+   * Check whether a tuning system is registered
+   */
+  has(id) {
+    return this.systems.has(id);
+  }
+
+  /**
+   * List all registered tuning systems in registration order
+   */
+  list() {
+    return Array.from(this.systems.values());
+  }
+}
+
+// Shared registry consulted by the synth, the visualizer and the UI
+export const tuningSystems = new TuningSystemRegistry();
+
+tuningSystems.register('5-limit', {
+  name: '5-limit Just',
+  description: 'Classic just intonation built from 2, 3 and 5',
+  ratios: {
+    0: [1, 1],          // Unison
+    1: [16, 15],        // Minor second (semitone)
+    2: [9, 8],          // Major second (whole tone)
+    3: [6, 5],          // Minor third
+    4: [5, 4],          // Major third
+    5: [4, 3],          // Perfect fourth
+    6: [45, 32],        // Tritone (augmented fourth)
+    7: [3, 2],          // Perfect fifth
+    8: [8, 5],          // Minor sixth
+    9: [5, 3],          // Major sixth
+    10: [9, 5],         // Minor seventh
+    11: [15, 8],        // Major seventh
+    12: [2, 1]          // Octave
+  },
+  candidates: {
+    1: [[25, 24], [135, 128]],  // Chromatic semitone, major limma
+    2: [[10, 9]],               // Minor whole tone
+    3: [[32, 27]],              // Pythagorean minor third
+    4: [[81, 64]],              // Pythagorean major third
+    5: [[27, 20]],              // Acute fourth
+    6: [[64, 45], [25, 18]],    // Diminished fifth, classic augmented fourth
+    7: [[40, 27]],              // Grave fifth
+    8: [[25, 16]],              // Augmented fifth
+    9: [[27, 16]],              // Pythagorean major sixth
+    10: [[16, 9]],              // Pythagorean minor seventh
+    11: [[243, 128]]            // Pythagorean major seventh
+  }
+});
+
+tuningSystems.register('7-limit', {
+  name: '7-limit Just',
+  description: 'Septimal intervals for the minor third, tritone and minor seventh',
+  ratios: {
+    0: [1, 1],          // Unison
+    1: [16, 15],        // Minor second
+    2: [9, 8],          // Major second
+    3: [7, 6],          // Septimal minor third
+    4: [5, 4],          // Major third
+    5: [4, 3],          // Perfect fourth
+    6: [7, 5],          // Septimal tritone
+    7: [3, 2],          // Perfect fifth
+    8: [8, 5],          // Minor sixth
+    9: [5, 3],          // Major sixth
+    10: [7, 4],         // Harmonic seventh
+    11: [15, 8],        // Major seventh
+    12: [2, 1]          // Octave
+  },
+  candidates: {
+    1: [[15, 14], [21, 20]],    // Septimal diatonic and chromatic semitones
+    2: [[10, 9], [8, 7]],       // Minor whole tone, septimal whole tone
+    3: [[6, 5], [32, 27]],      // Minor third, Pythagorean minor third
+    4: [[81, 64], [9, 7]],      // Pythagorean and septimal major thirds
+    5: [[27, 20], [21, 16]],    // Acute fourth, septimal narrow fourth
+    6: [[10, 7], [45, 32]],     // Septimal diminished fifth, 5-limit tritone
+    7: [[40, 27]],              // Grave fifth
+    8: [[25, 16], [14, 9]],     // Augmented fifth, septimal minor sixth
+    9: [[27, 16], [12, 7]],     // Pythagorean and septimal major sixths
+    10: [[9, 5], [16, 9]],      // 5-limit and Pythagorean minor sevenths
+    11: [[243, 128]]            // Pythagorean major seventh
+  }
+});
+
+tuningSystems.register('pythagorean', {
+  name: 'Pythagorean (3-limit)',
+  description: 'Every interval built from stacked pure fifths',
+  ratios: {
+    0: [1, 1],          // Unison
+    1: [256, 243],      // Limma
+    2: [9, 8],          // Major second
+    3: [32, 27],        // Minor third
+    4: [81, 64],        // Ditone
+    5: [4, 3],          // Perfect fourth
+    6: [729, 512],      // Augmented fourth
+    7: [3, 2],          // Perfect fifth
+    8: [128, 81],       // Minor sixth
+    9: [27, 16],        // Major sixth
+    10: [16, 9],        // Minor seventh
+    11: [243, 128],     // Major seventh
+    12: [2, 1]          // Octave
+  }
+});
+
+tuningSystems.register('harmonic-series', {
+  name: 'Harmonic Series',
+  description: 'Harmonics 16-32 of the reference, reduced to one octave',
+  ratios: {
+    0: [1, 1],          // 16th harmonic
+    1: [17, 16],        // 17th harmonic
+    2: [9, 8],          // 18th harmonic
+    3: [19, 16],        // 19th harmonic
+    4: [5, 4],          // 20th harmonic
+    5: [21, 16],        // 21st harmonic
+    6: [11, 8],         // 22nd harmonic
+    7: [3, 2],          // 24th harmonic
+    8: [13, 8],         // 26th harmonic
+    9: [27, 16],        // 27th harmonic
+    10: [7, 4],         // 28th harmonic
+    11: [15, 8],        // 30th harmonic
+    12: [2, 1]          // 32nd harmonic
+  }
+});
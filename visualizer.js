@@ -1,4 +1,6 @@
 import { JustIntervals } from './just-intervals.js';
+import { CommaIdentifier } from './comma-identifier.js';
+import { EdoTemperament } from './edo-temperament.js';
 
 /**
  * NoteVisualizer - Time-series plot of just intonation ratios
@@ -21,6 +23,7 @@ export class NoteVisualizer {
     this.canvas = document.getElementById(canvasId);
     this.ctx = this.canvas.getContext('2d');
     this.justIntervals = new JustIntervals();
+    this.edo = new EdoTemperament(this.justIntervals); // Mirrors the synth's EDO, if any
     
     // Time window configuration (in seconds)
     this.timeWindow = 8; // Show last 8 seconds
@@ -34,10 +37,21 @@ export class NoteVisualizer {
     
     // Reference frequency for tuning (not tied to a specific key)
     this.referenceFrequency = null; // { frequency, midiNote, timestamp }
+    this.referenceMode = 'bass'; // Mirrors the synth's reference mode
+    this.seriesDirection = 'otonal'; // Mirrors the synth's series direction ('series' mode)
     
     // Track reference drift over time
     this.initialReferenceFrequency = null; // Store the very first reference
     this.referenceDriftCents = 0; // Total accumulated drift from initial reference
+    this.referenceDriftRatio = null; // Exact drift as a fraction (e.g. '81/80'), when the synth knows it
+    this.referenceDriftMonzo = null; // Exact drift as prime exponents, when the synth knows it
+    this.driftCorrectionCents = 0; // Part of the drift applied by the synth's drift correction
+    
+    // Named commas that make up the drift
+    this.commaIdentifier = new CommaIdentifier(this.justIntervals);
+    this.driftCommaLabel = ''; // e.g. '2× syntonic comma' ('' = no drift)
+    this.commaEvents = []; // Timestamped history of drift changes: { timestamp, driftCents, commas, label }
+    this.maxCommaEvents = 200;
     
     // Visual parameters
     this.keyboardHeight = 60; // Height of keyboard at bottom
@@ -52,6 +66,11 @@ export class NoteVisualizer {
     
     this.animationId = null;
     
+    // On-screen keyboard input (callbacks set by the app)
+    this.onKeyPress = null; // Called with (midiNote, velocity) when a key is pressed
+    this.onKeyRelease = null; // Called with (midiNote) when it is let go
+    this.pointerNotes = new Map(); // pointerId -> MIDI note it holds (null while dragged off the keys)
+    
     this.setupCanvas();
     
     // Draw initial empty state so users know the visualizer is there
@@ -81,6 +100,9 @@ export class NoteVisualizer {
     document.addEventListener('fullscreenchange', () => this.updateCanvasSize());
     document.addEventListener('webkitfullscreenchange', () => this.updateCanvasSize());
     document.addEventListener('mozfullscreenchange', () => this.updateCanvasSize());
+    
+    // Play the keyboard strip with a mouse, pen or fingers
+    this.setupKeyboardInput();
   }
 
   updateCanvasSize() {
@@ -107,6 +129,44 @@ export class NoteVisualizer {
     }
   }
 
+  /**
+   * Set the tuning system used to compute ideal ratios
+   * Recalculates the ratio displays of all active notes
+   * @param {string} id - Id of a registered tuning system
+   */
+  setTuningSystem(id) {
+    this.justIntervals.setTuningSystem(id);
+    this.updateAllRatiosForNewReference();
+  }
+
+  /**
+   * Mirror the synth's EDO so notes are measured against the just ratio each step approximates
+   * @param {number|null} divisions - Steps per octave, or null for just intonation
+   * @param {string} mapping - 'nearest' or 'steps'
+   */
+  setEdo(divisions, mapping = 'nearest') {
+    this.edo.setDivisions(divisions);
+    this.edo.setMapping(mapping);
+    this.updateAllRatiosForNewReference();
+  }
+
+  /**
+   * Set the synth's reference mode
+   * In 'context' mode notes are measured against the nearest candidate ratio
+   */
+  setReferenceMode(mode) {
+    this.referenceMode = mode;
+    this.updateAllRatiosForNewReference();
+  }
+
+  /**
+   * Set whether series mode measures against harmonics ('otonal') or subharmonics ('utonal')
+   */
+  setSeriesDirection(direction) {
+    this.seriesDirection = direction;
+    this.updateAllRatiosForNewReference();
+  }
+
   /**
    * Calculate the interval and ratio from reference note
    * Returns { interval, ratio, ratioString, intervalName, centsFromPureRatio }
@@ -123,12 +183,63 @@ export class NoteVisualizer {
       };
     }
     
-    const interval = noteMidi - refMidi;
-    const ratioString = this.justIntervals.getRatioString(interval);
+    // Series mode: the reference is the fundamental and every note is one of its harmonics
+    if (this.referenceMode === 'series') {
+      const otonal = this.seriesDirection === 'otonal';
+      
+      // Keys on the wrong side of the fundamental have no harmonic of their own
+      if (otonal ? noteMidi < refMidi : noteMidi > refMidi) {
+        return {
+          interval: noteMidi - refMidi,
+          ratio: noteFreq / refFreq,
+          ratioString: '—',
+          intervalName: 'Out of range',
+          centsFromPureRatio: 0
+        };
+      }
+      
+      const harmonic = Math.max(1, Math.round(otonal ? noteFreq / refFreq : refFreq / noteFreq));
+      const idealFreq = otonal ? refFreq * harmonic : refFreq / harmonic;
+      return {
+        interval: noteMidi - refMidi,
+        ratio: noteFreq / refFreq,
+        ratioString: otonal ? `${harmonic}:1` : `1:${harmonic}`,
+        intervalName: this.justIntervals.getHarmonicName(harmonic, this.seriesDirection),
+        centsFromPureRatio: 1200 * Math.log2(noteFreq / idealFreq)
+      };
+    }
+    
+    // With one key per EDO step, keys stand for whichever just ratio their steps approximate
+    const interval = this.edo.isActive() && this.edo.mapping === 'steps' ?
+      this.edo.getApproximatedRatio(noteMidi - refMidi).interval :
+      this.justIntervals.getInterval(refMidi, noteMidi);
+    if (interval === null) {
+      // Key not mapped in the current tuning system, nothing to compare against
+      return {
+        interval: null,
+        ratio: noteFreq / refFreq,
+        ratioString: '—',
+        intervalName: 'Unmapped',
+        centsFromPureRatio: 0
+      };
+    }
+    
+    let ratioString = this.justIntervals.getRatioString(interval);
     const intervalName = this.justIntervals.getIntervalName(interval);
     
     // Calculate the ideal just frequency for this interval
-    const idealFreq = this.justIntervals.getJustFrequency(refFreq, refMidi, noteMidi);
+    // (under an EDO this measures how far the step sits from the ratio it approximates)
+    let idealFreq = refFreq * this.justIntervals.getIntervalRatio(interval);
+    
+    // In context mode any candidate ratio is pure, so compare against the nearest one
+    if (this.referenceMode === 'context' && !this.edo.isActive()) {
+      const nearest = this.justIntervals.getCandidateRatios(interval).reduce((best, c) =>
+        Math.abs(Math.log2(noteFreq / (refFreq * c.value))) <
+        Math.abs(Math.log2(noteFreq / (refFreq * best.value))) ? c : best
+      );
+      ratioString = nearest.ratioString;
+      idealFreq = refFreq * nearest.value;
+    }
     
     // Calculate how far the actual frequency is from the ideal ratio
     // (This should be nearly 0 for our synth, but captures micro-variations)
@@ -175,6 +286,109 @@ export class NoteVisualizer {
     };
   }
 
+  /**
+   * Find the key under a point on the canvas
+   * Velocity rises from the top edge of the key (soft) to the bottom edge (loud)
+   * @returns {Object|null} { midiNote, velocity }, or null outside the keyboard
+   */
+  getKeyAtPosition(x, y) {
+    const top = this.plotHeight;
+    if (y < top || y > top + this.keyboardHeight) return null;
+    
+    const keyWidth = this.canvas.width / this.noteRange;
+    const midiNote = this.minMidiNote + Math.floor(x / keyWidth);
+    if (midiNote < this.minMidiNote || midiNote > this.maxMidiNote) return null;
+    
+    const depth = (y - top) / this.keyboardHeight;
+    return { midiNote, velocity: Math.round(20 + depth * 107) };
+  }
+
+  /**
+   * Listen for pointer events on the canvas (each touch is its own pointer)
+   */
+  setupKeyboardInput() {
+    this.canvas.style.touchAction = 'none'; // Touches play keys instead of scrolling the page
+    
+    this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    for (const type of ['pointerup', 'pointercancel', 'lostpointercapture']) {
+      this.canvas.addEventListener(type, (e) => this.handlePointerUp(e));
+    }
+  }
+
+  /**
+   * Pointer position in canvas pixels
+   */
+  getCanvasPosition(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (this.canvas.height / rect.height)
+    };
+  }
+
+  handlePointerDown(event) {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    
+    const { x, y } = this.getCanvasPosition(event);
+    const key = this.getKeyAtPosition(x, y);
+    if (!key) return;
+    
+    event.preventDefault();
+    // Keep receiving moves when the pointer leaves the canvas, so its note is always released
+    this.canvas.setPointerCapture(event.pointerId);
+    this.pointerNotes.set(event.pointerId, null);
+    this.pressKey(event.pointerId, key);
+  }
+
+  /**
+   * Dragging onto another key releases the old note and plays the new one (glissando)
+   */
+  handlePointerMove(event) {
+    if (!this.pointerNotes.has(event.pointerId)) return;
+    
+    const { x, y } = this.getCanvasPosition(event);
+    const key = this.getKeyAtPosition(x, y);
+    if ((key ? key.midiNote : null) === this.pointerNotes.get(event.pointerId)) return;
+    
+    this.releaseKey(event.pointerId);
+    if (key) {
+      this.pressKey(event.pointerId, key);
+    }
+  }
+
+  handlePointerUp(event) {
+    if (!this.pointerNotes.has(event.pointerId)) return;
+    
+    this.releaseKey(event.pointerId);
+    this.pointerNotes.delete(event.pointerId);
+  }
+
+  /**
+   * Hold a key with a pointer (a key two fingers hold plays once)
+   */
+  pressKey(pointerId, key) {
+    const alreadyHeld = Array.from(this.pointerNotes.values()).includes(key.midiNote);
+    this.pointerNotes.set(pointerId, key.midiNote);
+    if (!alreadyHeld && this.onKeyPress) {
+      this.onKeyPress(key.midiNote, key.velocity);
+    }
+  }
+
+  /**
+   * Let go of the key a pointer holds (the note ends when no pointer holds it)
+   */
+  releaseKey(pointerId) {
+    const midiNote = this.pointerNotes.get(pointerId);
+    if (midiNote === null || midiNote === undefined) return;
+    
+    this.pointerNotes.set(pointerId, null);
+    const stillHeld = Array.from(this.pointerNotes.values()).includes(midiNote);
+    if (!stillHeld && this.onKeyRelease) {
+      this.onKeyRelease(midiNote);
+    }
+  }
+
   /**
    * Get X offset from cents deviation from perfect ratio (relative to key center)
    */
@@ -279,6 +493,7 @@ export class NoteVisualizer {
       if (this.initialReferenceFrequency && midiNote === this.initialReferenceFrequency.midiNote) {
         this.referenceDriftCents = 1200 * Math.log2(frequency / this.initialReferenceFrequency.frequency);
         console.log(`Reference drift: ${this.referenceDriftCents > 0 ? '+' : ''}${this.referenceDriftCents.toFixed(1)}¢ from initial`);
+        this.identifyDriftCommas();
       }
     }
     
@@ -396,6 +611,103 @@ export class NoteVisualizer {
     this.activeNotesByMidi.delete(midiNote);
   }
 
+  /**
+   * Set the exact reference drift computed by the synth
+   * @param {Object|null} drift - { ratio, cents } from PolySynth.getReferenceDrift()
+   */
+  setExactDrift(drift) {
+    this.referenceDriftRatio = drift && drift.ratio !== '1/1' ? drift.ratio : null;
+    this.referenceDriftMonzo = drift ? drift.monzo : null;
+    this.identifyDriftCommas();
+  }
+
+  /**
+   * Follow the synth's drift correction
+   * Every voice moved by the same ratio, so only the reference and the drift change
+   * @param {number} cents - Total correction applied this session
+   */
+  setDriftCorrection(cents) {
+    const delta = cents - this.driftCorrectionCents;
+    this.driftCorrectionCents = cents;
+    if (delta === 0) return;
+    
+    const ratio = Math.pow(2, delta / 1200);
+    if (this.referenceFrequency) {
+      this.referenceFrequency.frequency *= ratio;
+    }
+    if (this.initialReferenceFrequency) {
+      this.referenceDriftCents += delta;
+    }
+    
+    const timestamp = performance.now();
+    for (const noteInfo of this.noteData.values()) {
+      if (!noteInfo.isActive || noteInfo.dataPoints.length === 0) continue;
+      const lastPoint = noteInfo.dataPoints[noteInfo.dataPoints.length - 1];
+      noteInfo.dataPoints.push({ ...lastPoint, timestamp, frequency: lastPoint.frequency * ratio });
+    }
+  }
+
+  /**
+   * Follow a comma shift: the whole lattice moved on purpose, so the initial reference
+   * moves with it and the drift measured against it stays what it was
+   * @param {number} ratio - Frequency multiplier of the shift (e.g. 81/80)
+   */
+  applyCommaShift(ratio) {
+    if (this.initialReferenceFrequency) {
+      this.initialReferenceFrequency.frequency *= ratio;
+    }
+    if (this.referenceFrequency) {
+      this.referenceFrequency.frequency *= ratio;
+    }
+  }
+
+  /**
+   * Name the commas behind the current drift and log a timestamped event when they change
+   * Uses the synth's exact drift when it matches, otherwise the measured cents
+   */
+  identifyDriftCommas() {
+    // Drift correction is a deliberate glide, not a comma
+    const latticeDriftCents = this.referenceDriftCents - this.driftCorrectionCents;
+    
+    let commas;
+    if (Math.abs(latticeDriftCents) < 0.5) {
+      commas = [];
+    } else if (this.referenceDriftMonzo &&
+               Math.abs(this.justIntervals.monzoToCents(this.referenceDriftMonzo) - latticeDriftCents) < 0.01) {
+      commas = this.commaIdentifier.identify(this.referenceDriftMonzo);
+    } else {
+      commas = this.commaIdentifier.identifyCents(latticeDriftCents);
+    }
+    
+    // Not a comma combination (e.g. pitch bend) - keep the last identification
+    if (commas === null) return;
+    
+    const label = this.commaIdentifier.formatCommas(commas);
+    if (label === this.driftCommaLabel) return;
+    this.driftCommaLabel = label;
+    
+    const event = {
+      timestamp: Date.now(),
+      driftCents: latticeDriftCents,
+      commas,
+      label
+    };
+    this.commaEvents.push(event);
+    if (this.commaEvents.length > this.maxCommaEvents) {
+      this.commaEvents.shift();
+    }
+    
+    const sign = event.driftCents > 0 ? '+' : '';
+    console.log(`[${new Date(event.timestamp).toISOString()}] Comma drift: ${label || 'none'} (${sign}${event.driftCents.toFixed(1)}¢)`);
+  }
+
+  /**
+   * Get the timestamped history of comma drift changes
+   */
+  getCommaEvents() {
+    return this.commaEvents;
+  }
+
   /**
    * Update all active notes' ratio displays when reference changes
    * This recalculates ratios for all active notes without changing their frequencies
@@ -412,16 +724,25 @@ export class NoteVisualizer {
         );
       } else {
         // Different note - calculate based on expected frequency relationship
-        const expectedFreq = this.justIntervals.getJustFrequency(
-          this.initialReferenceFrequency.frequency,
-          this.initialReferenceFrequency.midiNote,
-          this.referenceFrequency.midiNote
-        );
-        this.referenceDriftCents = 1200 * Math.log2(
-          this.referenceFrequency.frequency / expectedFreq
-        );
+        const expectedFreq = this.edo.isActive() ?
+          this.edo.getFrequency(
+            this.initialReferenceFrequency.frequency,
+            this.initialReferenceFrequency.midiNote,
+            this.referenceFrequency.midiNote
+          ) :
+          this.justIntervals.getJustFrequency(
+            this.initialReferenceFrequency.frequency,
+            this.initialReferenceFrequency.midiNote,
+            this.referenceFrequency.midiNote
+          );
+        if (expectedFreq) {
+          this.referenceDriftCents = 1200 * Math.log2(
+            this.referenceFrequency.frequency / expectedFreq
+          );
+        }
       }
       console.log(`Reference drift updated: ${this.referenceDriftCents > 0 ? '+' : ''}${this.referenceDriftCents.toFixed(1)}¢ from initial`);
+      this.identifyDriftCommas();
     }
     
     const timestamp = performance.now();
@@ -741,6 +1062,21 @@ export class NoteVisualizer {
       );
     }
     
+    // TERTIARY INDICATOR: Drift correction (its own trace, from center to the amount applied)
+    if (Math.abs(this.driftCorrectionCents) > 0.05) {
+      const correctionCents = Math.max(-tickRange, Math.min(tickRange, this.driftCorrectionCents));
+      const correctionX = centerX + (correctionCents / tickRange) * (width / 2 - 10);
+      
+      this.ctx.strokeStyle = '#4FC3F7'; // Light blue for correction
+      this.ctx.lineWidth = 3;
+      this.ctx.globalAlpha = 0.7;
+      this.ctx.beginPath();
+      this.ctx.moveTo(centerX, y + height - 3);
+      this.ctx.lineTo(correctionX, y + height - 3);
+      this.ctx.stroke();
+      this.ctx.globalAlpha = 1.0;
+    }
+    
     // Labels
     this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
     this.ctx.font = '9px monospace';
@@ -751,7 +1087,22 @@ export class NoteVisualizer {
     if (this.initialReferenceFrequency && Math.abs(this.referenceDriftCents) > 0.5) {
       this.ctx.fillStyle = '#FFD700';
       this.ctx.textAlign = 'right';
-      this.ctx.fillText('Drift', centerX + width/2 - 5, y + 10);
+      let driftLabel = this.referenceDriftRatio ? `Drift ${this.referenceDriftRatio}` : 'Drift';
+      if (this.driftCommaLabel) {
+        driftLabel += ` = ${this.driftCommaLabel}`;
+      }
+      this.ctx.fillText(driftLabel, centerX + width/2 - 5, y + 10);
+    }
+    
+    // Correction label (if present)
+    if (Math.abs(this.driftCorrectionCents) > 0.05) {
+      this.ctx.fillStyle = '#4FC3F7';
+      this.ctx.textAlign = 'right';
+      this.ctx.fillText(
+        `Correction ${this.driftCorrectionCents > 0 ? '+' : ''}${this.driftCorrectionCents.toFixed(1)}¢`,
+        centerX + width/2 - 5,
+        y + 21
+      );
     }
   }
 
@@ -960,6 +1311,9 @@ export class NoteVisualizer {
   clear() {
     this.noteData.clear();
     this.referenceFrequency = null;
+    this.referenceDriftRatio = null;
+    this.referenceDriftMonzo = null;
+    this.driftCorrectionCents = 0;
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
       this.animationId = null;